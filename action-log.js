@@ -0,0 +1,149 @@
+/**
+ * ActionSync server action log
+ * Append-only JSON-lines file that makes the sync server's history durable.
+ *
+ * Every stored action is one line. Appends are fsynced before the server
+ * acknowledges them, so an acknowledged action survives a crash. A crash in the
+ * middle of a write can only leave a torn last line; open() truncates it away.
+ */
+
+import fs from 'fs';
+import path from 'path';
+
+export class ActionLog {
+  /**
+   * @param {string} filePath - Log file, created (with its directory) when missing
+   * @param {Object} options - { logger } where to report recovery (default console)
+   */
+  constructor(filePath, options = {}) {
+    this.filePath = filePath;
+    this.logger = options.logger || console;
+    this.fd = null;
+  }
+
+  /**
+   * Open the log for appending and replay its records
+   * @returns {Array<Object>} Stored actions in the order they were appended
+   */
+  open() {
+    if (this.fd !== null) {
+      throw new Error('Action log is already open');
+    }
+
+    fs.mkdirSync(path.dirname(this.filePath), { recursive: true });
+    const records = this._recover();
+    this.fd = fs.openSync(this.filePath, 'a');
+    return records;
+  }
+
+  /**
+   * Durably append stored actions
+   * @param {Array<Object>} actions - Stored actions
+   */
+  append(actions) {
+    if (actions.length === 0) {
+      return;
+    }
+
+    this._ensureOpen();
+    const buffer = Buffer.from(actions.map(action => `${JSON.stringify(action)}\n`).join(''));
+    const size = fs.fstatSync(this.fd).size;
+    try {
+      // writeSync may write fewer bytes than asked; keep going until the whole buffer is out
+      let offset = 0;
+      while (offset < buffer.length) {
+        offset += fs.writeSync(this.fd, buffer, offset, buffer.length - offset);
+      }
+      fs.fsyncSync(this.fd);
+    } catch (error) {
+      // Cut off what was written so the next append doesn't start inside a torn record
+      fs.ftruncateSync(this.fd, size);
+      throw error;
+    }
+  }
+
+  /**
+   * Drop every record
+   */
+  clear() {
+    this._ensureOpen();
+    fs.ftruncateSync(this.fd, 0);
+    fs.fsyncSync(this.fd);
+  }
+
+  /**
+   * Close the file
+   */
+  close() {
+    if (this.fd !== null) {
+      fs.closeSync(this.fd);
+      this.fd = null;
+    }
+  }
+
+  /**
+   * Read every complete record, truncating a torn last line left by a crash
+   * @returns {Array<Object>} Records
+   */
+  _recover() {
+    let content;
+    try {
+      content = fs.readFileSync(this.filePath, 'utf8');
+    } catch (error) {
+      if (error.code === 'ENOENT') {
+        return [];
+      }
+      throw error;
+    }
+
+    // Every line but the last ended with '\n'; the last is '' when the file ends cleanly
+    const lines = content.split('\n');
+    const records = [];
+    let validBytes = 0;
+
+    for (let index = 0; index < lines.length; index++) {
+      const line = lines[index];
+      const isLast = index === lines.length - 1;
+
+      if (line.trim() !== '') {
+        try {
+          records.push(JSON.parse(line));
+        } catch (error) {
+          if (!isLast) {
+            // Damage before the tail is not something a crash can cause
+            throw new Error(`Corrupt action log ${this.filePath} at byte ${validBytes}`);
+          }
+          this._truncate(validBytes);
+          break;
+        }
+
+        if (isLast) {
+          // A complete record missing its newline: terminate it so appends start on a new line
+          fs.appendFileSync(this.filePath, '\n');
+        }
+      }
+
+      validBytes += Buffer.byteLength(line) + 1;
+    }
+
+    return records;
+  }
+
+  /**
+   * Cut the file back to its last complete line
+   * @param {number} length - Bytes to keep
+   */
+  _truncate(length) {
+    this.logger.warn(`Truncating torn record at the end of ${this.filePath}`);
+    fs.truncateSync(this.filePath, length);
+  }
+
+  /**
+   * Fail clearly when used before open()
+   */
+  _ensureOpen() {
+    if (this.fd === null) {
+      throw new Error('Action log is not open');
+    }
+  }
+}
@@ -2,35 +2,222 @@
  * ActionSync - Synchronize user actions across devices
  * A JavaScript module for real-time action synchronization
  */
+import { ChromeStorageAdapter, MemoryStorageAdapter } from './storage-adapters.js';
+import { PayloadCipher } from './encryption.js';
+
+export {
+  ChromeStorageAdapter,
+  LocalStorageAdapter,
+  IndexedDBStorageAdapter,
+  MemoryStorageAdapter,
+  FileStorageAdapter
+} from './storage-adapters.js';
+export { PayloadCipher } from './encryption.js';
+
+// Channel used when none is configured; the server treats requests without one the same way
+const DEFAULT_CHANNEL = 'default';
+
+// What happens when actionQueue grows past maxQueueSize (see _enforceQueueSize)
+const OVERFLOW_POLICIES = ['drop-oldest', 'reject', 'spill', 'compact'];
+
+// Fetch retries wait a random time up to baseDelay * 2^(attempt - 1), capped at maxDelay
+const DEFAULT_RETRY_POLICY = {
+  baseDelay: 1000,
+  maxDelay: 30000,
+  retryableStatuses: [408, 425, 429, 500, 502, 503, 504]
+};
+
+// After failureThreshold failed syncs in a row, auto-sync waits out a cooldown that doubles up to maxCooldown
+const DEFAULT_CIRCUIT_BREAKER = {
+  failureThreshold: 5,
+  cooldown: 60000,
+  maxCooldown: 10 * 60 * 1000
+};
+
+/**
+ * Lifecycle events available through on/off/once
+ */
+export const EVENTS = [
+  'dispatch',
+  'syncStart',
+  'syncSuccess',
+  'syncError',
+  'remoteActions',
+  'actionRejected',
+  'queueOverflow',
+  'storageLoaded',
+  'statusChange',
+  'stateChange',
+  'connectivityChange',
+  'groupExpired',
+  'actionUndecryptable',
+  'error'
+];
+
+/**
+ * Values of getStatus().state, one at a time in this order of precedence:
+ *   destroyed    destroy() was called
+ *   initializing Loading persisted queues
+ *   syncing      A sync is in flight
+ *   offline      Waiting for connectivity (see Offline and Pausing)
+ *   error        The last sync failed; consecutiveFailures counts the run
+ *   scheduled    A sync will start at nextSyncAt
+ *   idle         Nothing to do until the next dispatch or sync()
+ */
+export const SYNC_STATES = [
+  'initializing',
+  'idle',
+  'scheduled',
+  'syncing',
+  'offline',
+  'error',
+  'destroyed'
+];
+
 export default class ActionSync {
   constructor(options = {}) {
     this.serverUrl = options.serverUrl;
     this.deviceId = options.deviceId || this._generateDeviceId();
+    this.channel = options.channel || DEFAULT_CHANNEL; // Stream of actions this instance syncs
     this.autoSync = options.autoSync !== undefined ? options.autoSync : true;
     this.syncInterval = options.syncInterval || 30000;
     this.maxQueueSize = options.maxQueueSize || 1000;
-    this.retryAttempts = options.retryAttempts || 3;
+    this.overflowPolicy = options.overflowPolicy || 'drop-oldest';
+    this.compactQueue = options.compactQueue || null; // (pendingActions) => actions to keep, for 'compact'
+    if (!OVERFLOW_POLICIES.includes(this.overflowPolicy)) {
+      throw new Error(`Unknown overflowPolicy: ${this.overflowPolicy}`);
+    }
+    if (this.overflowPolicy === 'compact' && typeof this.compactQueue !== 'function') {
+      throw new Error("overflowPolicy 'compact' requires a compactQueue function");
+    }
+    this.snapshotInterval = options.snapshotInterval || 0; // Snapshot every N synced actions (0 = only when compacting)
+    this.retryPolicy = { ...DEFAULT_RETRY_POLICY, ...(options.retryPolicy || {}) };
+    this.retryAttempts = this.retryPolicy.maxAttempts || options.retryAttempts || 3;
+    this.requestTimeout = options.requestTimeout !== undefined ? options.requestTimeout : 30000; // 0 = no timeout
+    this.circuitBreaker = { ...DEFAULT_CIRCUIT_BREAKER, ...(options.circuitBreaker || {}) };
+    this.offlineAfterFailures = options.offlineAfterFailures || 3; // Consecutive network errors before going offline
+    this.offlineProbeInterval = options.offlineProbeInterval || this.syncInterval; // Sync attempt interval while offline
+    this.pageSize = options.pageSize || null; // Remote actions per pull page (null = server default)
+    this.maxBatchSize = options.maxBatchSize || 100; // Actions per push request
+    this.maxBatchBytes = options.maxBatchBytes || 1024 * 1024; // Serialized actions per push request
+    this.maxClockDrift = options.maxClockDrift || 24 * 60 * 60 * 1000; // Ignore remote clocks further ahead than this
     this.debug = options.debug || false;
+    this.realtime = options.realtime || false; // Use the WebSocket transport when available
+    this.websocketUrl = options.websocketUrl ||
+      (this.serverUrl ? `${this.serverUrl.replace(/^http/, 'ws')}/ws` : null);
+    this.WebSocket = options.WebSocket || (typeof WebSocket !== 'undefined' ? WebSocket : null);
+    this.socketRequestTimeout = options.socketRequestTimeout || 10000;
+    this.crossTab = options.crossTab || false; // Coordinate tabs sharing this deviceId
+    this.BroadcastChannel = options.BroadcastChannel ||
+      (typeof BroadcastChannel !== 'undefined' ? BroadcastChannel : null);
+    this.leaderHeartbeatInterval = options.leaderHeartbeatInterval || 1000;
+    this.tabSyncTimeout = options.tabSyncTimeout || 30000;
+    this.getAuthToken = options.getAuthToken || null; // async ({ forceRefresh }) => bearer token for the server
     this.onRemoteActions = options.onRemoteActions || null; // Callback for auto sync
+    this.onStateChange = options.onStateChange || null; // Callback when materialized state changes
     this.enablePersistence = options.enablePersistence !== undefined ? options.enablePersistence : true;
+    this.storage = this.enablePersistence ? (options.storage || this._createDefaultStorage()) : null;
+    // Where overflowPolicy 'spill' keeps older pending actions
+    this.spillStorage = this.overflowPolicy === 'spill'
+      ? (options.spillStorage || this.storage || new MemoryStorageAdapter())
+      : null;
+    // Opt-in end-to-end encryption of payloads sent to the server and exported
+    this.cipher = options.encryptionKey
+      ? new PayloadCipher(options.encryptionKey, { crypto: options.crypto })
+      : null;
 
     // Internal state
     this.actionQueue = []; // Pending actions not yet synced
-    this.fullQueue = []; // All finalized actions that have been synced
+    this.fullQueue = []; // All finalized actions (local and remote), in timestamp order
+    this.incompleteGroups = new Map(); // deviceId:groupId -> remote group members received so far
     this.lastActionId = '0';
-    this.actionIdCounter = 0;
+    this.clock = { physical: 0, logical: 0 }; // Hybrid logical clock
+    this.tabId = `${Date.now().toString(36)}-${Math.random().toString(36).substr(2, 9)}`;
+    // 12-bit discriminator embedded in action IDs; tabs sharing a deviceId need distinct tags
+    this.deviceTag = this._hashDeviceId(this.crossTab ? `${this.deviceId}:${this.tabId}` : this.deviceId);
+    this.isLeader = !this.crossTab; // Only the leader tab talks to the server and writes storage
     this.syncTimer = null;
-    this.storageKey = `actionsync_${this.deviceId}`;
-    this.fullQueueStorageKey = `actionsync_full_${this.deviceId}`;
+    this._listeners = {}; // Event name -> array of listeners
+    this.socket = null;
+    this._socketRequests = new Map(); // requestId -> { resolve, reject, timer }
+    this._socketRequestCounter = 0;
+    this._socketReconnectTimer = null;
+    this._socketReconnectAttempts = 0;
+    this._socketAuthRefreshed = false; // A rejected hello already got a fresh token
+    this._destroyed = false;
+    this.paused = false; // Set by pause(); no timers or socket until resume()
+    this.online = !(typeof navigator !== 'undefined' && navigator.onLine === false);
+    this._offlineReason = this.online ? null : 'browser';
+    this._consecutiveNetworkFailures = 0;
+    this._probeTimer = null;
+    this._connectivityHandler = null;
+    this._consecutiveSyncFailures = 0;
+    this._circuitOpens = 0; // Cooldowns in a row, doubling the next one
+    this._circuitOpenUntil = 0; // Auto-sync waits until then after repeated failures
+    this._retryAfterUntil = 0; // Auto-sync waits until then when the server asked us to (Retry-After)
+    this._initialized = false; // Persisted queues loaded
+    this._activeSyncs = 0; // sync() calls in flight
+    this._syncDueAt = null; // When syncTimer fires
+    this._probeDueAt = null; // When _probeTimer fires
+    this._lastSyncAt = null; // Last successful sync
+    this._lastErrorAt = null; // Last failed sync
+    this._lastError = null; // { code, message } of the last failed sync
+    this._syncPromise = null; // sync() in flight, shared by concurrent callers
+    this._syncQueued = false; // Dispatched during the sync in flight; sync again after it
+    this._requestControllers = new Set(); // AbortControllers of HTTP requests in flight
+    this._lastStatusJson = null;
+    this._tabChannel = null;
+    this._tabTimer = null;
+    this._claimTimer = null;
+    this._claimLost = false;
+    this._leaderTabId = null;
+    this._lastLeaderSeenAt = 0;
+    this._leaderSyncWaiters = [];
+    this._tabSyncRequestCount = 0;
+    this._tabSyncRequests = []; // Leader: IDs of tab sync requests the next sync serves
+    this._options = options; // Shared with instances created by joinChannel()
+    this.channels = new Map(); // Channel name -> instance joined through joinChannel()
+    // The default channel keeps the original keys so existing storage still loads
+    const storageId = this.channel === DEFAULT_CHANNEL ? this.deviceId : `${this.deviceId}:${this.channel}`;
+    this.storageKey = `actionsync_${storageId}`;
+    this.fullQueueStorageKey = `actionsync_full_${storageId}`;
+    this.spillStorageKey = `actionsync_spill_${storageId}`;
+    this.spilledCount = 0; // Pending actions waiting in spillStorage
+    this._spillChain = Promise.resolve(); // Serializes read-modify-write of the spill
+    this._spillingActions = new WeakSet(); // Queued actions whose spill write is in flight
+
+    // Materialized state
+    this.reducers = { ...(options.reducers || {}) }; // Keyed by payload.type, '*' as fallback
+    this.compactors = {}; // payload.type -> { compact, keys, history }, see registerCompactor()
+    this.initialState = options.initialState !== undefined ? options.initialState : {};
+    this.state = this.initialState;
+    this._stateHead = null; // Last action folded into this.state
+    this.snapshot = null; // State checkpoint covering compacted history
 
     // Load persisted state if available
     this._initializationPromise = this._loadFromStorage().then(() => {
-      if (this.autoSync && this.serverUrl) {
-        this._startAutoSync();
+      if (this._destroyed) {
+        return;
+      }
+
+      this._initialized = true;
+      this._emit('storageLoaded', {
+        persisted: !!this.storage,
+        queueLength: this.actionQueue.length,
+        fullQueueLength: this.fullQueue.length
+      });
+      this._emitStatusChange();
+
+      if (this.crossTab) {
+        this._startTabCoordination();
+      } else {
+        this._startServerConnection();
       }
     });
 
-    this._log('ActionSync initialized', { deviceId: this.deviceId });
+    this._startConnectivityMonitoring();
+
+    this._log('ActionSync initialized', { deviceId: this.deviceId, channel: this.channel });
   }
 
   /**
@@ -41,6 +228,142 @@ export default class ActionSync {
     return this.actionQueue.length === 0;
   }
 
+  /**
+   * Subscribe to a lifecycle event
+   * @param {string} event - Event name (see EVENTS)
+   * @param {Function} listener - Called with the event data
+   * @returns {Function} Unsubscribe function
+   */
+  on(event, listener) {
+    if (!EVENTS.includes(event)) {
+      throw new Error(`Unknown event: ${event}`);
+    }
+
+    if (typeof listener !== 'function') {
+      throw new Error('Listener must be a function');
+    }
+
+    (this._listeners[event] = this._listeners[event] || []).push(listener);
+    return () => this.off(event, listener);
+  }
+
+  /**
+   * Unsubscribe from a lifecycle event
+   * @param {string} event - Event name
+   * @param {Function} listener - Listener passed to on() or once()
+   */
+  off(event, listener) {
+    const listeners = this._listeners[event];
+    if (!listeners) {
+      return;
+    }
+
+    this._listeners[event] = listeners.filter(existing =>
+      existing !== listener && existing._original !== listener
+    );
+  }
+
+  /**
+   * Observe the sync status: the listener gets the current getStatus() right away
+   * and every changed status after that
+   * @param {Function} listener - Called with the status
+   * @returns {Function} Unsubscribe function
+   */
+  subscribe(listener) {
+    const unsubscribe = this.on('statusChange', listener);
+    try {
+      listener(this.getStatus());
+    } catch (error) {
+      this._log('Event listener error', { event: 'statusChange', error: error.message });
+    }
+    return unsubscribe;
+  }
+
+  /**
+   * Subscribe to the next occurrence of a lifecycle event only
+   * @param {string} event - Event name (see EVENTS)
+   * @param {Function} listener - Called with the event data
+   * @returns {Function} Unsubscribe function
+   */
+  once(event, listener) {
+    const wrapper = (data) => {
+      this.off(event, wrapper);
+      listener(data);
+    };
+    wrapper._original = listener;
+    return this.on(event, wrapper);
+  }
+
+  /**
+   * Register a reducer for an action type
+   * Reducers must be pure: (state, payload, action) => newState, never mutating state.
+   * Use '*' to handle every action type that has no dedicated reducer.
+   * @param {string} type - Action payload type to handle
+   * @param {Function} reducer - Reducer function
+   */
+  registerReducer(type, reducer) {
+    if (typeof type !== 'string' || !type) {
+      throw new Error('Reducer type must be a non-empty string');
+    }
+
+    if (typeof reducer !== 'function') {
+      throw new Error('Reducer must be a function');
+    }
+
+    this.reducers[type] = reducer;
+    this._rebuildState();
+  }
+
+  /**
+   * Register a compactor that merges consecutive actions of a type, e.g. successive
+   * edits of the same field into one, or counter increments into their sum.
+   * A new pending action is merged into the pending action right before it when
+   * both have this type and the same values at `keys`, unless that action may
+   * already have been sent. Return null from the compactor to keep both.
+   * @param {string} type - Action payload type to compact
+   * @param {Function} compact - (previousPayload, payload) => merged payload or null
+   * @param {Object} options - { keys, history } dotted payload paths that must match,
+   *   and whether to also merge synced history before it is snapshotted or trimmed
+   */
+  registerCompactor(type, compact, options = {}) {
+    if (typeof type !== 'string' || !type) {
+      throw new Error('Compactor type must be a non-empty string');
+    }
+
+    if (typeof compact !== 'function') {
+      throw new Error('Compactor must be a function');
+    }
+
+    const keys = options.keys || [];
+    if (!Array.isArray(keys)) {
+      throw new Error('Compactor keys must be an array');
+    }
+
+    this.compactors[type] = { compact, keys, history: !!options.history };
+  }
+
+  /**
+   * Get the materialized state (synced history plus optimistic pending actions)
+   * @returns {*} Current state
+   */
+  getState() {
+    return this.state;
+  }
+
+  /**
+   * Fold synced history into a state snapshot and compact it out of fullQueue
+   * Requires registered reducers. History compactors merge the history first. Actions that could still sort after pending
+   * local actions are left in fullQueue so a later rebase can reorder them.
+   * @returns {Promise<Object|null>} The new snapshot, or null if nothing was compacted
+   */
+  async createSnapshot() {
+    const snapshot = this._takeSnapshot(this.fullQueue.length);
+    if (snapshot) {
+      await this._saveFullQueueToStorage();
+    }
+    return snapshot;
+  }
+
   /**
    * Wait for initialization to complete
    * @returns {Promise<void>} Promise that resolves when initialization is complete
@@ -49,6 +372,62 @@ export default class ActionSync {
     return this._initializationPromise || Promise.resolve();
   }
 
+  /**
+   * Join another channel as this device. The returned instance is a separate
+   * ActionSync with its own queues, cursor, state, storage keys, sync timer,
+   * socket and cross-tab leader election. It is built from this instance's
+   * options (server, transport settings, encryption) and storage adapter.
+   * Reducers, initial state and callbacks belong to one channel, so they come
+   * from `options` only.
+   * @param {string} name - Channel name
+   * @param {Object} options - Options for the channel, overriding the shared ones
+   * @returns {ActionSync} Instance syncing the channel
+   */
+  joinChannel(name, options = {}) {
+    if (typeof name !== 'string' || !name) {
+      throw new Error('Channel name must be a non-empty string');
+    }
+
+    if (name === this.channel) {
+      return this;
+    }
+    if (this.channels.has(name)) {
+      return this.channels.get(name);
+    }
+
+    const { reducers, initialState, onStateChange, onRemoteActions, ...shared } = this._options;
+    const instance = new ActionSync({
+      ...shared,
+      deviceId: this.deviceId,
+      storage: this.storage || undefined,
+      ...options,
+      channel: name
+    });
+    this.channels.set(name, instance);
+
+    this._log('Joined channel', { channel: name });
+    return instance;
+  }
+
+  /**
+   * Stop syncing a channel joined with joinChannel(). Its persisted queues and
+   * cursor are kept, so joining again resumes where it left off.
+   * @param {string} name - Channel name
+   * @returns {boolean} True if the channel was joined
+   */
+  leaveChannel(name) {
+    const instance = this.channels.get(name);
+    if (!instance) {
+      return false;
+    }
+
+    this.channels.delete(name);
+    instance._shutdown();
+
+    this._log('Left channel', { channel: name });
+    return true;
+  }
+
   /**
    * Dispatch an action with unique 64-bit ID
    * @param {Object} action - The action object to dispatch
@@ -64,23 +443,43 @@ export default class ActionSync {
       throw new Error('filterKeys must be an array');
     }
 
+    // Apply filtering if filterKeys is provided and the new action contains all filter keys.
+    // Replaced actions make room for the new one, and so does a pending action it merges into.
+    const payload = { ...action };
+    const replaced = filterKeys.length > 0 && this._actionContainsKeys(payload, filterKeys)
+      ? this._findMatchingActions(payload, filterKeys)
+      : [];
+    const remaining = this.actionQueue.filter(existing => !replaced.includes(existing));
+    const compaction = this._findCompaction({ deviceId: this.deviceId, payload }, remaining);
+    this._checkQueueRoom(1 - replaced.length - (compaction ? 1 : 0), action);
+
     const actionId = this._generateActionId();
-    const timestamp = Date.now();
+    const timestamp = this.clock.physical;
     
     const enhancedAction = {
       actionId,
       timestamp,
       deviceId: this.deviceId,
-      payload: { ...action }
+      payload: compaction ? compaction.payload : payload
     };
 
-    // Apply filtering if filterKeys is provided and the new action contains all filter keys
-    let removedCount = 0;
-    if (filterKeys.length > 0 && this._actionContainsKeys(enhancedAction.payload, filterKeys)) {
-      removedCount = this._removeMatchingActions(enhancedAction.payload, filterKeys);
+    let removedCount = this._removeMatchingActions(replaced, filterKeys);
+
+    const merged = compaction ? compaction.previous : null;
+    if (merged) {
+      this.actionQueue.pop();
+      removedCount++;
+      this._log('Compacted pending action', { type: payload.type, merged: merged.actionId, into: actionId });
     }
 
     this.actionQueue.push(enhancedAction);
+
+    if (removedCount > 0) {
+      this._rebuildState();
+    } else {
+      this._applyToState([enhancedAction]);
+    }
+    // After the state update: an overflow rebuilds state from what is left
     this._enforceQueueSize();
     
     // Persist changes to storage
@@ -92,17 +491,80 @@ export default class ActionSync {
       filterKeys: filterKeys.length > 0 ? filterKeys : undefined,
       removedDuplicates: removedCount || undefined
     });
-    
-    if (this.autoSync && this.serverUrl) {
-      // Debounced auto-sync
-      this._scheduleSync();
+    this._emit('dispatch', enhancedAction);
+    this._emitStatusChange();
+
+    if (this.crossTab) {
+      // Other tabs drop the same actions: the ones filterKeys replaced and the one merged into this
+      const message = { type: 'dispatch', actions: [enhancedAction] };
+      const replaces = (merged ? [...replaced, merged] : replaced).map(existing => this._actionKey(existing));
+      if (replaces.length > 0) {
+        message.replaces = replaces;
+      }
+      this._broadcastToTabs(message);
     }
+    
+    this._syncSoon();
 
     return actionId;
   }
 
   /**
-   * Synchronize with remote server
+   * Dispatch related actions as one group. The group is queued, persisted and pushed
+   * as a unit, and other devices only receive its actions once all of them arrived.
+   * @param {Array<Object>} actions - Action objects to dispatch together
+   * @returns {Array<string>} The generated action IDs, in order
+   */
+  dispatchBatch(actions) {
+    if (!Array.isArray(actions) || actions.length === 0) {
+      throw new Error('Batch must be a non-empty array of actions');
+    }
+
+    if (actions.some(action => !action || typeof action !== 'object')) {
+      throw new Error('Action must be a valid object');
+    }
+
+    // Overflow handling moves whole groups, so a larger group would be dropped or spilled at once
+    if (actions.length > this.maxQueueSize) {
+      const error = new Error(`Batch of ${actions.length} actions exceeds maxQueueSize (${this.maxQueueSize})`);
+      error.code = 'QUEUE_FULL';
+      throw error;
+    }
+
+    this._checkQueueRoom(actions.length, actions);
+
+    const grouped = actions.map(action => ({
+      actionId: this._generateActionId(),
+      timestamp: this.clock.physical,
+      deviceId: this.deviceId,
+      payload: { ...action }
+    }));
+    const groupId = grouped[0].actionId;
+    grouped.forEach((action, index) => {
+      action.group = { id: groupId, size: grouped.length, index };
+    });
+
+    this.actionQueue.push(...grouped);
+    this._applyToState(grouped);
+    this._enforceQueueSize();
+    this._saveToStorage();
+
+    this._log('Batch dispatched', { groupId, size: grouped.length });
+    grouped.forEach(action => this._emit('dispatch', action));
+    this._emitStatusChange();
+
+    if (this.crossTab) {
+      this._broadcastToTabs({ type: 'dispatch', actions: grouped });
+    }
+
+    this._syncSoon();
+
+    return grouped.map(action => action.actionId);
+  }
+
+  /**
+   * Synchronize with remote server. Only one sync runs at a time; calling sync()
+   * while one is in flight returns the same promise.
    * @returns {Promise<Object>} Sync result with remote action payloads
    */
   async sync() {
@@ -110,35 +572,116 @@ export default class ActionSync {
       throw new Error('Server URL not configured');
     }
 
-    try {
-      const payload = {
-        deviceId: this.deviceId,
-        lastActionId: this.lastActionId,
-        actions: this.actionQueue
-      };
+    if (!this.isLeader) {
+      return this._requestLeaderSync();
+    }
 
-      const response = await this._fetchWithRetry('/sync', {
-        method: 'POST',
-        headers: {
-          'Content-Type': 'application/json'
-        },
-        body: JSON.stringify(payload)
+    // A second pass over the same actionQueue would append it to fullQueue twice
+    if (!this._syncPromise) {
+      this._syncPromise = this._runSync().then(result => {
+        this._finishSync(true);
+        return result;
+      }, error => {
+        this._finishSync(false);
+        throw error;
       });
+    }
+    return this._syncPromise;
+  }
+
+  /**
+   * Push pending actions and pull remote ones (the body of sync())
+   * @returns {Promise<Object>} Sync result with remote action payloads
+   */
+  async _runSync() {
+    this._activeSyncs++;
+    this._emit('syncStart', { queueLength: this.actionQueue.length, lastActionId: this.lastActionId });
+    this._emitStatusChange();
+    // Tab requests received from now on wait for the next sync
+    const requestIds = this._tabSyncRequests.splice(0);
 
-      if (!response.ok) {
-        throw new Error(`Sync failed: ${response.status} ${response.statusText}`);
+    try {
+      if (this.spilledCount > 0) {
+        await this._refillFromSpill();
       }
 
-      const result = await response.json();
-      const remotePayloads = this._processRemoteActions(result.actions || []);
-      
-      if (result.lastActionId) {
-        this.lastActionId = result.lastActionId;
+      // Actions dispatched while a request is in flight are not part of this sync,
+      // and neither are actions on their way to the spill
+      const pending = this.actionQueue.filter(action => !this._spillingActions.has(action));
+      this._markAttempted(pending);
+      const { batches, oversized } = await this._buildPushBatches(pending);
+      this._throwIfDestroyed();
+      this._removeRejectedActions(oversized);
+
+      const syncedActions = [];
+      const rejected = [...oversized];
+      const remotePayloads = [];
+      let result = null;
+      let pushError = null;
+
+      // Push batch by batch (a pull-only request when nothing is pending), committing
+      // each acknowledged batch so a failure resumes from the failed batch next time
+      for (let index = 0; index < Math.max(batches.length, 1); index++) {
+        const batch = batches[index] || { actions: [], encoded: [] };
+        const payload = this._syncRequestBody(this.lastActionId, batch.encoded);
+
+        try {
+          result = await this._sendSyncRequestWithCursorReset(payload);
+        } catch (error) {
+          if (!result) {
+            throw error;
+          }
+          pushError = error;
+          break;
+        }
+
+        this._throwIfDestroyed();
+        const committed = this._commitAcknowledgements(result, batch.actions);
+        syncedActions.push(...committed.synced);
+        rejected.push(...committed.rejected);
+
+        // A page that can't be applied keeps the cursor where it was
+        try {
+          remotePayloads.push(...await this._applyPulledPage(result));
+        } catch (error) {
+          pushError = error;
+          break;
+        }
+
+        if (index < batches.length - 1) {
+          await Promise.all([
+            this._saveToStorage(),
+            this._saveFullQueueToStorage()
+          ]);
+        }
+      }
+
+      // Keep pulling until caught up; each page is delivered as it arrives
+      let hasMore = !!result.hasMore;
+      if (!pushError) {
+        try {
+          const paged = await this._pullRemainingPages(result);
+          hasMore = paged.hasMore;
+          remotePayloads.push(...paged.payloads);
+        } catch (error) {
+          pushError = error;
+        }
       }
 
-      // Move successfully synced actions from actionQueue to fullQueue
-      this.fullQueue.push(...this.actionQueue);
-      this.actionQueue = [];
+      this._throwIfDestroyed();
+      if (!pushError && !hasMore) {
+        this._expireIncompleteGroups();
+      }
+      if (this.crossTab) {
+        this._broadcastToTabs({
+          type: 'synced',
+          syncedKeys: syncedActions.map(action => this._actionKey(action)),
+          rejected,
+          lastActionId: this.lastActionId,
+          final: !pushError,
+          requestIds
+        });
+      }
 
       // Enforce queue size for fullQueue
       this._enforceFullQueueSize();
@@ -149,28 +692,61 @@ export default class ActionSync {
         this._saveFullQueueToStorage()
       ]);
 
+      if (pushError) {
+        this._log('Sync stopped early, resuming on next sync', {
+          acknowledged: syncedActions.length,
+          pending: this.actionQueue.length
+        });
+        throw pushError;
+      }
+
       this._log('Sync completed', { 
         remotePayloadsCount: remotePayloads.length,
+        acknowledged: syncedActions.length,
+        rejected: rejected.length,
+        pending: this.actionQueue.length,
         lastActionId: this.lastActionId 
       });
 
-      return {
+      const syncResult = {
         success: true,
         remotePayloads,
-        lastActionId: this.lastActionId
+        acceptedActionIds: syncedActions.map(action => action.actionId),
+        rejected,
+        lastActionId: this.lastActionId,
+        hasMore,
+        state: this.state
       };
+      this._activeSyncs--;
+      this._trackConnectivity(null);
+      this._trackFailures(null);
+      this._emit('syncSuccess', syncResult);
+      this._emitStatusChange();
+
+      return syncResult;
 
     } catch (error) {
       this._log('Sync failed', { error: error.message });
-      throw this._createSyncError(error);
+      const syncError = this._createSyncError(error);
+      if (this.crossTab) {
+        this._broadcastToTabs({ type: 'syncFailed', error: syncError.message, code: syncError.code, requestIds });
+      }
+      this._activeSyncs--;
+      this._trackConnectivity(syncError);
+      this._trackFailures(syncError);
+      this._emit('syncError', syncError);
+      this._emitStatusChange();
+      throw syncError;
     }
   }
 
   /**
    * Export all actions (fullQueue + actionQueue) as JSON string
-   * @returns {string} JSON representation of all actions
+   * Compacted history is carried by the snapshot, so snapshot + actions is complete.
+   * With an encryptionKey, payloads and snapshot state are encrypted.
+   * @returns {Promise<string>} JSON representation of all actions
    */
-  export() {
+  async export() {
     // Combine fullQueue and actionQueue for complete export
     const allActions = [...this.fullQueue, ...this.actionQueue];
 
@@ -178,54 +754,88 @@ export default class ActionSync {
       deviceId: this.deviceId,
       timestamp: Date.now(),
       actions: allActions,
+      snapshot: this.snapshot,
       lastActionId: this.lastActionId
     };
 
-    const jsonString = JSON.stringify(exportData, null, 2);
-    
     this._log('All actions exported', { 
       totalCount: allActions.length,
       fullQueueCount: this.fullQueue.length,
-      actionQueueCount: this.actionQueue.length
+      actionQueueCount: this.actionQueue.length,
+      encrypted: !!this.cipher
     });
-    
-    return jsonString;
+
+    const data = this.cipher ? await this._encryptExportData(exportData) : exportData;
+    return JSON.stringify(data, null, 2);
   }
 
 
 
   /**
    * Import actions from JSON string
+   * With an encryptionKey, payloads are decrypted first.
    * @param {string} jsonString - JSON data from export()
-   * @returns {Array} Array of action payloads to apply
+   * @returns {Promise<Array>} Array of action payloads to apply
    */
-  import(jsonString) {
+  async import(jsonString) {
     try {
       const importData = JSON.parse(jsonString);
-      
-      if (!importData.actions || !Array.isArray(importData.actions)) {
-        throw new Error('Invalid import data: missing or invalid actions array');
-      }
+      return this._importData(this.cipher ? await this._decryptExportData(importData) : importData);
+    } catch (error) {
+      this._log('Import failed', { error: error.message });
+      throw new Error(`Import failed: ${error.message}`);
+    }
+  }
 
-      // Extract payloads from imported actions, sorted by timestamp
-      const sortedActions = importData.actions.sort((a, b) => a.timestamp - b.timestamp);
-      const payloads = sortedActions.map(action => action.payload);
-      
-      if (importData.lastActionId && importData.lastActionId > this.lastActionId) {
-        this.lastActionId = importData.lastActionId;
-      }
+  /**
+   * Merge parsed export data into the local log
+   * @param {Object} importData - Parsed (and decrypted) export data
+   * @returns {Array} Array of action payloads to apply
+   */
+  _importData(importData) {
+    if (!importData.actions || !Array.isArray(importData.actions)) {
+      throw new Error('Invalid import data: missing or invalid actions array');
+    }
 
-      this._log('Actions imported', { 
-        payloadCount: payloads.length,
-        fromDevice: importData.deviceId 
-      });
+    // Extract payloads from imported actions, sorted by timestamp
+    const sortedActions = importData.actions.sort((a, b) => this._compareActions(a, b));
+    const payloads = sortedActions.map(action => action.payload);
+    
+    if (importData.lastActionId && importData.lastActionId > this.lastActionId) {
+      this.lastActionId = importData.lastActionId;
+    }
 
-      return payloads;
+    // Bootstrap from the exported snapshot when it is newer than ours
+    const adoptSnapshot = importData.snapshot &&
+      (!this.snapshot || this._compareActions(importData.snapshot, this.snapshot) > 0);
+    let behindSnapshot = [];
+    if (adoptSnapshot) {
+      this.snapshot = importData.snapshot;
+      // Local history the imported snapshot may not cover is merged again below
+      behindSnapshot = this.fullQueue.filter(action => this._compareActions(action, this.snapshot) <= 0);
+      this.fullQueue = this.fullQueue.filter(action => this._compareActions(action, this.snapshot) > 0);
+    }
 
-    } catch (error) {
-      this._log('Import failed', { error: error.message });
-      throw new Error(`Import failed: ${error.message}`);
+    this._observeActionClocks(sortedActions);
+
+    // Imported history becomes part of the local log so state includes it
+    const merged = this._mergeIntoFullQueue([...behindSnapshot, ...sortedActions]);
+    if (adoptSnapshot) {
+      this._rebuildState();
+    } else {
+      this._applyToState(merged);
     }
+    if (adoptSnapshot || merged.length > 0) {
+      this._enforceFullQueueSize();
+      this._saveFullQueueToStorage();
+    }
+
+    this._log('Actions imported', { 
+      payloadCount: payloads.length,
+      fromDevice: importData.deviceId 
+    });
+
+    return payloads;
   }
 
   /**
@@ -238,7 +848,7 @@ export default class ActionSync {
         throw new Error('Clipboard API not available');
       }
 
-      const exportData = this.export(); // This will clear the queue
+      const exportData = await this.export(); // This will clear the queue
       await navigator.clipboard.writeText(exportData);
       
       this._log('Actions exported to clipboard and queue cleared');
@@ -266,7 +876,7 @@ export default class ActionSync {
         throw new Error('Clipboard is empty');
       }
 
-      const payloads = this.import(clipboardText);
+      const payloads = await this.import(clipboardText);
       this._log('Actions imported from clipboard');
       
       return payloads;
@@ -283,27 +893,81 @@ export default class ActionSync {
    */
   getStatus() {
     return {
+      state: this._syncState(),
       deviceId: this.deviceId,
+      channel: this.channel,
       queueLength: this.actionQueue.length,
       fullQueueLength: this.fullQueue.length,
+      spilledCount: this.spilledCount,
       totalActionsCount: this.fullQueue.length + this.actionQueue.length,
       lastActionId: this.lastActionId,
+      snapshotActionId: this.snapshot ? this.snapshot.actionId : null,
       autoSync: this.autoSync,
+      online: this.online,
+      paused: this.paused,
+      circuitOpenUntil: this._circuitOpenUntil > Date.now() ? this._circuitOpenUntil : null,
+      lastSyncAt: this._lastSyncAt,
+      lastErrorAt: this._lastErrorAt,
+      lastError: this._lastError,
+      consecutiveFailures: this._consecutiveSyncFailures,
+      nextSyncAt: this._nextSyncAt(),
       serverUrl: this.serverUrl,
+      tabRole: this.crossTab ? (this.isLeader ? 'leader' : 'follower') : null,
       isSynced: this.isSynced()
     };
   }
 
+  /**
+   * Stop talking to the server until resume(): no periodic or scheduled syncs and
+   * no socket. Dispatches keep queueing, and an explicit sync() still runs.
+   */
+  pause() {
+    if (this.paused) {
+      return;
+    }
+
+    this.paused = true;
+    this._stopServerConnection();
+    this._clearConnectivityProbe();
+
+    this._log('Sync paused');
+    this._emitStatusChange();
+  }
+
+  /**
+   * Undo pause() and flush pending actions right away (once back online)
+   */
+  resume() {
+    if (!this.paused) {
+      return;
+    }
+
+    this.paused = false;
+    this._log('Sync resumed');
+    this._emitStatusChange();
+
+    if (this.online) {
+      this._reconnect(true);
+    } else if (this._offlineReason === 'network') {
+      this._scheduleConnectivityProbe();
+    }
+  }
+
   /**
    * Clear the action queue
    */
   clearQueue() {
     this.actionQueue = [];
+    this._rebuildState();
+    if (this.spilledCount > 0) {
+      this._updateSpill(() => []);
+    }
     
     // Persist changes to storage
     this._saveToStorage();
     
     this._log('Action queue cleared');
+    this._emitStatusChange();
   }
 
   /**
@@ -311,21 +975,24 @@ export default class ActionSync {
    */
   async clearFullQueue() {
     this.fullQueue = [];
+    this.snapshot = null;
+    this._rebuildState();
     
     // Persist changes to storage
     await this._saveFullQueueToStorage();
     
     this._log('Full queue cleared');
+    this._emitStatusChange();
   }
 
   /**
    * Destroy the instance and cleanup
    */
   destroy() {
-    if (this.syncTimer) {
-      clearTimeout(this.syncTimer);
-      this.syncTimer = null;
-    }
+    this.channels.forEach(instance => instance.destroy());
+    this.channels.clear();
+
+    this._shutdown();
     this.actionQueue = [];
     this.fullQueue = [];
     
@@ -333,137 +1000,417 @@ export default class ActionSync {
     this._clearStorage();
     
     this._log('ActionSync destroyed');
+    this._emitStatusChange();
+    this._listeners = {};
   }
 
   // Private methods
 
   /**
-   * Check if Chrome storage is available
-   * @returns {boolean} True if Chrome storage is available
+   * Stop every timer and connection, leaving queues and storage as they are
    */
-  _isChromeStorageAvailable() {
-    return typeof chrome !== 'undefined' && 
-           chrome.storage && 
-           chrome.storage.local &&
-           this.enablePersistence;
+  _shutdown() {
+    this._destroyed = true;
+    if (this.syncTimer) {
+      clearTimeout(this.syncTimer);
+      this.syncTimer = null;
+      this._syncDueAt = null;
+    }
+    this._closeSocket();
+    this._stopTabCoordination();
+    this._stopConnectivityMonitoring();
+    this._requestControllers.forEach(controller => controller.abort());
   }
 
   /**
-   * Load state from Chrome storage
-   * @returns {Promise<void>}
+   * Clean up after a sync() run and start the follow-up sync asked for by
+   * dispatches made while it was in flight
+   * @param {boolean} succeeded - Whether the run succeeded
    */
-  async _loadFromStorage() {
-    if (!this._isChromeStorageAvailable()) {
-      return;
+  _finishSync(succeeded) {
+    this._syncPromise = null;
+    const queued = this._syncQueued;
+    this._syncQueued = false;
+
+    // After a failure the pending actions wait for the regular retry schedule
+    if ((queued || this.spilledCount > 0) && succeeded && this._canAutoSync()) {
+      this._scheduleSync(0);
     }
+  }
 
-    try {
-      // Load both regular state and fullQueue in parallel
-      const [regularResult, fullQueueResult] = await Promise.all([
-        new Promise((resolve, reject) => {
-          chrome.storage.local.get([this.storageKey], (result) => {
-            if (chrome.runtime.lastError) {
-              reject(chrome.runtime.lastError);
-            } else {
-              resolve(result);
-            }
-          });
-        }),
-        new Promise((resolve, reject) => {
-          chrome.storage.local.get([this.fullQueueStorageKey], (result) => {
-            if (chrome.runtime.lastError) {
-              reject(chrome.runtime.lastError);
-            } else {
-              resolve(result);
-            }
-          });
-        })
-      ]);
-
-      // Load regular state
-      const storedData = regularResult[this.storageKey];
-      if (storedData) {
-        this.actionQueue = storedData.actionQueue || [];
-        this.lastActionId = storedData.lastActionId || '0';
-        this.actionIdCounter = storedData.actionIdCounter || 0;
-      }
+  /**
+   * Sync a newly pending action soon: right away over an open socket, debounced
+   * over HTTP, or once the sync in flight has finished
+   */
+  _syncSoon() {
+    if (!this._canAutoSync()) {
+      return;
+    }
 
-      // Load fullQueue separately
-      const fullQueueData = fullQueueResult[this.fullQueueStorageKey];
-      if (fullQueueData && fullQueueData.compressedFullQueue) {
-        this.fullQueue = this._decompressData(fullQueueData.compressedFullQueue);
-      } else {
-        this.fullQueue = [];
-      }
-        
-      this._log('State loaded from storage', { 
-        queueLength: this.actionQueue.length,
-        fullQueueLength: this.fullQueue.length
-      });
-    } catch (error) {
-      this._log('Failed to load from storage', { error: error.message });
+    if (this._syncPromise) {
+      this._syncQueued = true;
+      return;
     }
+    this._scheduleSync(this._isSocketOpen() ? 0 : 1000);
   }
 
   /**
-   * Save regular state to Chrome storage (excluding fullQueue)
-   * @returns {Promise<void>}
+   * Stop a sync run that destroy() interrupted before it touches queues or storage
    */
-  async _saveToStorage() {
-    if (!this._isChromeStorageAvailable()) {
-      return;
+  _throwIfDestroyed() {
+    if (this._destroyed) {
+      throw this._abortError();
     }
+  }
 
-    try {
-      const dataToStore = {
-        actionQueue: this.actionQueue,
+  /**
+   * Error for requests and syncs cut short by destroy()
+   * @returns {Error} Error with code ABORTED
+   */
+  _abortError() {
+    const error = new Error('Sync aborted: instance destroyed');
+    error.code = 'ABORTED';
+    return error;
+  }
+
+  /**
+   * Work out the current SYNC_STATES value
+   * @returns {string} Sync state
+   */
+  _syncState() {
+    if (this._destroyed) {
+      return 'destroyed';
+    }
+    if (!this._initialized) {
+      return 'initializing';
+    }
+    if (this._activeSyncs > 0) {
+      return 'syncing';
+    }
+    if (!this.online) {
+      return 'offline';
+    }
+    if (this._consecutiveSyncFailures > 0) {
+      return 'error';
+    }
+    return this._nextSyncAt() !== null ? 'scheduled' : 'idle';
+  }
+
+  /**
+   * When the next timer-driven sync or offline probe starts
+   * @returns {number|null} Timestamp, or null when none is scheduled
+   */
+  _nextSyncAt() {
+    const due = [this._syncDueAt, this._probeDueAt].filter(at => at !== null);
+    return due.length > 0 ? Math.min(...due) : null;
+  }
+
+  /**
+   * Check whether timers should be syncing with the server right now
+   * @returns {boolean} True if auto-sync may run
+   */
+  _canAutoSync() {
+    return this.autoSync && !!this.serverUrl && this.isLeader && !this._destroyed &&
+      !this.paused && this.online;
+  }
+
+  /**
+   * Follow the browser's online/offline events when there are any
+   */
+  _startConnectivityMonitoring() {
+    if (typeof window === 'undefined' || !window.addEventListener) {
+      return;
+    }
+
+    this._connectivityHandler = (event) => this._setOnline(event.type === 'online', 'browser');
+    window.addEventListener('online', this._connectivityHandler);
+    window.addEventListener('offline', this._connectivityHandler);
+  }
+
+  /**
+   * Remove the browser listeners and stop probing
+   */
+  _stopConnectivityMonitoring() {
+    if (this._connectivityHandler) {
+      window.removeEventListener('online', this._connectivityHandler);
+      window.removeEventListener('offline', this._connectivityHandler);
+      this._connectivityHandler = null;
+    }
+    this._clearConnectivityProbe();
+  }
+
+  /**
+   * Update connectivity from a sync outcome. Without browser events, a run of
+   * network errors is the only sign of being offline, and a success the sign of
+   * being back.
+   * @param {Error|null} syncError - Structured sync error, or null on success
+   */
+  _trackConnectivity(syncError) {
+    if (!syncError) {
+      this._consecutiveNetworkFailures = 0;
+      this._setOnline(true, 'network');
+      return;
+    }
+
+    if (syncError.code !== 'NETWORK_ERROR' && syncError.code !== 'TIMEOUT') {
+      return;
+    }
+
+    this._consecutiveNetworkFailures++;
+    if (!this.online) {
+      if (this._offlineReason === 'network') {
+        this._scheduleConnectivityProbe();
+      }
+    } else if (this._consecutiveNetworkFailures >= this.offlineAfterFailures) {
+      this._setOnline(false, 'network');
+    }
+  }
+
+  /**
+   * Update the circuit breaker from a sync outcome. A run of failed syncs opens it,
+   * holding auto-sync back for a cooldown; a success closes it. A Retry-After from
+   * the server holds auto-sync back the same way.
+   * @param {Error|null} syncError - Structured sync error, or null on success
+   */
+  _trackFailures(syncError) {
+    if (!syncError) {
+      if (this._circuitOpens > 0) {
+        this._log('Circuit breaker closed');
+      }
+      this._lastSyncAt = Date.now();
+      this._consecutiveSyncFailures = 0;
+      this._circuitOpens = 0;
+      this._circuitOpenUntil = 0;
+      this._retryAfterUntil = 0;
+      return;
+    }
+
+    this._lastErrorAt = Date.now();
+    this._lastError = { code: syncError.code, message: syncError.message };
+    if (syncError.retryAfter !== undefined) {
+      this._retryAfterUntil = Date.now() + syncError.retryAfter;
+    }
+
+    const { failureThreshold, cooldown, maxCooldown } = this.circuitBreaker;
+    if (++this._consecutiveSyncFailures < failureThreshold) {
+      return;
+    }
+
+    // Every failure past the threshold is a failed trial sync after a cooldown
+    const wait = Math.min(maxCooldown, cooldown * Math.pow(2, this._circuitOpens++));
+    this._circuitOpenUntil = Date.now() + wait;
+    this._log('Circuit breaker opened', { failures: this._consecutiveSyncFailures, cooldown: wait });
+  }
+
+  /**
+   * Stretch an auto-sync delay past an open circuit breaker or a server's Retry-After
+   * @param {number} delay - Wanted delay in milliseconds
+   * @returns {number} Delay to use
+   */
+  _autoSyncDelay(delay) {
+    const now = Date.now();
+    return Math.max(delay, this._circuitOpenUntil - now, this._retryAfterUntil - now);
+  }
+
+  /**
+   * Switch between online and offline. Going offline stops the timers and socket;
+   * coming back restarts them and flushes pending actions.
+   * @param {boolean} online - New connectivity
+   * @param {string} reason - 'browser' (online/offline events) or 'network' (sync outcomes)
+   */
+  _setOnline(online, reason) {
+    if (this.online === online || this._destroyed) {
+      return;
+    }
+
+    this.online = online;
+    this._offlineReason = online ? null : reason;
+    this._consecutiveNetworkFailures = 0;
+    this._log(online ? 'Back online' : 'Gone offline', { reason });
+    this._emit('connectivityChange', { online, reason });
+    this._emitStatusChange();
+
+    if (!online) {
+      this._stopServerConnection();
+      if (reason === 'network') {
+        // No event will say we're back, so keep trying at a slower pace
+        this._scheduleConnectivityProbe();
+      }
+      return;
+    }
+
+    this._clearConnectivityProbe();
+    if (!this.paused) {
+      // A successful sync already flushed the queue
+      this._reconnect(reason !== 'network');
+    }
+  }
+
+  /**
+   * Restart timers and the socket after a pause or an offline period
+   * @param {boolean} flush - Also sync right away
+   */
+  _reconnect(flush) {
+    if (!this.isLeader || this._destroyed) {
+      return;
+    }
+
+    this._startServerConnection();
+    if (flush && this._canAutoSync()) {
+      this._scheduleSync(0);
+    }
+  }
+
+  /**
+   * Try a sync every offlineProbeInterval while offline after network errors
+   */
+  _scheduleConnectivityProbe() {
+    this._clearConnectivityProbe();
+    if (!this._canProbe()) {
+      return;
+    }
+
+    const delay = this._autoSyncDelay(this.offlineProbeInterval);
+    this._probeDueAt = Date.now() + delay;
+    this._probeTimer = setTimeout(() => {
+      this._probeTimer = null;
+      this._probeDueAt = null;
+      this.sync().catch(error => {
+        this._log('Offline probe failed', { error: error.message });
+      });
+    }, delay);
+    this._emitStatusChange();
+  }
+
+  /**
+   * Check whether offline probes should run
+   * @returns {boolean} True if a probe may be scheduled
+   */
+  _canProbe() {
+    return this.autoSync && !!this.serverUrl && this.isLeader && !this._destroyed && !this.paused;
+  }
+
+  /**
+   * Cancel a pending offline probe
+   */
+  _clearConnectivityProbe() {
+    if (this._probeTimer) {
+      clearTimeout(this._probeTimer);
+      this._probeTimer = null;
+      this._probeDueAt = null;
+    }
+  }
+
+  /**
+   * Pick the default storage adapter for the current environment
+   * @returns {Object|null} Storage adapter, or null if none is available
+   */
+  _createDefaultStorage() {
+    if (ChromeStorageAdapter.isAvailable()) {
+      return new ChromeStorageAdapter();
+    }
+    return null;
+  }
+
+  /**
+   * Load state from the storage adapter
+   * @returns {Promise<void>}
+   */
+  async _loadFromStorage() {
+    try {
+      if (this.spillStorage) {
+        await this._updateSpill(spilled => spilled);
+      }
+
+      if (!this.storage) {
+        return;
+      }
+
+      // Load both regular state and fullQueue in parallel
+      const [storedData, fullQueueData] = await Promise.all([
+        this.storage.get(this.storageKey),
+        this.storage.get(this.fullQueueStorageKey)
+      ]);
+
+      // Load regular state
+      if (storedData) {
+        this.actionQueue = storedData.actionQueue || [];
+        // A previous session may have sent these before it saved their flags
+        this._markAttempted(this.actionQueue);
+        this.lastActionId = storedData.lastActionId || '0';
+        this.clock = storedData.clock || this.clock;
+        (storedData.incompleteGroups || []).forEach(action => {
+          const groupKey = `${action.deviceId}:${action.group.id}`;
+          this.incompleteGroups.set(groupKey, [...(this.incompleteGroups.get(groupKey) || []), action]);
+        });
+      }
+
+      // Load fullQueue separately
+      if (fullQueueData && fullQueueData.compressedFullQueue) {
+        this.fullQueue = this._decompressData(fullQueueData.compressedFullQueue);
+      } else {
+        this.fullQueue = [];
+      }
+      this.snapshot = (fullQueueData && fullQueueData.snapshot) || null;
+
+      this._rebuildState();
+
+      this._log('State loaded from storage', { 
+        queueLength: this.actionQueue.length,
+        fullQueueLength: this.fullQueue.length
+      });
+    } catch (error) {
+      this._log('Failed to load from storage', { error: error.message });
+    }
+  }
+
+  /**
+   * Save regular state to storage (excluding fullQueue)
+   * @returns {Promise<boolean>} False if the write failed
+   */
+  async _saveToStorage() {
+    if (!this.storage || !this.isLeader) {
+      return true;
+    }
+
+    try {
+      const dataToStore = {
+        actionQueue: this.actionQueue,
         lastActionId: this.lastActionId,
-        actionIdCounter: this.actionIdCounter,
+        clock: this.clock,
+        incompleteGroups: [...this.incompleteGroups.values()].flat(),
         timestamp: Date.now()
       };
 
-      await new Promise((resolve, reject) => {
-        chrome.storage.local.set({ [this.storageKey]: dataToStore }, () => {
-          if (chrome.runtime.lastError) {
-            reject(chrome.runtime.lastError);
-          } else {
-            resolve();
-          }
-        });
-      });
+      await this.storage.set(this.storageKey, dataToStore);
 
       this._log('State saved to storage', { 
         queueLength: this.actionQueue.length
       });
+      return true;
     } catch (error) {
       this._log('Failed to save to storage', { error: error.message });
+      return false;
     }
   }
 
   /**
-   * Save fullQueue to Chrome storage separately
+   * Save fullQueue to storage separately
    * @returns {Promise<void>}
    */
   async _saveFullQueueToStorage() {
-    if (!this._isChromeStorageAvailable()) {
+    if (!this.storage || !this.isLeader) {
       return;
     }
 
     try {
       const dataToStore = {
         compressedFullQueue: this._compressData(this.fullQueue),
+        snapshot: this.snapshot,
         timestamp: Date.now()
       };
 
-      await new Promise((resolve, reject) => {
-        chrome.storage.local.set({ [this.fullQueueStorageKey]: dataToStore }, () => {
-          if (chrome.runtime.lastError) {
-            reject(chrome.runtime.lastError);
-          } else {
-            resolve();
-          }
-        });
-      });
+      await this.storage.set(this.fullQueueStorageKey, dataToStore);
 
       this._log('FullQueue saved to storage', { 
         fullQueueLength: this.fullQueue.length
@@ -478,20 +1425,15 @@ export default class ActionSync {
    * @returns {Promise<void>}
    */
   async _clearStorage() {
-    if (!this._isChromeStorageAvailable()) {
+    if (!this.storage || !this.isLeader) {
       return;
     }
 
     try {
-      await new Promise((resolve, reject) => {
-        chrome.storage.local.remove([this.storageKey, this.fullQueueStorageKey], () => {
-          if (chrome.runtime.lastError) {
-            reject(chrome.runtime.lastError);
-          } else {
-            resolve();
-          }
-        });
-      });
+      await this.storage.remove([this.storageKey, this.fullQueueStorageKey]);
+      if (this.spillStorage) {
+        await this.spillStorage.remove([this.spillStorageKey]);
+      }
 
       this._log('Storage cleared');
     } catch (error) {
@@ -500,153 +1442,1866 @@ export default class ActionSync {
   }
 
   /**
-   * Generate a 64-bit unique action ID with timestamp in leftmost bits
-   * @returns {string} Unique action ID
+   * Generate a unique, sortable 64-bit action ID from the hybrid logical clock.
+   * Layout (16 hex digits): [44-bit physical ms][8-bit logical counter][12-bit device tag].
+   * 44 bits of milliseconds last until the year 2527; new IDs still sort after the
+   * original [48-bit timestamp][16-bit counter] IDs, whose first digit is always 0.
+   * @returns {string} Unique action ID
+   */
+  _generateActionId() {
+    this._tickClock();
+    return this._formatActionId(this.clock.physical, this.clock.logical);
+  }
+
+  /**
+   * Format clock components and the device tag as a hex action ID
+   * @param {number} physical - Physical milliseconds
+   * @param {number} logical - Logical counter
+   * @returns {string} Action ID
+   */
+  _formatActionId(physical, logical) {
+    return [
+      physical.toString(16).padStart(11, '0'),
+      logical.toString(16).padStart(2, '0'),
+      this.deviceTag
+    ].join('');
+  }
+
+  /**
+   * Advance the clock for a local event
+   */
+  _tickClock() {
+    const now = Date.now();
+    if (now > this.clock.physical) {
+      this.clock = { physical: now, logical: 0 };
+    } else {
+      this.clock = { physical: this.clock.physical, logical: this.clock.logical + 1 };
+    }
+    this._normalizeClock();
+  }
+
+  /**
+   * Advance the clock past a remote event so later local actions sort after it
+   * @param {number} physical - Remote physical milliseconds
+   * @param {number} logical - Remote logical counter
+   */
+  _observeClock(physical, logical) {
+    const now = Date.now();
+    if (!Number.isFinite(physical) || physical > now + this.maxClockDrift) {
+      this._log('Ignoring remote clock outside allowed drift', { physical });
+      return;
+    }
+
+    const local = this.clock;
+    const nextPhysical = Math.max(local.physical, physical, now);
+    let nextLogical = 0;
+
+    if (nextPhysical === local.physical && nextPhysical === physical) {
+      nextLogical = Math.max(local.logical, logical) + 1;
+    } else if (nextPhysical === local.physical) {
+      nextLogical = local.logical + 1;
+    } else if (nextPhysical === physical) {
+      nextLogical = logical + 1;
+    }
+
+    this.clock = { physical: nextPhysical, logical: nextLogical };
+    this._normalizeClock();
+  }
+
+  /**
+   * Advance the clock past every received action
+   * @param {Array} actions - Remote or imported actions
+   */
+  _observeActionClocks(actions) {
+    actions.forEach(action => {
+      const { physical, logical } = this._parseActionClock(action);
+      this._observeClock(physical, logical);
+    });
+  }
+
+  /**
+   * Carry logical counter overflow into the physical component
+   */
+  _normalizeClock() {
+    if (this.clock.logical > 0xFF) {
+      this.clock = { physical: this.clock.physical + 1, logical: 0 };
+    }
+  }
+
+  /**
+   * Read the clock components of an action, from its ID when it is hex-encoded
+   * @param {Object} action - Action to inspect
+   * @returns {Object} { physical, logical }
+   */
+  _parseActionClock(action) {
+    if (typeof action.actionId === 'string' && /^[0-9a-f]{16}$/i.test(action.actionId)) {
+      return {
+        physical: parseInt(action.actionId.slice(0, 11), 16),
+        logical: parseInt(action.actionId.slice(11, 13), 16)
+      };
+    }
+    return { physical: Number(action.timestamp), logical: 0 };
+  }
+
+  /**
+   * Hash the device ID into a 12-bit hex discriminator (FNV-1a)
+   * @param {string} deviceId - Device identifier
+   * @returns {string} Three hex digits
+   */
+  _hashDeviceId(deviceId) {
+    let hash = 0x811c9dc5;
+    for (let i = 0; i < deviceId.length; i++) {
+      hash ^= deviceId.charCodeAt(i);
+      hash = Math.imul(hash, 0x01000193);
+    }
+    return ((hash ^ (hash >>> 16)) & 0xFFF).toString(16).padStart(3, '0');
+  }
+
+  /**
+   * Generate a unique device ID
+   * @returns {string} Device identifier
+   */
+  _generateDeviceId() {
+    const timestamp = Date.now().toString(36);
+    const random = Math.random().toString(36).substr(2, 9);
+    return `device-${timestamp}-${random}`;
+  }
+
+  /**
+   * Apply one page of a sync response: remote actions and the cursor
+   * @param {Object} page - Sync response body
+   * @returns {Promise<Array>} Newly delivered remote payloads
+   */
+  async _applyPulledPage(page) {
+    if (page.serverTimestamp) {
+      this._observeClock(page.serverTimestamp, 0);
+    }
+    const remoteActions = await this._decryptRemoteActions(page.actions || []);
+    const payloads = this._processRemoteActions(remoteActions);
+
+    if (page.lastActionId) {
+      this.lastActionId = page.lastActionId;
+    }
+    return payloads;
+  }
+
+  /**
+   * Pull the pages after the first sync response until the server reports no more.
+   * A failed request ends the loop without failing the sync; the next sync resumes
+   * from the cursor reached so far. A page that can't be applied throws.
+   * @param {Object} firstPage - First sync response body
+   * @returns {Promise<Object>} { hasMore, payloads } where hasMore is true if pages remain on the server
+   */
+  async _pullRemainingPages(firstPage) {
+    const payloads = [];
+    let page = firstPage;
+    while (page.hasMore && !this._destroyed) {
+      const cursor = this.lastActionId;
+      const request = this._syncRequestBody(cursor, []);
+
+      try {
+        page = await this._sendSyncRequest(request);
+      } catch (error) {
+        this._log('Page pull failed, resuming on next sync', { lastActionId: cursor, error: error.message });
+        return { hasMore: true, payloads };
+      }
+
+      payloads.push(...await this._applyPulledPage(page));
+      if (this.lastActionId === cursor) {
+        this._log('Server reported more pages without advancing the cursor', { lastActionId: cursor });
+        return { hasMore: !!page.hasMore, payloads };
+      }
+      // Persist the cursor together with the pulled history it covers
+      await Promise.all([
+        this._saveToStorage(),
+        this._saveFullQueueToStorage()
+      ]);
+    }
+    return { hasMore: !!page.hasMore, payloads };
+  }
+
+  /**
+   * Split pending actions into push batches bounded by maxBatchSize and maxBatchBytes.
+   * An action too large to fit any batch can never be pushed, so it is rejected locally.
+   * @param {Array} actions - Pending actions in queue order
+   * @returns {Promise<Object>} { batches: [{ actions, encoded, bytes }], oversized: [{ action, actionId, error }] }
+   */
+  async _buildPushBatches(actions) {
+    // The attempted flag is local bookkeeping, not part of the action
+    const encoded = (await this._encryptActions(actions)).map(({ attempted, ...wireAction }) => wireAction);
+    const encoder = new TextEncoder();
+    const batches = [];
+    const oversized = [];
+    let current = null;
+
+    // A dispatchBatch group is one unit: it goes in a single request (even past
+    // maxBatchSize) or, when larger than maxBatchBytes, not at all
+    const units = [];
+    encoded.forEach((wireAction, index) => {
+      const action = actions[index];
+      const member = { action, wireAction, bytes: encoder.encode(JSON.stringify(wireAction)).length };
+      const unit = units[units.length - 1];
+      if (unit && this._sameGroup(unit.members[unit.members.length - 1].action, action)) {
+        unit.members.push(member);
+        unit.bytes += member.bytes;
+      } else {
+        units.push({ members: [member], bytes: member.bytes });
+      }
+    });
+
+    units.forEach(({ members, bytes }) => {
+      if (bytes > this.maxBatchBytes) {
+        const error = members.length > 1
+          ? `Group is ${bytes} bytes, larger than maxBatchBytes (${this.maxBatchBytes})`
+          : `Action is ${bytes} bytes, larger than maxBatchBytes (${this.maxBatchBytes})`;
+        members.forEach(({ action }) => oversized.push({ action, actionId: action.actionId, error }));
+        return;
+      }
+
+      if (!current || (current.actions.length > 0 &&
+          (current.actions.length + members.length > this.maxBatchSize || current.bytes + bytes > this.maxBatchBytes))) {
+        current = { actions: [], encoded: [], bytes: 0 };
+        batches.push(current);
+      }
+      members.forEach(({ action, wireAction }) => {
+        current.actions.push(action);
+        current.encoded.push(wireAction);
+      });
+      current.bytes += bytes;
+    });
+
+    return { batches, oversized };
+  }
+
+  /**
+   * Move the acknowledged actions of a pushed batch to fullQueue and drop the rejected ones
+   * @param {Object} result - Sync response body
+   * @param {Array} batchActions - Actions included in the request
+   * @returns {Object} { synced, rejected }
+   */
+  _commitAcknowledgements(result, batchActions) {
+    const { acceptedKeys, rejectedErrors } = this._readAcknowledgements(result, batchActions);
+    const synced = this.actionQueue.filter(action => acceptedKeys.has(this._actionKey(action)));
+    const rejected = this.actionQueue
+      .filter(action => rejectedErrors.has(this._actionKey(action)))
+      .map(action => ({ action, actionId: action.actionId, error: rejectedErrors.get(this._actionKey(action)) }));
+
+    // Out of the pending queue first: pending actions count as known to the merge
+    this.actionQueue = this.actionQueue.filter(action => !acceptedKeys.has(this._actionKey(action)));
+    this._mergeIntoFullQueue(synced);
+    this._removeRejectedActions(rejected);
+
+    return { synced, rejected };
+  }
+
+  /**
+   * Work out which sent actions the server acknowledged or rejected.
+   * Servers that predate per-action acknowledgements reply without
+   * acceptedActionIds; a successful reply then acknowledges every sent action.
+   * @param {Object} result - Sync response body
+   * @param {Array} sentActions - Actions included in the request
+   * @returns {Object} { acceptedKeys: Set, rejectedErrors: Map<key, error> }
+   */
+  _readAcknowledgements(result, sentActions) {
+    const rejectedErrors = new Map();
+    (Array.isArray(result.rejected) ? result.rejected : []).forEach(entry => {
+      if (entry && entry.actionId) {
+        rejectedErrors.set(`${this.deviceId}:${entry.actionId}`, entry.error || 'Rejected by server');
+      }
+    });
+
+    const acceptedIds = Array.isArray(result.acceptedActionIds)
+      ? result.acceptedActionIds
+      : sentActions.map(action => action.actionId).filter(actionId => !rejectedErrors.has(`${this.deviceId}:${actionId}`));
+
+    const acceptedKeys = new Set(acceptedIds.map(actionId => `${this.deviceId}:${actionId}`));
+    return { acceptedKeys, rejectedErrors };
+  }
+
+  /**
+   * Drop actions the server rejected from the pending queue, undo their
+   * optimistic effect on state, and report them
+   * @param {Array} rejected - Entries of { action, actionId, error }
+   */
+  _removeRejectedActions(rejected) {
+    if (rejected.length === 0) {
+      return;
+    }
+
+    const rejectedKeys = new Set(rejected.map(entry => this._actionKey(entry.action)));
+    this.actionQueue = this.actionQueue.filter(action => !rejectedKeys.has(this._actionKey(action)));
+
+    this._log('Actions rejected by server', {
+      rejected: rejected.map(({ actionId, error }) => ({ actionId, error }))
+    });
+    this._rebuildState();
+    rejected.forEach(entry => this._emit('actionRejected', entry));
+  }
+
+  /**
+   * Process remote actions and return only payloads
+   * @param {Array} remoteActions - Actions from server
+   * @returns {Array} Array of payloads for user to apply
+   */
+  _processRemoteActions(remoteActions) {
+    if (!Array.isArray(remoteActions) || remoteActions.length === 0) {
+      return [];
+    }
+
+    this._observeActionClocks(remoteActions);
+    const sortedActions = this._holdIncompleteGroups(remoteActions).sort((a, b) => this._compareActions(a, b));
+
+    // Fold remote actions into the log, rebasing pending local actions if needed.
+    // Only actions not seen before (e.g. already pushed over the socket) are delivered.
+    const merged = this._mergeIntoFullQueue(sortedActions);
+    this._applyToState(merged);
+
+    const payloads = merged.map(action => action.payload);
+    if (payloads.length === 0) {
+      return payloads;
+    }
+
+    if (this.crossTab && this.isLeader) {
+      this._broadcastToTabs({ type: 'remoteActions', actions: merged });
+    }
+
+    this._log('Remote actions processed', { count: payloads.length });
+    
+    this._emit('remoteActions', payloads);
+
+    // Call user callback for auto sync if provided
+    if (this.onRemoteActions && typeof this.onRemoteActions === 'function') {
+      try {
+        this.onRemoteActions(payloads);
+      } catch (error) {
+        this._log('User callback error', { error: error.message });
+      }
+    }
+
+    return payloads;
+  }
+
+  /**
+   * Hold back members of dispatchBatch groups until the whole group has arrived
+   * (a group can span pull pages). Held members are persisted with the queue.
+   * Groups are checked as a whole: if any member is already in the log or the
+   * snapshot, the group was processed before and its members pass through to dedupe.
+   * @param {Array} actions - Remote actions
+   * @returns {Array} Actions ready to process, including groups completed now
+   */
+  _holdIncompleteGroups(actions) {
+    const knownKeys = this._knownActionKeys();
+    const isKnown = action => knownKeys.has(this._actionKey(action)) || this._coveredBySnapshotBase(action);
+    const ready = [];
+    const arrived = new Map(); // groupKey -> members in this call, by actionId
+
+    actions.forEach(action => {
+      if (!action.group) {
+        ready.push(action);
+        return;
+      }
+      const groupKey = `${action.deviceId}:${action.group.id}`;
+      const members = arrived.get(groupKey) || new Map();
+      members.set(action.actionId, action);
+      arrived.set(groupKey, members);
+    });
+
+    arrived.forEach((incoming, groupKey) => {
+      const held = this.incompleteGroups.get(groupKey) || [];
+      const members = [...held, ...[...incoming.values()].filter(action =>
+        !held.some(member => member.actionId === action.actionId))];
+      const size = members[0].group.size;
+
+      if (members.some(isKnown) || members.length >= size) {
+        this.incompleteGroups.delete(groupKey);
+        ready.push(...members);
+      } else {
+        this.incompleteGroups.set(groupKey, members);
+      }
+    });
+
+    return ready;
+  }
+
+  /**
+   * Drop groups that are still incomplete once a sync has caught up with the server.
+   * The server stores a group in one request, so every member is before its head:
+   * a member still missing will never arrive. Dropped groups are reported through
+   * the groupExpired event.
+   */
+  _expireIncompleteGroups() {
+    this.incompleteGroups.forEach(members => {
+      const { id, size } = members[0].group;
+      this._log('Dropping incomplete remote group', { deviceId: members[0].deviceId, groupId: id, size, received: members.length });
+      this._emit('groupExpired', { deviceId: members[0].deviceId, groupId: id, size, actions: members });
+    });
+    this.incompleteGroups.clear();
+  }
+
+  /**
+   * Order actions deterministically: timestamp, then actionId, then deviceId
+   * @param {Object} a - First action
+   * @param {Object} b - Second action
+   * @returns {number} Sort order
+   */
+  _compareActions(a, b) {
+    if (a.timestamp !== b.timestamp) {
+      return a.timestamp - b.timestamp;
+    }
+    if (a.actionId !== b.actionId) {
+      return String(a.actionId) < String(b.actionId) ? -1 : 1;
+    }
+    if (a.deviceId !== b.deviceId) {
+      return String(a.deviceId) < String(b.deviceId) ? -1 : 1;
+    }
+    return 0;
+  }
+
+  /**
+   * Merge actions into fullQueue, skipping known or snapshotted actions and keeping timestamp order.
+   * Pending actions are known too: importing our own export must not apply them twice.
+   * New actions that sort behind the snapshot (e.g. from a device that was offline)
+   * rewind it, so they are folded in order instead of being lost.
+   * @param {Array} actions - Actions to merge
+   * @returns {Array} Actions that were actually added
+   */
+  _mergeIntoFullQueue(actions) {
+    const knownIds = this._knownActionKeys();
+    const added = [];
+
+    actions.forEach(action => {
+      if (!knownIds.has(this._actionKey(action)) && !this._coveredBySnapshotBase(action)) {
+        knownIds.add(this._actionKey(action));
+        added.push(action);
+      }
+    });
+
+    if (added.length === 0) {
+      return added;
+    }
+
+    const late = added.filter(action => this.snapshot && this._compareActions(action, this.snapshot) <= 0);
+    if (late.length > 0) {
+      this._rewindSnapshot(late.reduce((earliest, action) =>
+        this._compareActions(action, earliest) < 0 ? action : earliest));
+    }
+
+    const tail = this.fullQueue[this.fullQueue.length - 1];
+    this.fullQueue.push(...added);
+    if (added.some(action => tail && this._compareActions(action, tail) < 0) ||
+        added.some((action, i) => i > 0 && this._compareActions(action, added[i - 1]) < 0)) {
+      this.fullQueue.sort((a, b) => this._compareActions(a, b));
+    }
+
+    return added;
+  }
+
+  /**
+   * Keys of every action already in the log: pending, in fullQueue, in the
+   * snapshot's retained actions, or merged away by a history compactor
+   * @returns {Set<string>} Action keys
+   */
+  _knownActionKeys() {
+    const knownIds = new Set(this.actionQueue.map(action => this._actionKey(action)));
+    [...(this.snapshot?.actions || []), ...this.fullQueue].forEach(action => {
+      knownIds.add(this._actionKey(action));
+      // Actions merged away by a history compactor must not come back on a re-pull
+      (action.compactedActionIds || []).forEach(actionId =>
+        knownIds.add(this._actionKey({ deviceId: action.deviceId, actionId })));
+    });
+    return knownIds;
+  }
+
+  /**
+   * Check whether an action was folded into the snapshot's base. The base no longer
+   * lists its actions, only the latest action ID of each source; a source's actions
+   * reach the server in ID order, so anything up to that ID was already folded.
+   * @param {Object} action - Action sorting behind the snapshot's retained actions
+   * @returns {boolean} True if the action is already part of the base state
+   */
+  _coveredBySnapshotBase(action) {
+    const base = this.snapshot?.base;
+    if (!base || this._compareActions(action, base) > 0) {
+      return false;
+    }
+    const head = this.snapshot.heads?.[this._actionSource(action)];
+    return !!head && String(action.actionId) <= head;
+  }
+
+  /**
+   * Identify the clock that generated an action: its device, plus the tab's
+   * device tag for hybrid logical clock IDs
+   * @param {Object} action - Action
+   * @returns {string} Source key
+   */
+  _actionSource(action) {
+    const actionId = String(action.actionId);
+    return /^[0-9a-f]{16}$/i.test(actionId) ? `${action.deviceId}:${actionId.slice(13)}` : action.deviceId;
+  }
+
+  /**
+   * Identify an action across devices (action IDs are only unique per device)
+   * @param {Object} action - Action
+   * @returns {string} Unique key
+   */
+  _actionKey(action) {
+    return `${action.deviceId}:${action.actionId}`;
+  }
+
+  /**
+   * Fold new actions into the materialized state.
+   * Actions that sort after everything already applied are reduced incrementally;
+   * anything earlier rolls state back and re-applies the whole log in order.
+   * @param {Array} actions - Newly added actions
+   */
+  _applyToState(actions) {
+    if (!this._hasReducers() || actions.length === 0) {
+      return;
+    }
+
+    const sorted = [...actions].sort((a, b) => this._compareActions(a, b));
+    if (this._stateHead && this._compareActions(sorted[0], this._stateHead) < 0) {
+      this._log('Rebasing state on earlier actions', { count: actions.length });
+      this._rebuildState();
+      return;
+    }
+
+    this.state = sorted.reduce((state, action) => this._reduceAction(state, action), this.state);
+    this._stateHead = sorted[sorted.length - 1];
+    this._notifyStateChange();
+  }
+
+  /**
+   * Recompute the materialized state from the snapshot over fullQueue + actionQueue
+   */
+  _rebuildState() {
+    if (!this._hasReducers()) {
+      return;
+    }
+
+    const log = [...this.fullQueue, ...this.actionQueue].sort((a, b) => this._compareActions(a, b));
+    const baseState = this.snapshot ? this.snapshot.state : this.initialState;
+    this.state = log.reduce((state, action) => this._reduceAction(state, action), baseState);
+    this._stateHead = log.length > 0 ? log[log.length - 1] : this.snapshot;
+    this._notifyStateChange();
+  }
+
+  /**
+   * Apply a single action through its registered reducer
+   * @param {*} state - Current state
+   * @param {Object} action - Action to apply
+   * @returns {*} Next state
+   */
+  _reduceAction(state, action) {
+    const payload = action.payload || {};
+    const reducer = this.reducers[payload.type] || this.reducers['*'];
+    if (!reducer) {
+      return state;
+    }
+
+    try {
+      return reducer(state, payload, action);
+    } catch (error) {
+      this._log('Reducer error', { actionId: action.actionId, error: error.message });
+      return state;
+    }
+  }
+
+  /**
+   * Check if any reducers are registered
+   * @returns {boolean} True if state materialization is active
+   */
+  _hasReducers() {
+    return Object.keys(this.reducers).length > 0;
+  }
+
+  /**
+   * Call the user state callback if provided
+   */
+  _notifyStateChange() {
+    this._emit('stateChange', this.state);
+
+    if (this.onStateChange && typeof this.onStateChange === 'function') {
+      try {
+        this.onStateChange(this.state);
+      } catch (error) {
+        this._log('State callback error', { error: error.message });
+      }
+    }
+  }
+
+  /**
+   * Enforce maximum queue size
+   */
+  _enforceQueueSize() {
+    if (this.actionQueue.length <= this.maxQueueSize) {
+      return;
+    }
+
+    // Groups go as a whole, so the queue may end up below maxQueueSize
+    const overflow = () => this._groupBoundary(this.actionQueue, this.actionQueue.length - this.maxQueueSize);
+
+    if (this.overflowPolicy === 'spill') {
+      // Actions being spilled stay queued until the spill is written (see _spillActions)
+      const waiting = this.actionQueue.filter(action => !this._spillingActions.has(action));
+      if (waiting.length > this.maxQueueSize) {
+        this._spillActions(waiting.slice(0, this._groupBoundary(waiting, waiting.length - this.maxQueueSize)));
+      }
+      return;
+    }
+
+    // 'reject' stops dispatches before they overflow; actions from other paths
+    // (other tabs) still need a bound, so they fall back to dropping the oldest
+    let policy = 'drop-oldest';
+    let removed = [];
+    if (this.overflowPolicy === 'compact') {
+      policy = 'compact';
+      removed = this._compactPendingActions();
+    }
+    if (this.actionQueue.length > this.maxQueueSize) {
+      removed.push(...this.actionQueue.splice(0, overflow()));
+    }
+
+    // Persist changes if items were removed
+    if (removed.length > 0) {
+      this._rebuildState();
+      this._saveToStorage();
+    }
+
+    this._log('Queue size enforced', { 
+      policy,
+      removed: removed.length, 
+      remaining: this.actionQueue.length 
+    });
+    this._emit('queueOverflow', { policy, dropped: removed });
+  }
+
+  /**
+   * With overflowPolicy 'reject', refuse dispatches that don't fit in the pending queue
+   * @param {number} count - Actions about to be queued
+   * @param {Object|Array} rejected - What was dispatched, for the queueOverflow event
+   */
+  _checkQueueRoom(count, rejected) {
+    if (this.overflowPolicy !== 'reject' || this.actionQueue.length + count <= this.maxQueueSize) {
+      return;
+    }
+
+    this._log('Dispatch rejected, pending queue is full', { queueLength: this.actionQueue.length, count });
+    this._emit('queueOverflow', { policy: 'reject', dropped: [], rejected });
+    const error = new Error(`Pending queue is full (${this.maxQueueSize} actions)`);
+    error.code = 'QUEUE_FULL';
+    throw error;
+  }
+
+  /**
+   * Move a cut through a list of actions forward so it doesn't split a group
+   * @param {Array} actions - Actions with each group's members next to each other
+   * @param {number} index - Proposed cut: actions before it go, the rest stay
+   * @returns {number} Cut at a group boundary
+   */
+  _groupBoundary(actions, index) {
+    while (index > 0 && index < actions.length && this._sameGroup(actions[index - 1], actions[index])) {
+      index++;
+    }
+    return index;
+  }
+
+  /**
+   * Check whether two actions belong to the same dispatchBatch group
+   * @param {Object} a - Action
+   * @param {Object} b - Action
+   * @returns {boolean} True if both are members of one group
+   */
+  _sameGroup(a, b) {
+    return !!a.group && !!b.group && a.group.id === b.group.id && a.deviceId === b.deviceId;
+  }
+
+  /**
+   * Replace the pending queue with what compactQueue returns
+   * @returns {Array} Pending actions that compactQueue left out
+   */
+  _compactPendingActions() {
+    let compacted;
+    try {
+      compacted = this.compactQueue(this.actionQueue.slice());
+    } catch (error) {
+      this._log('compactQueue failed, dropping the oldest actions', { error: error.message });
+      return [];
+    }
+
+    if (!Array.isArray(compacted)) {
+      this._log('compactQueue did not return an array, dropping the oldest actions');
+      return [];
+    }
+
+    // Kept actions keep their IDs (and so their place in the log); anything else is not a pending action
+    const pendingIds = new Set(this.actionQueue.map(action => action.actionId));
+    let kept = compacted.filter(action => action && pendingIds.has(action.actionId));
+    // A group stays only when all of it does
+    const keptMembers = new Map();
+    kept.forEach(action => {
+      if (action.group) {
+        keptMembers.set(action.group.id, (keptMembers.get(action.group.id) || 0) + 1);
+      }
+    });
+    kept = kept.filter(action => !action.group || keptMembers.get(action.group.id) === action.group.size);
+    const keptIds = new Set(kept.map(action => action.actionId));
+    const removed = this.actionQueue.filter(action => !keptIds.has(action.actionId));
+
+    this.actionQueue = kept.sort((a, b) => this._compareActions(a, b));
+    return removed;
+  }
+
+  /**
+   * Move the oldest pending actions to spillStorage. They stay queued until the
+   * spill is written, so a failed write keeps them pending instead of losing them,
+   * and then leave the materialized state until _refillFromSpill brings them back.
+   * @param {Array} actions - Oldest pending actions
+   * @returns {Promise<void>} Resolves once the spill is written
+   */
+  _spillActions(actions) {
+    actions.forEach(action => this._spillingActions.add(action));
+    const release = () => actions.forEach(action => this._spillingActions.delete(action));
+
+    return this._updateSpill(spilled => [...spilled, ...actions]).then(() => {
+      release();
+      // Removed from the queue meanwhile (clearQueue, filterKeys): don't bring them back
+      const gone = actions.filter(action => !this.actionQueue.includes(action));
+      if (gone.length > 0) {
+        const goneKeys = new Set(gone.map(action => this._actionKey(action)));
+        this._updateSpill(spilled => spilled.filter(action => !goneKeys.has(this._actionKey(action))))
+          .catch(error => this._log('Failed to update spill', { error: error.message }));
+      }
+
+      const spilled = new Set(actions);
+      this.actionQueue = this.actionQueue.filter(action => !spilled.has(action));
+      this._rebuildState();
+      this._saveToStorage();
+      this._log('Pending actions spilled', { spilled: actions.length, spilledCount: this.spilledCount });
+      this._emit('queueOverflow', { policy: 'spill', dropped: [], spilled: actions });
+      this._emitStatusChange();
+    }, error => {
+      release();
+      this._log('Failed to spill pending actions, keeping them queued', { error: error.message });
+    });
+  }
+
+  /**
+   * Move spilled actions back to the front of actionQueue while it has room
+   */
+  async _refillFromSpill() {
+    const room = this.maxQueueSize - this.actionQueue.length;
+    if (room <= 0) {
+      return;
+    }
+
+    // Read only: the spill gives the actions up once the queue holding them is saved
+    let taken = [];
+    await this._updateSpill(spilled => {
+      // Whole groups only, and never past maxQueueSize: a group that doesn't fit waits
+      let cut = Math.min(room, spilled.length);
+      while (cut > 0 && cut < spilled.length && this._sameGroup(spilled[cut - 1], spilled[cut])) {
+        cut--;
+      }
+      taken = spilled.slice(0, cut);
+      return spilled;
+    });
+    if (taken.length === 0) {
+      return;
+    }
+
+    // A crash between the two writes can leave an action in both places
+    const queuedKeys = new Set(this.actionQueue.map(action => this._actionKey(action)));
+    const refilled = taken.filter(action => !queuedKeys.has(this._actionKey(action)));
+
+    // Spilled actions are older than everything still queued
+    this._markAttempted(refilled);
+    this.actionQueue = [...refilled, ...this.actionQueue];
+    if (!await this._saveToStorage()) {
+      this.actionQueue = this.actionQueue.filter(action => !refilled.includes(action));
+      this._log('Failed to save refilled actions, leaving them spilled');
+      return;
+    }
+
+    const takenKeys = new Set(taken.map(action => this._actionKey(action)));
+    await this._updateSpill(spilled => spilled.filter(action => !takenKeys.has(this._actionKey(action))))
+      .catch(error => this._log('Failed to remove refilled actions from the spill', { error: error.message }));
+    this._rebuildState();
+    this._log('Spilled actions refilled', { refilled: refilled.length, spilledCount: this.spilledCount });
+  }
+
+  /**
+   * Read-modify-write the spilled actions, one update at a time
+   * @param {Function} update - (spilledActions) => new spilledActions
+   * @returns {Promise<void>} Resolves once the update is written
+   */
+  _updateSpill(update) {
+    const run = this._spillChain.then(async () => {
+      const spilled = (await this.spillStorage.get(this.spillStorageKey)) || [];
+      const next = update(spilled);
+      if (next !== spilled) {
+        await this.spillStorage.set(this.spillStorageKey, next);
+      }
+      this.spilledCount = next.length;
+      this._emitStatusChange();
+    });
+    this._spillChain = run.catch(() => {});
+    return run;
+  }
+
+  /**
+   * Enforce maximum full queue size.
+   * With reducers, old history is folded into a snapshot instead of being dropped;
+   * without them there is no state to checkpoint, so the oldest actions are truncated.
+   */
+  _enforceFullQueueSize() {
+    if (this.snapshotInterval > 0 && this.fullQueue.length >= this.snapshotInterval) {
+      this._takeSnapshot(this.fullQueue.length);
+    }
+
+    const maxFullQueueSize = this.maxQueueSize * 5; // Allow fullQueue to be 5x larger
+    if (this.fullQueue.length > maxFullQueueSize && this._compactHistory() > 0 &&
+        this.fullQueue.length <= maxFullQueueSize) {
+      return;
+    }
+
+    if (this.fullQueue.length > maxFullQueueSize) {
+      if (this._takeSnapshot(this.fullQueue.length - this.maxQueueSize)) {
+        return;
+      }
+
+      const removed = this.fullQueue.splice(0, this.fullQueue.length - maxFullQueueSize);
+      
+      this._log('Full queue size enforced', { 
+        removed: removed.length, 
+        remaining: this.fullQueue.length 
+      });
+    }
+  }
+
+  /**
+   * Fold the oldest fullQueue actions into the snapshot and remove them
+   * @param {number} count - Maximum number of actions to compact
+   * @returns {Object|null} The new snapshot, or null if nothing was compacted
+   */
+  _takeSnapshot(count) {
+    if (!this._hasReducers()) {
+      return null;
+    }
+
+    // History compactors run first, so the snapshot keeps the merged actions
+    this._compactHistory();
+
+    // Never fold past the earliest pending action: its acknowledgement will insert
+    // it into fullQueue in timestamp order, which must stay after the snapshot
+    const earliestPending = this.actionQueue.reduce((earliest, action) =>
+      (!earliest || this._compareActions(action, earliest) < 0) ? action : earliest, null);
+
+    let cut = Math.min(count, this.fullQueue.length);
+    while (cut > 0 && earliestPending && this._compareActions(this.fullQueue[cut - 1], earliestPending) > 0) {
+      cut--;
+    }
+
+    if (cut === 0) {
+      return null;
+    }
+
+    const covered = this.fullQueue.splice(0, cut);
+    const lastCovered = covered[covered.length - 1];
+    const previous = this.snapshot;
+    const baseState = previous ? previous.state : this.initialState;
+
+    // The last maxQueueSize folded actions stay listed so late actions can still be
+    // folded in order (see _rewindSnapshot); older ones retire into the base state
+    const actions = [...(previous ? previous.actions : []), ...covered];
+    const retired = actions.splice(0, Math.max(0, actions.length - this.maxQueueSize));
+    let base = previous ? previous.base : null;
+    const heads = { ...(previous ? previous.heads : {}) };
+    if (retired.length > 0) {
+      const lastRetired = retired[retired.length - 1];
+      base = {
+        actionId: lastRetired.actionId,
+        timestamp: lastRetired.timestamp,
+        deviceId: lastRetired.deviceId,
+        state: retired.reduce((state, action) => this._reduceAction(state, action), base ? base.state : this.initialState)
+      };
+      retired.forEach(action => {
+        const source = this._actionSource(action);
+        if (!heads[source] || String(action.actionId) > heads[source]) {
+          heads[source] = String(action.actionId);
+        }
+      });
+    }
+
+    this.snapshot = {
+      actionId: lastCovered.actionId,
+      timestamp: lastCovered.timestamp,
+      deviceId: lastCovered.deviceId,
+      state: covered.reduce((state, action) => this._reduceAction(state, action), baseState),
+      actionCount: (previous ? previous.actionCount : 0) + covered.length,
+      createdAt: Date.now(),
+      base, // Checkpoint the listed actions are folded onto (null = initialState)
+      actions, // Folded actions still listed, in order
+      heads // Source -> latest action ID folded into base
+    };
+
+    this._log('Snapshot created', {
+      actionId: this.snapshot.actionId,
+      compacted: covered.length,
+      remaining: this.fullQueue.length
+    });
+
+    return this.snapshot;
+  }
+
+  /**
+   * Move the snapshot back to just before a late action: listed actions that sort
+   * after it return to fullQueue, so the caller can merge it in order. An action
+   * older than everything still listed can only go right after the base state.
+   * @param {Object} late - Earliest new action sorting behind the snapshot
+   */
+  _rewindSnapshot(late) {
+    const { base, actions } = this.snapshot;
+    const kept = actions.filter(action => this._compareActions(action, late) < 0);
+    const returned = actions.slice(kept.length);
+    const boundary = kept.length > 0 ? kept[kept.length - 1] : base;
+
+    if (!boundary) {
+      this.snapshot = null;
+    } else {
+      this.snapshot = {
+        ...this.snapshot,
+        actionId: boundary.actionId,
+        timestamp: boundary.timestamp,
+        deviceId: boundary.deviceId,
+        state: kept.reduce((state, action) => this._reduceAction(state, action), base ? base.state : this.initialState),
+        actionCount: this.snapshot.actionCount - returned.length,
+        actions: kept
+      };
+    }
+    this.fullQueue.unshift(...returned);
+
+    if (base && this._compareActions(late, base) <= 0) {
+      this._log('Late action is older than the snapshot keeps, folding it after the snapshot base', {
+        actionId: late.actionId,
+        deviceId: late.deviceId
+      });
+    }
+    this._log('Snapshot rewound for late actions', { returned: returned.length, actionId: late.actionId });
+  }
+
+  /**
+   * Start automatic synchronization
+   */
+  _startAutoSync() {
+    if (this.syncTimer) {
+      clearTimeout(this.syncTimer);
+    }
+    
+    const delay = this._autoSyncDelay(this.syncInterval);
+    this._syncDueAt = Date.now() + delay;
+    const timer = this.syncTimer = setTimeout(() => {
+      this._syncDueAt = null;
+      this.sync().catch(error => {
+        this._log('Auto-sync failed', { error: error.message });
+      }).finally(() => this._continueAutoSync(timer));
+    }, delay);
+    this._emitStatusChange();
+  }
+
+  /**
+   * Re-arm periodic sync after a timer-driven sync, unless a newer sync was
+   * scheduled meanwhile (it re-arms in turn) or auto-sync had to stop
+   * @param {*} timer - Timer that triggered the sync
+   */
+  _continueAutoSync(timer) {
+    if (this.syncTimer !== timer) {
+      return;
+    }
+
+    this.syncTimer = null;
+    if (this._canAutoSync()) {
+      this._startAutoSync();
+    }
+  }
+
+  /**
+   * Start talking to the server: periodic sync and the realtime socket.
+   * Nothing starts while paused or offline.
+   */
+  _startServerConnection() {
+    if (this.paused || !this.online) {
+      return;
+    }
+
+    if (this.autoSync && this.serverUrl) {
+      this._startAutoSync();
+    }
+    if (this.realtime) {
+      this._connectSocket();
+    }
+  }
+
+  /**
+   * Stop periodic sync and close the socket
+   */
+  _stopServerConnection() {
+    if (this.syncTimer) {
+      clearTimeout(this.syncTimer);
+      this.syncTimer = null;
+      this._syncDueAt = null;
+    }
+    this._closeSocket();
+  }
+
+  /**
+   * Join the cross-tab channel and take part in leader election.
+   *
+   * The leader heartbeats every leaderHeartbeatInterval. A tab that misses three
+   * heartbeats (or hears the leader resign) broadcasts a claim and becomes leader
+   * one interval later unless a leader heartbeats or a tab with a lower tabId
+   * claims first. Tab IDs start with their creation time, so the oldest tab wins.
+   */
+  _startTabCoordination() {
+    if (!this.BroadcastChannel) {
+      this._log('BroadcastChannel unavailable, running as a standalone tab');
+      this._becomeLeader();
+      return;
+    }
+
+    // Tabs sharing this device's storage for the channel coordinate under its key
+    this._tabChannel = new this.BroadcastChannel(this.storageKey);
+    this._tabChannel.onmessage = (event) => this._handleTabMessage(event.data);
+    this._tabTimer = setInterval(() => this._checkLeader(), this.leaderHeartbeatInterval);
+
+    if (typeof window !== 'undefined' && window.addEventListener) {
+      this._unloadHandler = () => this._resignLeadership();
+      window.addEventListener('pagehide', this._unloadHandler);
+    }
+
+    // An existing leader answers with a heartbeat; otherwise claim after the timeout
+    this._lastLeaderSeenAt = Date.now();
+    this._broadcastToTabs({ type: 'hello', tabId: this.tabId });
+  }
+
+  /**
+   * Resign and leave the cross-tab channel. The storage is shared with the
+   * other tabs, so a closing tab leaves it for the next leader.
+   */
+  _stopTabCoordination() {
+    if (!this.crossTab) {
+      return;
+    }
+
+    this._resignLeadership();
+    this.isLeader = false;
+
+    if (this._tabTimer) {
+      clearInterval(this._tabTimer);
+      this._tabTimer = null;
+    }
+    if (this._claimTimer) {
+      clearTimeout(this._claimTimer);
+      this._claimTimer = null;
+    }
+    if (this._unloadHandler) {
+      window.removeEventListener('pagehide', this._unloadHandler);
+      this._unloadHandler = null;
+    }
+    if (this._tabChannel) {
+      this._tabChannel.close();
+      this._tabChannel = null;
+    }
+
+    this._rejectLeaderSyncWaiters(new Error('ActionSync destroyed'));
+  }
+
+  /**
+   * Heartbeat as leader, or start an election when the leader went quiet
+   */
+  _checkLeader() {
+    if (this.isLeader) {
+      this._broadcastToTabs({ type: 'heartbeat', tabId: this.tabId });
+      return;
+    }
+
+    if (Date.now() - this._lastLeaderSeenAt > this.leaderHeartbeatInterval * 3) {
+      this._claimLeadership();
+    }
+  }
+
+  /**
+   * Broadcast a leadership claim and take over unless it is contested
+   */
+  _claimLeadership() {
+    if (this._claimTimer || this.isLeader || this._destroyed) {
+      return;
+    }
+
+    this._claimLost = false;
+    this._broadcastToTabs({ type: 'claim', tabId: this.tabId });
+    this._claimTimer = setTimeout(() => {
+      this._claimTimer = null;
+      if (this._claimLost) {
+        this._claimLost = false;
+        this._lastLeaderSeenAt = Date.now();
+      } else {
+        this._becomeLeader();
+      }
+    }, this.leaderHeartbeatInterval);
+  }
+
+  /**
+   * Take over persistence and server communication
+   */
+  _becomeLeader() {
+    this.isLeader = true;
+    this._leaderTabId = this.tabId;
+    this._log('Became leader tab', { tabId: this.tabId });
+    this._broadcastToTabs({ type: 'heartbeat', tabId: this.tabId });
+
+    // Our mirror of the queues is authoritative from now on
+    this._saveToStorage();
+    this._saveFullQueueToStorage();
+    this._startServerConnection();
+    if (this._canAutoSync() && this.actionQueue.length > 0) {
+      this._scheduleSync(0);
+    }
+    this._emitStatusChange();
+  }
+
+  /**
+   * Hand persistence and server communication back to another tab
+   */
+  _stepDown() {
+    this.isLeader = false;
+    this._stopServerConnection();
+    this._clearConnectivityProbe();
+    this._log('Stepped down as leader tab', { tabId: this.tabId });
+    this._emitStatusChange();
+  }
+
+  /**
+   * Tell the other tabs to elect a new leader right away
+   */
+  _resignLeadership() {
+    if (this.crossTab && this.isLeader && this._tabChannel) {
+      this._broadcastToTabs({ type: 'resign', tabId: this.tabId });
+    }
+  }
+
+  /**
+   * Post a message to the other tabs
+   * @param {Object} message - Message to broadcast
+   */
+  _broadcastToTabs(message) {
+    if (!this._tabChannel) {
+      return;
+    }
+
+    try {
+      this._tabChannel.postMessage(message);
+    } catch (error) {
+      this._log('Tab broadcast failed', { type: message.type, error: error.message });
+    }
+  }
+
+  /**
+   * Handle a message from another tab
+   * @param {Object} message - Broadcast message
+   */
+  _handleTabMessage(message) {
+    if (!message || this._destroyed) {
+      return;
+    }
+
+    switch (message.type) {
+      case 'hello':
+        if (this.isLeader) {
+          this._broadcastToTabs({ type: 'heartbeat', tabId: this.tabId });
+        }
+        break;
+
+      case 'heartbeat':
+        if (this.isLeader && message.tabId < this.tabId) {
+          this._stepDown(); // Two leaders: the older tab keeps the role
+        } else if (this.isLeader) {
+          this._broadcastToTabs({ type: 'heartbeat', tabId: this.tabId });
+          break;
+        }
+        this._leaderTabId = message.tabId;
+        this._lastLeaderSeenAt = Date.now();
+        if (this._claimTimer) {
+          this._claimLost = true;
+        }
+        break;
+
+      case 'claim':
+        if (this.isLeader) {
+          this._broadcastToTabs({ type: 'heartbeat', tabId: this.tabId });
+        } else if (this._claimTimer && message.tabId < this.tabId) {
+          this._claimLost = true;
+        }
+        break;
+
+      case 'resign':
+        if (!this.isLeader && message.tabId === this._leaderTabId) {
+          this._leaderTabId = null;
+          this._claimLeadership();
+        }
+        break;
+
+      case 'dispatch':
+        this._receiveTabDispatch(message.actions, message.replaces);
+        break;
+
+      case 'attempted':
+        if (!this.isLeader) {
+          const attemptedKeys = new Set(message.keys || []);
+          this._markAttempted(this.actionQueue.filter(action => attemptedKeys.has(this._actionKey(action))));
+        }
+        break;
+
+      case 'remoteActions':
+        if (!this.isLeader) {
+          const payloads = this._processRemoteActions(message.actions || []);
+          this._leaderSyncWaiters.forEach(waiter => waiter.remotePayloads.push(...payloads));
+        }
+        break;
+
+      case 'synced':
+        if (!this.isLeader) {
+          this._receiveTabSynced(message);
+        }
+        break;
+
+      case 'syncRequest':
+        if (this.isLeader && this.serverUrl) {
+          this._tabSyncRequests.push(message.requestId);
+          // A sync in flight started before the request, so the request needs the next one
+          const run = this._syncPromise
+            ? this._syncPromise.catch(() => {}).then(() => this.sync())
+            : this.sync();
+          run.catch(error => {
+            this._log('Sync requested by tab failed', { error: error.message });
+          });
+        }
+        break;
+
+      case 'syncFailed':
+        if (!this.isLeader) {
+          const error = new Error(message.error);
+          error.code = message.code;
+          this._rejectLeaderSyncWaiters(error, message.requestIds || []);
+        }
+        break;
+
+      default:
+        break;
+    }
+  }
+
+  /**
+   * Mirror actions dispatched in another tab (one action, or a whole group)
+   * @param {Array<Object>} actions - Dispatched actions
+   * @param {Array<string>} replaces - Keys of pending actions they replaced (filterKeys matches and compactor merges)
+   */
+  _receiveTabDispatch(actions, replaces = []) {
+    const knownKeys = new Set(this.actionQueue.map(existing => this._actionKey(existing)));
+    const added = actions.filter(action => !knownKeys.has(this._actionKey(action)));
+    if (added.length === 0) {
+      return;
+    }
+
+    const replacedKeys = new Set(replaces);
+    const queueLength = this.actionQueue.length;
+    this.actionQueue = this.actionQueue.filter(existing => !replacedKeys.has(this._actionKey(existing)));
+
+    this.actionQueue.push(...added);
+    if (this.actionQueue.length < queueLength + added.length) {
+      this._rebuildState();
+    } else {
+      this._applyToState(added);
+    }
+    this._enforceQueueSize();
+    this._saveToStorage();
+    this._emitStatusChange();
+    this._syncSoon();
+  }
+
+  /**
+   * Mirror a successful sync performed by the leader. Only the sync requests it
+   * lists are resolved: others were sent after it started and wait for the next one.
+   * @param {Object} message - { syncedKeys, rejected, lastActionId, final, requestIds }
+   */
+  _receiveTabSynced(message) {
+    const syncedKeys = new Set(message.syncedKeys || []);
+    const synced = this.actionQueue.filter(action => syncedKeys.has(this._actionKey(action)));
+    const rejected = message.rejected || [];
+
+    this.actionQueue = this.actionQueue.filter(action => !syncedKeys.has(this._actionKey(action)));
+    this._mergeIntoFullQueue(synced);
+    this._removeRejectedActions(rejected);
+    if (message.lastActionId) {
+      this.lastActionId = message.lastActionId;
+    }
+    this._enforceFullQueueSize();
+    this._emitStatusChange();
+
+    // A partially pushed sync is followed by syncFailed
+    if (message.final === false) {
+      return;
+    }
+
+    const requestIds = new Set(message.requestIds || []);
+    const waiters = this._leaderSyncWaiters.filter(waiter => requestIds.has(waiter.requestId));
+    this._leaderSyncWaiters = this._leaderSyncWaiters.filter(waiter => !requestIds.has(waiter.requestId));
+    waiters.forEach(waiter => {
+      clearTimeout(waiter.timer);
+      waiter.resolve({
+        success: true,
+        remotePayloads: waiter.remotePayloads,
+        acceptedActionIds: synced.map(action => action.actionId),
+        rejected,
+        lastActionId: this.lastActionId,
+        state: this.state
+      });
+    });
+  }
+
+  /**
+   * Ask the leader tab to sync and wait for the result
+   * @returns {Promise<Object>} Sync result mirrored from the leader
+   */
+  _requestLeaderSync() {
+    return new Promise((resolve, reject) => {
+      const requestId = `${this.tabId}:${++this._tabSyncRequestCount}`;
+      const waiter = { requestId, resolve, reject, remotePayloads: [], timer: null };
+      waiter.timer = setTimeout(() => {
+        this._leaderSyncWaiters = this._leaderSyncWaiters.filter(existing => existing !== waiter);
+        reject(new Error('Leader tab did not complete the sync in time'));
+      }, this.tabSyncTimeout);
+
+      this._leaderSyncWaiters.push(waiter);
+      this._broadcastToTabs({ type: 'syncRequest', tabId: this.tabId, requestId });
+    });
+  }
+
+  /**
+   * Reject pending leader sync requests
+   * @param {Error} error - Rejection reason
+   * @param {Array<string>} [requestIds] - Requests the failed sync served (default: all)
+   */
+  _rejectLeaderSyncWaiters(error, requestIds = null) {
+    const failed = requestIds ? new Set(requestIds) : null;
+    const waiters = this._leaderSyncWaiters.filter(waiter => !failed || failed.has(waiter.requestId));
+    this._leaderSyncWaiters = this._leaderSyncWaiters.filter(waiter => !waiters.includes(waiter));
+    waiters.forEach(waiter => {
+      clearTimeout(waiter.timer);
+      waiter.reject(error);
+    });
+  }
+
+  /**
+   * Schedule a sync with debouncing
+   */
+  _scheduleSync(delay = 1000) {
+    if (this.syncTimer) {
+      clearTimeout(this.syncTimer);
+    }
+    
+    const wait = this._autoSyncDelay(delay);
+    this._syncDueAt = Date.now() + wait;
+    const timer = this.syncTimer = setTimeout(() => {
+      this._syncDueAt = null;
+      this.sync().catch(error => {
+        this._log('Scheduled sync failed', { error: error.message });
+      }).finally(() => this._continueAutoSync(timer));
+    }, wait); // Debounce
+    this._emitStatusChange();
+  }
+
+  /**
+   * Build a sync request body for this channel
+   * @param {string} lastActionId - Cursor to pull after
+   * @param {Array} actions - Encoded actions to push
+   * @returns {Object} Sync request body
+   */
+  _syncRequestBody(lastActionId, actions) {
+    const body = {
+      deviceId: this.deviceId,
+      channel: this.channel,
+      lastActionId,
+      actions
+    };
+    if (this.pageSize) {
+      body.limit = this.pageSize;
+    }
+    return body;
+  }
+
+  /**
+   * Send a sync request with the current auth token. When the server answers 401,
+   * ask getAuthToken for a fresh token and retry once.
+   * @param {Object} payload - Sync request body
+   * @returns {Promise<Object>} Parsed sync response
+   */
+  async _sendSyncRequest(payload) {
+    const token = await this._getAuthToken(false);
+    try {
+      return await this._sendSyncRequestOnce(payload, token);
+    } catch (error) {
+      if (error.status !== 401 || !this.getAuthToken) {
+        throw error;
+      }
+
+      this._log('Server rejected the auth token, refreshing');
+      const freshToken = await this._getAuthToken(true);
+      if (this._isSocketOpen()) {
+        // Re-authenticate the socket; the server handles the hello before the retry
+        this._sendSocketHello(this.socket, freshToken);
+      }
+      return this._sendSyncRequestOnce(payload, freshToken);
+    }
+  }
+
+  /**
+   * Get a bearer token from the getAuthToken hook
+   * @param {boolean} forceRefresh - True after the server rejected the last token
+   * @returns {Promise<string|null>} Token, or null without a hook
+   */
+  async _getAuthToken(forceRefresh) {
+    if (!this.getAuthToken) {
+      return null;
+    }
+
+    try {
+      return await this.getAuthToken({ forceRefresh });
+    } catch (error) {
+      const authError = new Error(`Failed to get auth token: ${error.message}`);
+      authError.code = 'AUTH_FAILED';
+      throw authError;
+    }
+  }
+
+  /**
+   * Send a sync request body over the socket when open, falling back to HTTP /sync
+   * @param {Object} payload - Sync request body
+   * @param {string|null} token - Bearer token for HTTP requests (the socket authenticates in its hello)
+   * @returns {Promise<Object>} Parsed sync response
+   */
+  async _sendSyncRequestOnce(payload, token) {
+    if (this._isSocketOpen()) {
+      let reply = null;
+      try {
+        reply = await this._socketRequest(payload);
+      } catch (error) {
+        this._log('WebSocket sync failed, falling back to HTTP', { error: error.message });
+      }
+
+      if (reply) {
+        if (reply.status < 200 || reply.status >= 300) {
+          const error = new Error(`Sync failed: ${reply.status} ${reply.body?.error || ''}`.trim());
+          error.status = reply.status;
+          error.serverCode = reply.body?.code;
+          throw error;
+        }
+        return reply.body;
+      }
+    }
+
+    const headers = {
+      'Content-Type': 'application/json'
+    };
+    if (token) {
+      headers.Authorization = `Bearer ${token}`;
+    }
+
+    const response = await this._fetchWithRetry('/sync', {
+      method: 'POST',
+      headers,
+      body: JSON.stringify(payload)
+    });
+
+    if (!response.ok) {
+      const error = new Error(`Sync failed: ${response.status} ${response.statusText}`);
+      error.status = response.status;
+      const retryAfter = this._readRetryAfter(response);
+      if (retryAfter !== null) {
+        error.retryAfter = retryAfter;
+      }
+      const body = await Promise.resolve().then(() => response.json()).catch(() => null);
+      error.serverCode = body?.code;
+      throw error;
+    }
+
+    return response.json();
+  }
+
+  /**
+   * Send a sync request; when the server doesn't recognise our cursor (e.g. its
+   * log was reset or we hold a pre-cursor ID), pull again from the start.
+   * Already known actions are deduped on merge.
+   * @param {Object} payload - Sync request body
+   * @returns {Promise<Object>} Parsed sync response
+   */
+  async _sendSyncRequestWithCursorReset(payload) {
+    try {
+      return await this._sendSyncRequest(payload);
+    } catch (error) {
+      if (error.serverCode !== 'INVALID_CURSOR' || payload.lastActionId === '0') {
+        throw error;
+      }
+
+      this._log('Server rejected cursor, pulling from the start', { lastActionId: payload.lastActionId });
+      this.lastActionId = '0';
+      return this._sendSyncRequest({ ...payload, lastActionId: '0' });
+    }
+  }
+
+  /**
+   * Check if the WebSocket transport is connected
+   * @returns {boolean} True if the socket is open
+   */
+  _isSocketOpen() {
+    return !!this.socket && this.socket.readyState === 1; // WebSocket.OPEN
+  }
+
+  /**
+   * Open the WebSocket transport and reconnect with backoff when it drops
+   */
+  _connectSocket() {
+    if (this._destroyed || !this.websocketUrl || !this.WebSocket) {
+      this._log('WebSocket transport unavailable, using HTTP sync');
+      return;
+    }
+
+    let socket;
+    try {
+      socket = new this.WebSocket(this.websocketUrl);
+    } catch (error) {
+      this._log('WebSocket connection failed', { error: error.message });
+      this._scheduleSocketReconnect();
+      return;
+    }
+    this.socket = socket;
+
+    socket.onopen = () => {
+      this._socketReconnectAttempts = 0;
+      this._socketAuthRefreshed = false;
+      this._log('WebSocket connected', { url: this.websocketUrl });
+
+      this._getAuthToken(false).catch(error => {
+        // Syncs over the socket will answer 401 and retry with a fresh token
+        this._log('Could not get auth token for the socket', { error: error.message });
+        return null;
+      }).then(token => {
+        if (this.socket !== socket) {
+          return;
+        }
+        this._sendSocketHello(socket, token);
+
+        // Flush anything queued while disconnected and catch up on missed actions
+        if (this.autoSync) {
+          this._scheduleSync(0);
+        }
+      });
+    };
+
+    socket.onmessage = (event) => this._handleSocketMessage(event.data);
+
+    socket.onclose = () => {
+      if (this.socket === socket) {
+        this.socket = null;
+      }
+      this._rejectSocketRequests(new Error('WebSocket closed'));
+      this._scheduleSocketReconnect();
+    };
+
+    socket.onerror = () => {
+      this._log('WebSocket error');
+    };
+  }
+
+  /**
+   * Register the socket for pushes on this channel, authenticating with a token
+   * @param {WebSocket} socket - Open socket
+   * @param {string|null} token - Bearer token
    */
-  _generateActionId() {
-    const timestamp = Date.now();
-    const counter = (this.actionIdCounter++) & 0xFFFF; // 16-bit counter
-    
-    // Combine 48-bit timestamp + 16-bit counter for 64-bit ID
-    const high32 = Math.floor(timestamp / 0x10000); // Upper 32 bits of timestamp
-    const low32 = ((timestamp & 0xFFFF) << 16) | counter; // Lower 16 bits of timestamp + counter
-    
-    return `${high32.toString(16).padStart(8, '0')}${low32.toString(16).padStart(8, '0')}`;
+  _sendSocketHello(socket, token) {
+    const hello = { type: 'hello', deviceId: this.deviceId, channels: [this.channel] };
+    if (token) {
+      hello.token = token;
+    }
+    socket.send(JSON.stringify(hello));
   }
 
   /**
-   * Generate a unique device ID
-   * @returns {string} Device identifier
+   * Reconnect the socket with exponential backoff (capped at syncInterval)
    */
-  _generateDeviceId() {
-    const timestamp = Date.now().toString(36);
-    const random = Math.random().toString(36).substr(2, 9);
-    return `device-${timestamp}-${random}`;
+  _scheduleSocketReconnect() {
+    if (this._destroyed || !this.realtime || !this.isLeader || this.paused || !this.online ||
+        this._socketReconnectTimer) {
+      return;
+    }
+
+    const delay = Math.min(Math.pow(2, this._socketReconnectAttempts++) * 1000, this.syncInterval);
+    this._socketReconnectTimer = setTimeout(() => {
+      this._socketReconnectTimer = null;
+      this._connectSocket();
+    }, delay);
   }
 
   /**
-   * Process remote actions and return only payloads
-   * @param {Array} remoteActions - Actions from server
-   * @returns {Array} Array of payloads for user to apply
+   * Close the socket and stop reconnecting
    */
-  _processRemoteActions(remoteActions) {
-    if (!Array.isArray(remoteActions) || remoteActions.length === 0) {
-      return [];
+  _closeSocket() {
+    if (this._socketReconnectTimer) {
+      clearTimeout(this._socketReconnectTimer);
+      this._socketReconnectTimer = null;
     }
 
-    // Sort by timestamp and extract payloads
-    const sortedActions = remoteActions.sort((a, b) => a.timestamp - b.timestamp);
-    const payloads = sortedActions.map(action => action.payload);
-
-    this._log('Remote actions processed', { count: payloads.length });
-    
-    // Call user callback for auto sync if provided
-    if (this.onRemoteActions && typeof this.onRemoteActions === 'function') {
-      try {
-        this.onRemoteActions(payloads);
-      } catch (error) {
-        this._log('User callback error', { error: error.message });
-      }
+    if (this.socket) {
+      const socket = this.socket;
+      this.socket = null;
+      socket.onclose = null;
+      socket.close();
     }
 
-    return payloads;
+    this._rejectSocketRequests(new Error('WebSocket closed'));
   }
 
   /**
-   * Enforce maximum queue size
+   * Send a sync request over the socket and wait for its syncResult
+   * @param {Object} body - Sync request body
+   * @returns {Promise<Object>} { status, body } reply
    */
-  _enforceQueueSize() {
-    if (this.actionQueue.length > this.maxQueueSize) {
-      const removed = this.actionQueue.splice(0, this.actionQueue.length - this.maxQueueSize);
-      
-      // Persist changes if items were removed
-      if (removed.length > 0) {
-        this._saveToStorage();
-      }
-      
-      this._log('Queue size enforced', { 
-        removed: removed.length, 
-        remaining: this.actionQueue.length 
-      });
-    }
+  _socketRequest(body) {
+    const requestId = ++this._socketRequestCounter;
+
+    return new Promise((resolve, reject) => {
+      const timer = setTimeout(() => {
+        this._socketRequests.delete(requestId);
+        reject(new Error('WebSocket request timed out'));
+      }, this.socketRequestTimeout);
+
+      this._socketRequests.set(requestId, { resolve, reject, timer });
+      this.socket.send(JSON.stringify({ type: 'sync', requestId, body }));
+    });
   }
 
   /**
-   * Enforce maximum full queue size (keep only recent actions)
+   * Reject every in-flight socket request
+   * @param {Error} error - Rejection reason
    */
-  _enforceFullQueueSize() {
-    const maxFullQueueSize = this.maxQueueSize * 5; // Allow fullQueue to be 5x larger
-    if (this.fullQueue.length > maxFullQueueSize) {
-      const removed = this.fullQueue.splice(0, this.fullQueue.length - maxFullQueueSize);
-      
-      this._log('Full queue size enforced', { 
-        removed: removed.length, 
-        remaining: this.fullQueue.length 
-      });
-    }
+  _rejectSocketRequests(error) {
+    this._socketRequests.forEach(({ reject, timer }) => {
+      clearTimeout(timer);
+      reject(error);
+    });
+    this._socketRequests.clear();
   }
 
   /**
-   * Start automatic synchronization
+   * Handle a message from the server
+   * @param {string} data - Raw message
    */
-  _startAutoSync() {
-    if (this.syncTimer) {
-      clearTimeout(this.syncTimer);
+  _handleSocketMessage(data) {
+    let message;
+    try {
+      message = JSON.parse(data);
+    } catch (error) {
+      this._log('Invalid WebSocket message', { error: error.message });
+      return;
     }
-    
-    this.syncTimer = setTimeout(() => {
-      this.sync().catch(error => {
-        this._log('Auto-sync failed', { error: error.message });
-      }).finally(() => {
-        if (this.autoSync) {
-          this._startAutoSync();
+
+    if (message.type === 'syncResult') {
+      const request = this._socketRequests.get(message.requestId);
+      if (request) {
+        clearTimeout(request.timer);
+        this._socketRequests.delete(message.requestId);
+        request.resolve({ status: message.status, body: message.body });
+      }
+    } else if (message.type === 'welcome') {
+      this._socketAuthRefreshed = false;
+    } else if (message.type === 'error') {
+      this._handleSocketError(message);
+    } else if (message.type === 'actions') {
+      if (message.channel && message.channel !== this.channel) {
+        return;
+      }
+      // Pushed actions don't move the cursor; the next sync dedupes them
+      if (message.serverTimestamp) {
+        this._observeClock(message.serverTimestamp, 0);
+      }
+      this._decryptRemoteActions(message.actions || []).then(actions => {
+        const payloads = this._processRemoteActions(actions);
+        if (payloads.length > 0) {
+          this._saveFullQueueToStorage();
         }
+      }).catch(error => {
+        this._log('Failed to apply pushed actions', { error: error.message });
+        this._emit('error', error);
       });
-    }, this.syncInterval);
+    }
   }
 
   /**
-   * Schedule a sync with debouncing
+   * Handle an error message from the server. When the server rejects the hello with
+   * 401, ask getAuthToken for a fresh token and send the hello again once; other
+   * errors, and a 401 after the refresh, are emitted as 'error' (AUTH_FAILED for 401/403).
+   * @param {Object} message - { type: 'error', status, error }
    */
-  _scheduleSync() {
-    if (this.syncTimer) {
-      clearTimeout(this.syncTimer);
-    }
-    
-    this.syncTimer = setTimeout(() => {
-      this.sync().catch(error => {
-        this._log('Scheduled sync failed', { error: error.message });
+  _handleSocketError(message) {
+    this._log('WebSocket server error', { status: message.status, error: message.error });
+
+    const socket = this.socket;
+    if (message.status === 401 && this.getAuthToken && !this._socketAuthRefreshed) {
+      this._socketAuthRefreshed = true;
+      this._getAuthToken(true).then(token => {
+        if (this.socket === socket && this._isSocketOpen()) {
+          this._sendSocketHello(socket, token);
+        }
+      }).catch(error => {
+        this._log('Could not refresh the auth token for the socket', { error: error.message });
+        this._emit('error', error);
       });
-    }, 1000); // 1 second debounce
+      return;
+    }
+
+    const serverError = new Error(['WebSocket error:', message.status, message.error].filter(Boolean).join(' '));
+    serverError.status = message.status;
+    this._emit('error', this._createSyncError(serverError));
   }
 
   /**
-   * Fetch with retry logic
+   * Fetch with retries on network errors, timeouts and retryable statuses.
+   * The last response is returned when retries run out, so callers see its status.
    * @param {string} endpoint - API endpoint
    * @param {Object} options - Fetch options
    * @returns {Promise<Response>} Fetch response
    */
   async _fetchWithRetry(endpoint, options) {
     let lastError;
+    // While offline a single attempt tells us whether we're back; backing off is pointless
+    const attempts = this.online ? this.retryAttempts : 1;
     
-    for (let attempt = 1; attempt <= this.retryAttempts; attempt++) {
+    for (let attempt = 1; attempt <= attempts; attempt++) {
+      this._throwIfDestroyed();
+      let response = null;
       try {
-        const url = `${this.serverUrl}${endpoint}`;
-        const response = await fetch(url, options);
-        return response;
+        response = await this._fetchWithTimeout(`${this.serverUrl}${endpoint}`, options);
       } catch (error) {
+        if (error.code === 'ABORTED') {
+          throw error;
+        }
         lastError = error;
         this._log(`Fetch attempt ${attempt} failed`, { error: error.message });
-        
-        if (attempt < this.retryAttempts) {
-          await this._delay(Math.pow(2, attempt) * 1000); // Exponential backoff
+      }
+
+      if (response && (attempt === attempts || !this.retryPolicy.retryableStatuses.includes(response.status))) {
+        return response;
+      }
+
+      if (attempt < attempts) {
+        const retryAfter = this._readRetryAfter(response);
+        if (retryAfter !== null && retryAfter > this.retryPolicy.maxDelay) {
+          // Too long to wait here; the failed sync holds auto-sync back instead
+          return response;
+        }
+        if (response) {
+          this._log(`Fetch attempt ${attempt} answered ${response.status}`, { retryAfter });
         }
+        await this._delay(retryAfter !== null ? retryAfter : this._retryDelay(attempt));
       }
     }
     
     throw lastError;
   }
 
+  /**
+   * Fetch, aborting the request after requestTimeout or on destroy()
+   * @param {string} url - Request URL
+   * @param {Object} options - Fetch options
+   * @returns {Promise<Response>} Fetch response
+   */
+  async _fetchWithTimeout(url, options) {
+    if (typeof AbortController === 'undefined') {
+      return fetch(url, options).catch(error => {
+        throw this._tagNetworkError(error);
+      });
+    }
+
+    const controller = new AbortController();
+    let timedOut = false;
+    const timer = this.requestTimeout ? setTimeout(() => {
+      timedOut = true;
+      controller.abort();
+    }, this.requestTimeout) : null;
+    this._requestControllers.add(controller);
+
+    try {
+      return await fetch(url, { ...options, signal: controller.signal });
+    } catch (error) {
+      if (!controller.signal.aborted) {
+        throw this._tagNetworkError(error);
+      }
+      if (!timedOut) {
+        throw this._abortError();
+      }
+      const timeoutError = new Error(`Request timed out after ${this.requestTimeout}ms`);
+      timeoutError.code = 'TIMEOUT';
+      throw timeoutError;
+    } finally {
+      clearTimeout(timer);
+      this._requestControllers.delete(controller);
+    }
+  }
+
+  /**
+   * Give a failed fetch the NETWORK_ERROR code. fetch() rejects with a TypeError
+   * whose message differs per browser ('Failed to fetch', 'Load failed',
+   * 'NetworkError when attempting to fetch resource.'), so only the type counts.
+   * @param {Error} error - Rejection from fetch()
+   * @returns {Error} The same error, tagged when it is a TypeError
+   */
+  _tagNetworkError(error) {
+    if (error?.name === 'TypeError' && !error.code) {
+      error.code = 'NETWORK_ERROR';
+    }
+    return error;
+  }
+
+  /**
+   * Backoff before the next fetch attempt, with full jitter so devices that
+   * failed together don't retry together
+   * @param {number} attempt - Attempt that just failed (1-based)
+   * @returns {number} Delay in milliseconds
+   */
+  _retryDelay(attempt) {
+    const { baseDelay, maxDelay } = this.retryPolicy;
+    return Math.random() * Math.min(maxDelay, baseDelay * Math.pow(2, attempt - 1));
+  }
+
+  /**
+   * Read a response's Retry-After header (seconds or an HTTP date)
+   * @param {Response|null} response - Fetch response
+   * @returns {number|null} Milliseconds to wait, or null without a usable header
+   */
+  _readRetryAfter(response) {
+    const value = response?.headers?.get?.('Retry-After');
+    if (!value) {
+      return null;
+    }
+
+    const seconds = Number(value);
+    if (Number.isFinite(seconds)) {
+      return Math.max(0, seconds * 1000);
+    }
+    const date = Date.parse(value);
+    return Number.isNaN(date) ? null : Math.max(0, date - Date.now());
+  }
+
   /**
    * Create a structured sync error
    * @param {Error} originalError - Original error
@@ -656,8 +3311,15 @@ export default class ActionSync {
     const message = originalError?.message || 'Unknown sync error';
     const error = new Error(message);
     
-    if (originalError?.name === 'TypeError' && message.includes('fetch')) {
-      error.code = 'NETWORK_ERROR';
+    error.status = originalError?.status;
+    if (originalError?.retryAfter !== undefined) {
+      error.retryAfter = originalError.retryAfter;
+    }
+
+    if (originalError?.code === 'AUTH_FAILED' || originalError?.status === 401 || originalError?.status === 403) {
+      error.code = 'AUTH_FAILED';
+    } else if (['TIMEOUT', 'ABORTED', 'NETWORK_ERROR', 'DECRYPT_FAILED'].includes(originalError?.code)) {
+      error.code = originalError.code;
     } else if (message.includes('Sync failed:')) {
       error.code = 'INVALID_RESPONSE';
     } else {
@@ -676,6 +3338,157 @@ export default class ActionSync {
     return new Promise(resolve => setTimeout(resolve, ms));
   }
 
+  /**
+   * Encrypt action payloads for the server. Metadata stays readable for routing.
+   * @param {Array} actions - Actions with plaintext payloads
+   * @returns {Promise<Array>} Copies of the actions with encrypted payloads
+   */
+  async _encryptActions(actions) {
+    if (!this.cipher) {
+      return actions;
+    }
+
+    return Promise.all(actions.map(async action => ({
+      ...action,
+      payload: await this.cipher.encrypt(action.payload, this._actionKey(action))
+    })));
+  }
+
+  /**
+   * Decrypt action payloads received from the server or an export.
+   * Throws a DECRYPT_FAILED error when any action fails to decrypt (wrong key,
+   * tampered ciphertext) or carries a plaintext payload, so none of them are applied.
+   * @param {Array} actions - Actions as received
+   * @returns {Promise<Array>} Actions with plaintext payloads
+   */
+  async _decryptActions(actions) {
+    if (!this.cipher || !Array.isArray(actions)) {
+      return actions;
+    }
+
+    return Promise.all(actions.map(async action => {
+      const key = this._actionKey(action);
+      if (!PayloadCipher.isEncrypted(action.payload)) {
+        throw this._decryptError(`Unencrypted payload in action ${key}`);
+      }
+      try {
+        return { ...action, payload: await this.cipher.decrypt(action.payload, key) };
+      } catch (error) {
+        this._log('Failed to decrypt action', { actionId: action.actionId, deviceId: action.deviceId });
+        throw this._decryptError(`Failed to decrypt action ${key}`);
+      }
+    }));
+  }
+
+  /**
+   * Decrypt actions pulled or pushed from the server. An action that can't be
+   * decrypted (plaintext from before encryption was turned on, another key, tampered
+   * data) is left out and reported through 'actionUndecryptable', so the cursor
+   * still moves past it instead of failing every sync.
+   * @param {Array} actions - Actions as received
+   * @returns {Promise<Array>} The actions that decrypted, with plaintext payloads
+   */
+  async _decryptRemoteActions(actions) {
+    const decrypted = await Promise.all(actions.map(action =>
+      this._decryptActions([action]).then(([plain]) => plain, error => {
+        this._emit('actionUndecryptable', { action, actionId: action.actionId, error });
+        return null;
+      })));
+    return decrypted.filter(Boolean);
+  }
+
+  /**
+   * Create a DECRYPT_FAILED error
+   * @param {string} message - Error message
+   * @returns {Error} Error with code DECRYPT_FAILED
+   */
+  _decryptError(message) {
+    const error = new Error(message);
+    error.code = 'DECRYPT_FAILED';
+    return error;
+  }
+
+  /**
+   * Encrypt the payloads and snapshot of export data: the snapshot state, the
+   * payloads of the actions it still lists, and its base state
+   * @param {Object} exportData - Plaintext export data
+   * @returns {Promise<Object>} Encrypted export data
+   */
+  async _encryptExportData(exportData) {
+    const encrypted = { ...exportData, actions: await this._encryptActions(exportData.actions) };
+    const snapshot = exportData.snapshot;
+    if (snapshot) {
+      encrypted.snapshot = {
+        ...snapshot,
+        state: await this.cipher.encrypt(snapshot.state, this._snapshotKey(snapshot)),
+        actions: await this._encryptActions(snapshot.actions || [])
+      };
+      if (snapshot.base) {
+        encrypted.snapshot.base = {
+          ...snapshot.base,
+          state: await this.cipher.encrypt(snapshot.base.state, this._snapshotKey(snapshot.base, 'base'))
+        };
+      }
+    }
+    return encrypted;
+  }
+
+  /**
+   * Decrypt the payloads and snapshot of export data.
+   * Throws DECRYPT_FAILED like _decryptActions, including for plaintext snapshot state.
+   * @param {Object} importData - Parsed export data
+   * @returns {Promise<Object>} Decrypted export data
+   */
+  async _decryptExportData(importData) {
+    if (!importData.actions || !Array.isArray(importData.actions)) {
+      return importData;
+    }
+
+    const decrypted = { ...importData, actions: await this._decryptActions(importData.actions) };
+    const snapshot = importData.snapshot;
+    if (snapshot) {
+      decrypted.snapshot = {
+        ...snapshot,
+        state: await this._decryptSnapshotState(snapshot.state, this._snapshotKey(snapshot)),
+        actions: await this._decryptActions(snapshot.actions || [])
+      };
+      if (snapshot.base) {
+        decrypted.snapshot.base = {
+          ...snapshot.base,
+          state: await this._decryptSnapshotState(snapshot.base.state, this._snapshotKey(snapshot.base, 'base'))
+        };
+      }
+    }
+    return decrypted;
+  }
+
+  /**
+   * Decrypt an exported snapshot state
+   * @param {Object} envelope - Encrypted state
+   * @param {string} key - Associated data from _snapshotKey
+   * @returns {Promise<*>} Plaintext state
+   */
+  async _decryptSnapshotState(envelope, key) {
+    if (!PayloadCipher.isEncrypted(envelope)) {
+      throw this._decryptError(`Unencrypted snapshot state for ${key}`);
+    }
+    try {
+      return await this.cipher.decrypt(envelope, key);
+    } catch (error) {
+      throw this._decryptError(`Failed to decrypt snapshot state for ${key}`);
+    }
+  }
+
+  /**
+   * Associated data binding an encrypted snapshot state to its snapshot
+   * @param {Object} snapshot - Snapshot, or its base
+   * @param {string} [part='snapshot'] - Which state of the snapshot is encrypted
+   * @returns {string} Snapshot key
+   */
+  _snapshotKey(snapshot, part = 'snapshot') {
+    return `${part}:${this._actionKey(snapshot)}`;
+  }
+
   /**
    * Compress data using simple string compression (can be enhanced with actual compression libraries)
    * @param {Array} data - Data to compress
@@ -708,25 +3521,179 @@ export default class ActionSync {
    * @returns {boolean} True if all keys are present
    */
   _actionContainsKeys(payload, keys) {
-    return keys.every(key => payload.hasOwnProperty(key));
+    return keys.every(key => this._readPath(payload, key).found);
+  }
+
+  /**
+   * Read a payload value by key or dotted path ('doc.id'). A key that exists
+   * as written wins over the path, so keys containing dots keep working.
+   * @param {Object} payload - Action payload
+   * @param {string} path - Key or dotted path
+   * @returns {Object} { found, value }
+   */
+  _readPath(payload, path) {
+    if (Object.prototype.hasOwnProperty.call(payload, path)) {
+      return { found: true, value: payload[path] };
+    }
+
+    let value = payload;
+    for (const part of path.split('.')) {
+      if (value === null || typeof value !== 'object' || !Object.prototype.hasOwnProperty.call(value, part)) {
+        return { found: false, value: undefined };
+      }
+      value = value[part];
+    }
+    return { found: true, value };
+  }
+
+  /**
+   * Check whether two payloads hold the same values at every key
+   * @param {Object} payload - Payload to check
+   * @param {Object} other - Payload to compare with
+   * @param {Array<string>} keys - Keys or dotted paths
+   * @returns {boolean} True if every key is present in both and equal
+   */
+  _keysMatch(payload, other, keys) {
+    return keys.every(key => {
+      const mine = this._readPath(payload, key);
+      const theirs = this._readPath(other, key);
+      return mine.found && theirs.found && mine.value === theirs.value;
+    });
+  }
+
+  /**
+   * Work out whether a new action merges into the pending action right before it
+   * with its type's compactor. Nothing is changed; dispatch() applies the merge.
+   * @param {Object} action - New action ({ deviceId, payload }), not yet queued
+   * @param {Array} queue - Pending actions it would follow
+   * @returns {Object|null} { previous, payload } the last pending action and the merged payload, or null
+   */
+  _findCompaction(action, queue) {
+    const compactor = this.compactors[action.payload.type];
+    // Followers leave merging to the leader, which knows what is in flight
+    if (!compactor || (this.crossTab && !this.isLeader)) {
+      return null;
+    }
+
+    const previous = queue[queue.length - 1];
+    // An action that may have reached the server can't absorb another: both would count
+    if (!previous || previous.attempted || !this._canMerge(compactor, previous, action)) {
+      return null;
+    }
+
+    const payload = this._runCompactor(compactor, previous, action);
+    return payload ? { previous, payload } : null;
+  }
+
+  /**
+   * Flag pending actions that may reach the server, so compactors stop merging into them.
+   * The flag lives on the action: it is persisted with the queue, and the leader tab
+   * mirrors it to the other tabs so a tab taking over leadership knows it too.
+   * @param {Array} actions - Pending actions
+   */
+  _markAttempted(actions) {
+    const marked = actions.filter(action => !action.attempted);
+    marked.forEach(action => {
+      action.attempted = true;
+    });
+    if (marked.length > 0 && this.crossTab && this.isLeader) {
+      this._broadcastToTabs({ type: 'attempted', keys: marked.map(action => this._actionKey(action)) });
+    }
+  }
+
+  /**
+   * Merge runs of consecutive synced actions whose compactors opted into history
+   * @returns {number} Number of actions merged away
+   */
+  _compactHistory() {
+    const compacted = [];
+    let mergedCount = 0;
+
+    this.fullQueue.forEach(action => {
+      const previous = compacted[compacted.length - 1];
+      const compactor = this.compactors[action.payload?.type];
+      const payload = previous && compactor && compactor.history && this._canMerge(compactor, previous, action)
+        ? this._runCompactor(compactor, previous, action)
+        : null;
+
+      if (!payload) {
+        compacted.push(action);
+        return;
+      }
+
+      // The merged entry takes the later action's place in the log
+      compacted[compacted.length - 1] = {
+        ...action,
+        payload,
+        compactedActionIds: [...(previous.compactedActionIds || []), previous.actionId]
+      };
+      mergedCount++;
+    });
+
+    if (mergedCount > 0) {
+      this.fullQueue = compacted;
+      this._log('Compacted synced history', { merged: mergedCount, remaining: compacted.length });
+    }
+    return mergedCount;
+  }
+
+  /**
+   * Check whether a compactor may merge two actions
+   * @param {Object} compactor - Registered compactor
+   * @param {Object} previous - Earlier action
+   * @param {Object} action - Later action
+   * @returns {boolean} True if the actions are mergeable
+   */
+  _canMerge(compactor, previous, action) {
+    return previous.payload?.type === action.payload.type &&
+      previous.deviceId === action.deviceId &&
+      !previous.group && !action.group &&
+      this._keysMatch(action.payload, previous.payload, compactor.keys);
+  }
+
+  /**
+   * Run a compactor, treating errors and non-object results as "keep both"
+   * @param {Object} compactor - Registered compactor
+   * @param {Object} previous - Earlier action
+   * @param {Object} action - Later action
+   * @returns {Object|null} Merged payload, or null
+   */
+  _runCompactor(compactor, previous, action) {
+    let payload;
+    try {
+      payload = compactor.compact(previous.payload, action.payload);
+    } catch (error) {
+      this._log('Compactor failed', { type: action.payload.type, error: error.message });
+      return null;
+    }
+    return payload && typeof payload === 'object' ? payload : null;
   }
 
   /**
-   * Remove actions from actionQueue that match the new action on all filter keys
+   * Find the pending actions that match a new action on all filter keys
    * @param {Object} newPayload - Payload of the new action
    * @param {Array<string>} filterKeys - Keys to match on
+   * @returns {Array} Matching pending actions (group members never match)
+   */
+  _findMatchingActions(newPayload, filterKeys) {
+    return this.actionQueue.filter(existingAction =>
+      !existingAction.group && this._keysMatch(existingAction.payload, newPayload, filterKeys));
+  }
+
+  /**
+   * Remove actions found by _findMatchingActions from actionQueue
+   * @param {Array} matches - Pending actions to remove
+   * @param {Array<string>} filterKeys - Keys they matched on
    * @returns {number} Number of actions removed
    */
-  _removeMatchingActions(newPayload, filterKeys) {
+  _removeMatchingActions(matches, filterKeys) {
+    if (matches.length === 0) {
+      return 0;
+    }
+
     const initialLength = this.actionQueue.length;
     
-    this.actionQueue = this.actionQueue.filter(existingAction => {
-      // Keep actions that don't match ALL filter key values
-      return !filterKeys.every(key => 
-        existingAction.payload.hasOwnProperty(key) &&
-        existingAction.payload[key] === newPayload[key]
-      );
-    });
+    this.actionQueue = this.actionQueue.filter(existingAction => !matches.includes(existingAction));
     
     const removedCount = initialLength - this.actionQueue.length;
     if (removedCount > 0) {
@@ -736,6 +3703,42 @@ export default class ActionSync {
     return removedCount;
   }
 
+  /**
+   * Call every listener of an event; listener errors are logged, not thrown
+   * @param {string} event - Event name
+   * @param {*} data - Event data
+   */
+  _emit(event, data) {
+    const listeners = this._listeners[event];
+    if (!listeners || listeners.length === 0) {
+      return;
+    }
+
+    [...listeners].forEach(listener => {
+      try {
+        listener(data);
+      } catch (error) {
+        this._log('Event listener error', { event, error: error.message });
+      }
+    });
+  }
+
+  /**
+   * Emit statusChange when the status differs from the last one emitted
+   */
+  _emitStatusChange() {
+    if (!this._listeners.statusChange || this._listeners.statusChange.length === 0) {
+      return;
+    }
+
+    const status = this.getStatus();
+    const statusJson = JSON.stringify(status);
+    if (statusJson !== this._lastStatusJson) {
+      this._lastStatusJson = statusJson;
+      this._emit('statusChange', status);
+    }
+  }
+
   /**
    * Debug logging
    * @param {string} message - Log message
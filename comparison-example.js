@@ -32,7 +32,7 @@ actions.forEach((action, i) => {
 
 console.log('\n2. Comparing exported data structures...');
 
-const export1 = JSON.parse(actionSyncWithDeviceId.export());
+const export1 = JSON.parse(await actionSyncWithDeviceId.export());
 const export2 = JSON.parse(actionSyncSimple.export());
 
 console.log('WithDeviceId export structure:');
@@ -49,7 +49,7 @@ console.log('  actions[0].payload:', export2.actions[0].payload);
 
 console.log('\n3. Cross-importing (Simple -> WithDeviceId)...');
 try {
-  const importResult = actionSyncWithDeviceId.import(actionSyncSimple.export());
+  const importResult = await actionSyncWithDeviceId.import(actionSyncSimple.export());
   console.log('  Import successful:', importResult.success);
   console.log('  Imported count:', importResult.importedCount);
 } catch (error) {
@@ -60,7 +60,7 @@ console.log('\n4. Testing functionality equivalence...');
 
 // Test that both can import each other's data
 const simpleExport = actionSyncSimple.export();
-const withDeviceExport = actionSyncWithDeviceId.export();
+const withDeviceExport = await actionSyncWithDeviceId.export();
 
 console.log('  Simple can import WithDeviceId data:', (() => {
   try {
@@ -72,10 +72,10 @@ console.log('  Simple can import WithDeviceId data:', (() => {
   }
 })());
 
-console.log('  WithDeviceId can import Simple data:', (() => {
+console.log('  WithDeviceId can import Simple data:', await (async () => {
   try {
     actionSyncWithDeviceId.clearQueue(); 
-    const result = actionSyncWithDeviceId.import(simpleExport);
+    const result = await actionSyncWithDeviceId.import(simpleExport);
     return `✓ (${result.importedCount} actions)`;
   } catch (error) {
     return `✗ (${error.message})`;
@@ -0,0 +1,144 @@
+/**
+ * ActionSync payload encryption
+ * AES-GCM encryption of action payloads with a key shared by all devices, so the
+ * sync server only ever stores ciphertext next to the routing metadata.
+ *
+ * Encrypted payloads are JSON envelopes:
+ *   { encrypted: 'AES-GCM', iv: <base64>, ciphertext: <base64> }
+ * The action's deviceId and actionId are bound in as additional authenticated
+ * data, so the server can't move a ciphertext onto another action.
+ */
+
+const ALGORITHM = 'AES-GCM';
+const IV_LENGTH = 12;
+
+/**
+ * Encrypts and decrypts JSON values with a shared AES-GCM key
+ */
+export class PayloadCipher {
+  /**
+   * @param {CryptoKey|string|ArrayBuffer|Uint8Array} key - AES key: a CryptoKey, raw
+   *   bytes, or the base64 string returned by PayloadCipher.generateKey()
+   * @param {Object} options - { crypto } WebCrypto implementation (defaults to globalThis.crypto)
+   */
+  constructor(key, options = {}) {
+    this.crypto = options.crypto || (typeof crypto !== 'undefined' ? crypto : null);
+    if (!this.crypto || !this.crypto.subtle) {
+      throw new Error('WebCrypto is not available');
+    }
+    this._keyInput = key;
+    this._keyPromise = null;
+  }
+
+  /**
+   * Generate a random 256-bit key to share between devices
+   * @param {Object} cryptoImpl - WebCrypto implementation (defaults to globalThis.crypto)
+   * @returns {string} Base64-encoded raw key
+   */
+  static generateKey(cryptoImpl) {
+    const impl = cryptoImpl || crypto;
+    return toBase64(impl.getRandomValues(new Uint8Array(32)));
+  }
+
+  /**
+   * Check whether a payload is an encryption envelope
+   * @param {*} payload - Action payload
+   * @returns {boolean} True if the payload is encrypted
+   */
+  static isEncrypted(payload) {
+    return !!payload && payload.encrypted === ALGORITHM &&
+      typeof payload.iv === 'string' && typeof payload.ciphertext === 'string';
+  }
+
+  /**
+   * Encrypt a JSON-serializable value
+   * @param {*} value - Value to encrypt
+   * @param {string} associatedData - Context the ciphertext is bound to
+   * @returns {Promise<Object>} Encryption envelope
+   */
+  async encrypt(value, associatedData) {
+    const key = await this._key();
+    const iv = this.crypto.getRandomValues(new Uint8Array(IV_LENGTH));
+    const ciphertext = await this.crypto.subtle.encrypt(
+      { name: ALGORITHM, iv, additionalData: encodeText(associatedData) },
+      key,
+      encodeText(JSON.stringify(value))
+    );
+
+    return {
+      encrypted: ALGORITHM,
+      iv: toBase64(iv),
+      ciphertext: toBase64(new Uint8Array(ciphertext))
+    };
+  }
+
+  /**
+   * Decrypt an envelope produced by encrypt()
+   * @param {Object} envelope - Encryption envelope
+   * @param {string} associatedData - Context the ciphertext was bound to
+   * @returns {Promise<*>} Decrypted value
+   */
+  async decrypt(envelope, associatedData) {
+    const key = await this._key();
+    const plaintext = await this.crypto.subtle.decrypt(
+      { name: ALGORITHM, iv: fromBase64(envelope.iv), additionalData: encodeText(associatedData) },
+      key,
+      fromBase64(envelope.ciphertext)
+    );
+
+    return JSON.parse(new TextDecoder().decode(plaintext));
+  }
+
+  /**
+   * Import the key once
+   * @returns {Promise<CryptoKey>} AES-GCM key
+   */
+  _key() {
+    if (!this._keyPromise) {
+      const input = this._keyInput;
+      if (input && typeof input === 'object' && input.algorithm && input.type) {
+        this._keyPromise = Promise.resolve(input);
+      } else {
+        const raw = typeof input === 'string' ? fromBase64(input) : new Uint8Array(input);
+        this._keyPromise = this.crypto.subtle.importKey('raw', raw, ALGORITHM, false, ['encrypt', 'decrypt']);
+      }
+    }
+    return this._keyPromise;
+  }
+}
+
+/**
+ * Encode a string as UTF-8 bytes
+ * @param {string} text - Text to encode
+ * @returns {Uint8Array} UTF-8 bytes
+ */
+function encodeText(text) {
+  return new TextEncoder().encode(text);
+}
+
+/**
+ * Encode bytes as base64
+ * @param {Uint8Array} bytes - Bytes to encode
+ * @returns {string} Base64 string
+ */
+function toBase64(bytes) {
+  let binary = '';
+  for (let i = 0; i < bytes.length; i += 0x8000) {
+    binary += String.fromCharCode(...bytes.subarray(i, i + 0x8000));
+  }
+  return btoa(binary);
+}
+
+/**
+ * Decode base64 into bytes
+ * @param {string} base64 - Base64 string
+ * @returns {Uint8Array} Decoded bytes
+ */
+function fromBase64(base64) {
+  const binary = atob(base64);
+  const bytes = new Uint8Array(binary.length);
+  for (let i = 0; i < binary.length; i++) {
+    bytes[i] = binary.charCodeAt(i);
+  }
+  return bytes;
+}
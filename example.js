@@ -44,7 +44,7 @@ console.log();
 
 // Example 3: Export actions
 console.log('3. Exporting actions...');
-const exportedData = actionSync.export();
+const exportedData = await actionSync.export();
 console.log('Exported data (first 200 chars):', exportedData.substring(0, 200) + '...\n');
 
 // Example 4: Import actions (simulating data from another device)
@@ -77,7 +77,7 @@ const simulatedRemoteData = {
   lastActionId: '000001234567890abcdef12345678902'
 };
 
-const importResult = actionSync.import(JSON.stringify(simulatedRemoteData));
+const importResult = await actionSync.import(JSON.stringify(simulatedRemoteData));
 console.log('Import result:', importResult);
 console.log('Updated status:', actionSync.getStatus());
 console.log();
@@ -127,7 +127,7 @@ async function syncExample() {
   
   try {
     // For demonstration, we'll manually merge the mock server data
-    const importResult = actionSync.import(JSON.stringify({
+    const importResult = await actionSync.import(JSON.stringify({
       deviceId: 'mock-server',
       timestamp: Date.now(),
       actions: mockServer.actions,
@@ -175,7 +175,7 @@ try {
 }
 
 try {
-  actionSync.import('invalid json');
+  await actionSync.import('invalid json');
 } catch (error) {
   console.log('Expected error for invalid JSON:', error.message);
 }
@@ -0,0 +1,303 @@
+/**
+ * ActionSync server storage backends
+ * The sync server keeps its action log and device metadata behind this interface,
+ * so a deployment can plug in its own database without touching the routes.
+ *
+ * Every backend implements the same asynchronous interface:
+ *   init()                                    -> Promise<void>   Load existing state before serving
+ *   appendActions(deviceId, actions, channel) -> Promise<{ storedActions, duplicateActionIds }>
+ *       Assign each new action the next sequence number (1, 2, 3, ...) and skip
+ *       actions whose (channel, deviceId, actionId) is already stored
+ *   readActions({ channel, afterSeq, excludeDeviceId, limit })
+ *                                             -> Promise<{ actions, lastSeq, hasMore }>
+ *       Up to `limit` of the channel's stored actions after `afterSeq` in sequence
+ *       order, leaving out `excludeDeviceId`'s own; `lastSeq` is the last sequence
+ *       number scanned
+ *   getHeadSequence()                         -> Promise<number>  Highest assigned sequence number
+ *   getEpoch()                                -> Promise<string>  Six base36 characters naming this log;
+ *       a new epoch is picked whenever clear() empties it, so cursors into the old log can be told apart
+ *   getDeviceActions(deviceId)                -> Promise<Array>   Stored actions sent by a device
+ *   getStats()                                -> Promise<{ totalActions, devices, channels, lastSync, recentActions }>
+ *   clear()                                   -> Promise<void>   Remove all actions and metadata, start a new epoch
+ *   close()                                   -> Promise<void>   Release resources
+ *
+ * Stored actions are the incoming action plus seq, channel, receivedAt and sourceDevice.
+ * Sequence numbers are shared by all channels, so one cursor format works for every
+ * channel; a channel's actions are served in sequence order with gaps.
+ */
+
+import crypto from 'crypto';
+import fs from 'fs';
+import { ActionLog } from './action-log.js';
+
+// Channel of requests and stored actions that don't name one
+export const DEFAULT_CHANNEL = 'default';
+
+const EPOCH_PATTERN = /^[0-9a-z]{6}$/;
+
+/**
+ * Pick a random log epoch
+ * @returns {string} Six base36 characters
+ */
+function createEpoch() {
+  return crypto.randomInt(36 ** 6).toString(36).padStart(6, '0');
+}
+
+/**
+ * Keeps everything in memory (development, tests)
+ */
+export class MemoryServerStorage {
+  constructor() {
+    this._reset();
+    this.epoch = createEpoch(); // A restarted memory server starts an empty log, so a new epoch too
+    this._appendQueue = Promise.resolve();
+  }
+
+  async init() {}
+
+  async appendActions(deviceId, actions, channel = DEFAULT_CHANNEL) {
+    // One append at a time so sequence numbers are assigned without gaps or reuse
+    const append = this._appendQueue.then(() => this._append(deviceId, actions, channel));
+    this._appendQueue = append.catch(() => {});
+    return append;
+  }
+
+  async readActions({ channel = DEFAULT_CHANNEL, afterSeq = 0, excludeDeviceId = null, limit = Infinity } = {}) {
+    const channelActions = this.channels.get(channel) || [];
+    const actions = [];
+    let index = this._indexAfterSequence(channelActions, afterSeq);
+    let lastSeq = afterSeq;
+
+    while (index < channelActions.length && actions.length < limit) {
+      const action = channelActions[index++];
+      lastSeq = action.seq;
+      if (action.sourceDevice !== excludeDeviceId) {
+        actions.push(action);
+      }
+    }
+
+    return { actions, lastSeq, hasMore: index < channelActions.length };
+  }
+
+  async getHeadSequence() {
+    return this.sequence;
+  }
+
+  async getEpoch() {
+    return this.epoch;
+  }
+
+  async getDeviceActions(deviceId) {
+    return this.actions.filter(action => action.sourceDevice === deviceId);
+  }
+
+  async getStats() {
+    const devices = {};
+    this.actions.forEach(action => {
+      const deviceId = action.sourceDevice || action.deviceId;
+      devices[deviceId] = (devices[deviceId] || 0) + 1;
+    });
+
+    const channels = {};
+    this.channels.forEach((channelActions, channel) => {
+      channels[channel] = channelActions.length;
+    });
+
+    return {
+      totalActions: this.actions.length,
+      devices,
+      channels,
+      lastSync: { ...this.deviceLastSync },
+      recentActions: this.actions.slice(-10)
+    };
+  }
+
+  async clear() {
+    this._reset();
+    this.epoch = createEpoch();
+  }
+
+  async close() {}
+
+  /**
+   * Store new actions from a device (called one at a time)
+   * @param {string} deviceId - Device that sent the actions
+   * @param {Array} actions - Validated incoming actions
+   * @param {string} channel - Channel the actions belong to
+   * @returns {Promise<Object>} { storedActions, duplicateActionIds }
+   */
+  async _append(deviceId, actions, channel) {
+    const storedActions = [];
+    const duplicateActionIds = [];
+    const batchKeys = new Set();
+
+    actions.forEach(action => {
+      const key = this._actionKey(channel, deviceId, action.actionId);
+      if (this.actionKeys.has(key) || batchKeys.has(key)) {
+        duplicateActionIds.push(action.actionId);
+        return;
+      }
+      batchKeys.add(key);
+
+      storedActions.push({
+        ...action,
+        seq: this.sequence + storedActions.length + 1,
+        channel,
+        receivedAt: Date.now(),
+        sourceDevice: deviceId
+      });
+    });
+
+    // Durable backends write here, before the actions become visible
+    await this._persist(storedActions);
+    storedActions.forEach(storedAction => this._index(storedAction));
+    this.deviceLastSync[deviceId] = Date.now();
+
+    return { storedActions, duplicateActionIds };
+  }
+
+  /**
+   * Hook for durable backends: write new actions before they are indexed
+   * @param {Array} storedActions - Actions about to be stored
+   */
+  async _persist(storedActions) {}
+
+  /**
+   * Add a stored action to the in-memory indexes
+   * @param {Object} storedAction - Stored action
+   */
+  _index(storedAction) {
+    const channel = storedAction.channel || DEFAULT_CHANNEL;
+    if (!this.channels.has(channel)) {
+      this.channels.set(channel, []);
+    }
+    this.channels.get(channel).push(storedAction);
+    this.actions.push(storedAction);
+    this.actionKeys.add(this._actionKey(channel, storedAction.sourceDevice, storedAction.actionId));
+    this.sequence = Math.max(this.sequence, storedAction.seq);
+  }
+
+  /**
+   * Empty the in-memory indexes
+   */
+  _reset() {
+    this.actions = []; // All actions from all devices, in sequence order
+    this.channels = new Map(); // Channel name -> its actions, in sequence order
+    this.deviceLastSync = {}; // Track last sync time per device
+    this.sequence = 0; // Last assigned sequence number
+    this.actionKeys = new Set(); // (channel, deviceId, actionId) of every stored action, for idempotent ingestion
+  }
+
+  /**
+   * Dedupe key for a stored action
+   * @param {string} channel - Channel the action belongs to
+   * @param {string} deviceId - Device that sent the action
+   * @param {string} actionId - Client-generated action ID
+   * @returns {string} Dedupe key
+   */
+  _actionKey(channel, deviceId, actionId) {
+    return JSON.stringify([channel, deviceId, actionId]);
+  }
+
+  /**
+   * Find the index of the first stored action after a sequence number (binary search)
+   * @param {Array} actions - Stored actions in sequence order
+   * @param {number} seq - Sequence number already seen
+   * @returns {number} Index into actions
+   */
+  _indexAfterSequence(actions, seq) {
+    let low = 0;
+    let high = actions.length;
+    while (low < high) {
+      const mid = (low + high) >>> 1;
+      if (actions[mid].seq <= seq) {
+        low = mid + 1;
+      } else {
+        high = mid;
+      }
+    }
+    return low;
+  }
+}
+
+/**
+ * Memory indexes backed by a durable append-only JSON-lines file.
+ * init() replays the file; appends are fsynced before they are acknowledged.
+ * The log's epoch is kept next to it in `<filePath>.epoch`.
+ */
+export class FileServerStorage extends MemoryServerStorage {
+  /**
+   * @param {Object} options - { filePath, logger } log file, created when missing,
+   *   and where to report the replay (default console)
+   */
+  constructor(options = {}) {
+    super();
+    if (!options.filePath) {
+      throw new Error('FileServerStorage requires a filePath');
+    }
+    this.filePath = options.filePath;
+    this.epochPath = `${this.filePath}.epoch`;
+    this.logger = options.logger || console;
+    this.log = new ActionLog(this.filePath, { logger: this.logger });
+  }
+
+  async init() {
+    const records = this.log.open();
+    this.epoch = this._readEpoch() || this._writeEpoch(createEpoch());
+    this._reset();
+    records.forEach(storedAction => {
+      this._index(storedAction);
+      this.deviceLastSync[storedAction.sourceDevice] = storedAction.receivedAt;
+    });
+    this.logger.log(`Replayed ${records.length} actions from ${this.filePath}`);
+  }
+
+  async clear() {
+    // New epoch first: a crash before the truncate only costs clients a re-pull
+    this.epoch = this._writeEpoch(createEpoch());
+    this.log.clear();
+    this._reset();
+  }
+
+  async close() {
+    this.log.close();
+  }
+
+  async _persist(storedActions) {
+    this.log.append(storedActions);
+  }
+
+  /**
+   * Read the persisted epoch
+   * @returns {string|null} Epoch, or null when missing or unreadable
+   */
+  _readEpoch() {
+    try {
+      const epoch = fs.readFileSync(this.epochPath, 'utf8').trim();
+      return EPOCH_PATTERN.test(epoch) ? epoch : null;
+    } catch (error) {
+      if (error.code === 'ENOENT') {
+        return null;
+      }
+      throw error;
+    }
+  }
+
+  /**
+   * Durably replace the persisted epoch
+   * @param {string} epoch - New epoch
+   * @returns {string} The epoch written
+   */
+  _writeEpoch(epoch) {
+    const tempPath = `${this.epochPath}.${process.pid}.tmp`;
+    const fd = fs.openSync(tempPath, 'w');
+    try {
+      fs.writeFileSync(fd, `${epoch}\n`);
+      fs.fsyncSync(fd);
+    } finally {
+      fs.closeSync(fd);
+    }
+    fs.renameSync(tempPath, this.epochPath);
+    return epoch;
+  }
+}
@@ -3,283 +3,938 @@
 /**
  * ActionSync Server
  * Simple Express.js server for handling ActionSync API calls
- * Keeps all data in memory for development/testing
+ * Keeps data in memory unless a durable storage backend is configured
+ *
+ * createServer(options) builds an independent server; the default export is one
+ * built with default options. Run this file directly to start a server from
+ * command-line flags, a config file and environment variables.
  */
 
+import fs from 'fs';
+import crypto from 'crypto';
 import express from 'express';
+import bytes from 'bytes';
 import cors from 'cors';
+import { WebSocketServer } from 'ws';
+import { MemoryServerStorage, FileServerStorage, DEFAULT_CHANNEL } from './server-storage.js';
 
-const app = express();
-const PORT = process.env.PORT || 3000;
+export { MemoryServerStorage, FileServerStorage, DEFAULT_CHANNEL } from './server-storage.js';
 
-// Middleware
-app.use(express.json({ limit: '10mb' }));
-app.use(cors());
+// Defaults for createServer() options
+const DEFAULT_PORT = 3000;
+const DEFAULT_BODY_LIMIT = '10mb';
 
-// In-memory storage
-const storage = {
-  actions: [], // All actions from all devices
-  deviceLastSync: {}, // Track last sync time per device
-  actionCounter: 0 // Global action counter for ordering
-};
+// Cursors are 'c' + the log epoch + the sequence number in fixed-width base36, so
+// cursors of one epoch compare in order as plain strings. '0' means "from the start".
+const CURSOR_PATTERN = /^c([0-9a-z]{6})([0-9a-z]{10})$/;
+
+// Channel names: up to 128 letters, digits and _ . : @ / -
+const CHANNEL_PATTERN = /^[A-Za-z0-9_.:@\/-]{1,128}$/;
+
+// Principal of every request when authentication is off: the server is open, as before
+const OPEN_ACCESS = Object.freeze({ admin: true });
+
+// Remote actions per pull page when the client doesn't ask for a limit, and the most it may ask for
+const DEFAULT_PAGE_SIZE = 500;
+const MAX_PAGE_SIZE = 1000;
 
 /**
- * Generate a server-side action ID
- * @returns {string} Unique server action ID
+ * Format a sequence number in fixed-width base36
+ * @param {number} seq - Sequence number
+ * @returns {string} Ten base36 characters
  */
-function generateServerId() {
-  return `server-${Date.now()}-${++storage.actionCounter}`;
+function formatSequence(seq) {
+  return seq.toString(36).padStart(10, '0');
 }
 
 /**
- * Store actions from a device
- * @param {Array} actions - Actions to store
- * @param {string} deviceId - Device that sent the actions
+ * Encode a sequence number as an opaque cursor
+ * @param {number} seq - Sequence number
+ * @param {string} epoch - Epoch of the log the sequence number belongs to
+ * @returns {string} Cursor
  */
-function storeActions(actions, deviceId) {
-  actions.forEach(action => {
-    // Ensure each action has a server-assigned order
-    const storedAction = {
-      ...action,
-      serverId: generateServerId(),
-      receivedAt: Date.now(),
-      sourceDevice: deviceId
-    };
-    
-    storage.actions.push(storedAction);
-  });
-  
-  // Update device last sync
-  storage.deviceLastSync[deviceId] = Date.now();
-  
-  console.log(`Stored ${actions.length} actions from device ${deviceId}`);
+function encodeCursor(seq, epoch) {
+  return seq === 0 ? '0' : `c${epoch}${formatSequence(seq)}`;
 }
 
 /**
- * Get actions for a device since their last sync
- * @param {string} deviceId - Requesting device ID
- * @param {string} lastActionId - Last action ID the device has seen
- * @returns {Array} Actions to send to the device
+ * Decode a cursor sent by a client
+ * @param {string} cursor - Cursor from a previous response, '0' or empty for the start
+ * @param {number} headSeq - Highest sequence number stored
+ * @param {string} epoch - Current epoch of the log
+ * @returns {number|null} Sequence number, or null when the cursor is not valid here
  */
-function getActionsForDevice(deviceId, lastActionId) {
-  // Find the index of the last action the device has seen
-  let startIndex = 0;
-  
-  if (lastActionId && lastActionId !== '0') {
-    const lastActionIndex = storage.actions.findIndex(action => 
-      action.actionId === lastActionId || action.serverId === lastActionId
-    );
-    
-    if (lastActionIndex !== -1) {
-      startIndex = lastActionIndex + 1;
-    }
+function decodeCursor(cursor, headSeq, epoch) {
+  if (cursor === undefined || cursor === null || cursor === '' || cursor === '0') {
+    return 0;
+  }
+  const match = typeof cursor === 'string' ? CURSOR_PATTERN.exec(cursor) : null;
+  // A cursor from another epoch points into a log that was cleared since
+  if (!match || match[1] !== epoch) {
+    return null;
+  }
+
+  const seq = parseInt(match[2], 36);
+  return seq <= headSeq ? seq : null;
+}
+
+/**
+ * Read the channel a client named
+ * @param {*} channel - Requested channel
+ * @returns {string|null} Channel name, or null when the name is not valid
+ */
+function parseChannel(channel) {
+  if (channel === undefined || channel === null) {
+    return DEFAULT_CHANNEL;
   }
-  
-  // Return actions from other devices that this device hasn't seen
-  const actionsToSend = storage.actions
-    .slice(startIndex)
-    .filter(action => action.sourceDevice !== deviceId)
-    .map(action => ({
-      actionId: action.actionId,
-      timestamp: action.timestamp,
-      deviceId: action.deviceId,
-      payload: action.payload
-    }));
-  
-  console.log(`Sending ${actionsToSend.length} actions to device ${deviceId}`);
-  return actionsToSend;
+  return typeof channel === 'string' && CHANNEL_PATTERN.test(channel) ? channel : null;
+}
+
+/**
+ * Read the token from an Authorization: Bearer header
+ * @param {string} header - Authorization header value
+ * @returns {string|null} Token, or null when there is none
+ */
+function readBearerToken(header) {
+  const match = /^Bearer\s+(\S+)\s*$/i.exec(header || '');
+  return match ? match[1] : null;
 }
 
 /**
- * Get the latest action ID (for use as lastActionId in responses)
- * @returns {string} Latest action ID
+ * Check that a principal may sync as a device on a channel
+ * @param {Object} principal - Authenticated principal
+ * @param {string} deviceId - Device the request claims to be
+ * @param {string} channel - Channel the request reads and writes
+ * @returns {string|null} Denial reason, or null when allowed
  */
-function getLatestActionId() {
-  if (storage.actions.length === 0) {
-    return '0';
+function checkAccess(principal, deviceId, channel) {
+  if (principal.admin) {
+    return null;
+  }
+  if (Array.isArray(principal.deviceIds) && !principal.deviceIds.includes(deviceId)) {
+    return 'Not allowed to sync as this device';
   }
-  
-  const latestAction = storage.actions[storage.actions.length - 1];
-  return latestAction.serverId || latestAction.actionId || '0';
+  if (Array.isArray(principal.channels) && !principal.channels.includes(channel)) {
+    return 'Not allowed to sync this channel';
+  }
+  return null;
 }
 
-// Routes
+/**
+ * Build a verifyToken function for a fixed set of tokens
+ * @param {Object} tokens - Token -> principal, e.g. { 's3cret': { admin: true } }.
+ *   A principal may list the deviceIds and channels it is allowed to sync.
+ * @returns {Function} async (token) => principal or null
+ */
+export function createTokenVerifier(tokens) {
+  const digest = (token) => crypto.createHash('sha256').update(String(token)).digest();
+  const entries = Object.entries(tokens || {}).map(([token, principal]) => [digest(token), principal]);
+
+  return async (token) => {
+    const candidate = digest(token);
+    // Compare digests in constant time so response timing doesn't leak tokens
+    const match = entries.find(([known]) => crypto.timingSafeEqual(known, candidate));
+    return match ? match[1] : null;
+  };
+}
 
 /**
- * Health check endpoint
+ * Check that an incoming action carries the fields the server relies on
+ * @param {Object} action - Incoming action
+ * @param {string} deviceId - Device making the request, the only one it may send actions for
+ * @returns {string|null} Rejection reason, or null when the action is valid
  */
-app.get('/health', (req, res) => {
-  res.json({
-    status: 'ok',
-    timestamp: new Date().toISOString(),
-    stats: {
-      totalActions: storage.actions.length,
-      connectedDevices: Object.keys(storage.deviceLastSync).length,
-      uptime: process.uptime()
+function validateAction(action, deviceId) {
+  if (!action || typeof action !== 'object' || Array.isArray(action)) {
+    return 'action must be an object';
+  }
+  if (typeof action.actionId !== 'string' || action.actionId === '') {
+    return 'actionId is required';
+  }
+  if (action.deviceId !== undefined && action.deviceId !== deviceId) {
+    // Otherwise a device could impersonate another, or claim its action IDs ahead of it
+    return 'deviceId must match the request deviceId';
+  }
+  if (typeof action.timestamp !== 'number') {
+    return 'timestamp must be a number';
+  }
+  if (action.payload === undefined) {
+    return 'payload is required';
+  }
+  if (action.group !== undefined) {
+    const { id, size, index } = action.group || {};
+    if (typeof id !== 'string' || id === '' || !Number.isInteger(size) || size < 1 ||
+        !Number.isInteger(index) || index < 0 || index >= size) {
+      return 'group must be { id, size, index }';
     }
-  });
-});
+  }
+  return null;
+}
 
 /**
- * Get server statistics
+ * Reject every action of a group unless the whole group arrived valid in this
+ * request, so other devices never receive part of a group
+ * @param {Array} accepted - Valid actions, filtered in place
+ * @param {Array} rejected - Rejections, appended to
  */
-app.get('/stats', (req, res) => {
-  const deviceStats = {};
-  
-  // Count actions per device
-  storage.actions.forEach(action => {
-    const deviceId = action.sourceDevice || action.deviceId;
-    deviceStats[deviceId] = (deviceStats[deviceId] || 0) + 1;
+function rejectPartialGroups(accepted, rejected) {
+  const members = new Map();
+  accepted.forEach(action => {
+    if (action.group) {
+      members.set(action.group.id, (members.get(action.group.id) || 0) + 1);
+    }
   });
-  
-  res.json({
-    totalActions: storage.actions.length,
-    devices: deviceStats,
-    lastSync: storage.deviceLastSync,
-    recentActions: storage.actions.slice(-10).map(action => ({
-      id: action.actionId,
-      serverId: action.serverId,
-      device: action.sourceDevice,
-      type: action.payload?.type,
-      timestamp: action.timestamp
-    }))
+
+  // Groups with a rejected member are incomplete too
+  const isIncomplete = action => action.group && members.get(action.group.id) !== action.group.size;
+  accepted.filter(isIncomplete).forEach(action => {
+    rejected.push({ actionId: action.actionId, error: `group ${action.group.id} is incomplete` });
   });
-});
+  accepted.splice(0, accepted.length, ...accepted.filter(action => !isIncomplete(action)));
+}
+
+/**
+ * Strip server bookkeeping from a stored action
+ * @param {Object} action - Stored action
+ * @returns {Object} Action as sent to clients
+ */
+function toClientAction(action) {
+  const clientAction = {
+    actionId: action.actionId,
+    timestamp: action.timestamp,
+    deviceId: action.deviceId,
+    payload: action.payload
+  };
+  if (action.group) {
+    clientAction.group = action.group;
+  }
+  return clientAction;
+}
+
+/**
+ * Read the page limit a client asked for
+ * @param {*} limit - Requested limit
+ * @returns {number|null} Page size, or null when the limit is not valid
+ */
+function parsePageLimit(limit) {
+  if (limit === undefined || limit === null) {
+    return DEFAULT_PAGE_SIZE;
+  }
+  if (!Number.isInteger(limit) || limit < 1) {
+    return null;
+  }
+  return Math.min(limit, MAX_PAGE_SIZE);
+}
 
 /**
- * Clear all data (for testing)
+ * Wrap an async route handler so rejections reach the error middleware
+ * @param {Function} handler - async (req, res) => void
+ * @returns {Function} Express handler
  */
-app.post('/clear', (req, res) => {
-  storage.actions = [];
-  storage.deviceLastSync = {};
-  storage.actionCounter = 0;
-  
-  console.log('All data cleared');
-  res.json({ success: true, message: 'All data cleared' });
-});
+function asyncRoute(handler) {
+  return (req, res, next) => {
+    Promise.resolve(handler(req, res)).catch(next);
+  };
+}
 
 /**
- * Main sync endpoint
- * Handles action synchronization between devices
+ * Create a sync server with its own storage, connected sockets and configuration.
+ * Instances share nothing, so several can run in one process.
+ *
+ * Besides the usual Express methods, the returned app has:
+ *   start(port?)                  -> Promise<http.Server>  Listen (options.port by default) with /ws attached
+ *   close()                       -> Promise<void>         Stop what start() opened and close the storage
+ *   attachWebSocketServer(server) -> WebSocketServer        Attach /ws to an existing HTTP server
+ *   setStorage(backend)           -> Promise<Object>       Replace the storage backend
+ *   getStorage()                  -> Object                Storage backend in use
+ *
+ * @param {Object} options - Server options
+ * @param {number} options.port - Port used by start() (default 3000)
+ * @param {string|number} options.bodyLimit - Largest accepted JSON body or WebSocket message, e.g. '10mb' (default '10mb')
+ * @param {string|Array<string>} options.corsOrigins - Allowed origins; '*' allows any (default '*')
+ * @param {Object} options.storage - Storage backend (default: a new MemoryServerStorage)
+ * @param {Object} options.logger - Object with log, warn and error methods (default console)
+ * @param {Object} options.auth - { verifyToken } to require bearer tokens (default: no authentication).
+ *   verifyToken(token, req) resolves to a principal, or null to reject the token. Principals
+ *   with admin: true may use /clear, /stats and /device/:deviceId/actions; others may be
+ *   limited to lists of deviceIds and channels.
+ * @returns {express.Application} Express app
  */
-app.post('/sync', (req, res) => {
-  try {
-    const { deviceId, lastActionId, actions } = req.body;
-    
-    // Validate request
-    if (!deviceId) {
-      return res.status(400).json({
-        success: false,
-        error: 'deviceId is required'
-      });
+export function createServer(options = {}) {
+  const port = options.port ?? DEFAULT_PORT;
+  const logger = options.logger || console;
+  const verifyToken = options.auth?.verifyToken || null;
+  const bodyLimit = options.bodyLimit || DEFAULT_BODY_LIMIT;
+
+  const app = express();
+
+  // Middleware
+  app.use(express.json({ limit: bodyLimit }));
+  app.use(cors({ origin: options.corsOrigins || '*' }));
+
+  // Action log and device metadata (in memory unless another backend is set)
+  let storage = options.storage || new MemoryServerStorage();
+  // Requests wait for the backend to load before touching it
+  let storageReady = Promise.resolve().then(() => storage.init());
+  storageReady.catch(error => logger.error('Storage initialization failed:', error));
+
+  // Connected WebSocket clients (socket.deviceId is set by the hello message)
+  const sockets = new Set();
+
+  // HTTP and WebSocket servers opened by start()
+  let httpServer = null;
+  let wss = null;
+
+  /**
+   * Resolve the principal behind a bearer token
+   * @param {string|null} token - Bearer token
+   * @param {Object} req - HTTP request, or null for WebSocket messages
+   * @returns {Promise<Object|null>} Principal, or null when the token is missing or invalid
+   */
+  async function authenticate(token, req) {
+    if (!verifyToken) {
+      return OPEN_ACCESS;
     }
-    
-    if (!Array.isArray(actions)) {
-      return res.status(400).json({
-        success: false,
-        error: 'actions must be an array'
-      });
+    if (!token) {
+      return null;
     }
-    
-    console.log(`Sync request from device ${deviceId}:`, {
-      lastActionId,
-      actionsCount: actions.length
+    return (await verifyToken(token, req)) || null;
+  }
+
+  /**
+   * Middleware that requires a valid bearer token and sets req.principal
+   * @param {boolean} adminOnly - Also require an admin principal
+   * @returns {Function} Express middleware
+   */
+  function requireAuth(adminOnly = false) {
+    return (req, res, next) => {
+      const token = readBearerToken(req.headers.authorization);
+      authenticate(token, req).then(principal => {
+        if (!principal) {
+          res.set('WWW-Authenticate', 'Bearer');
+          res.status(401).json({ success: false, error: token ? 'Invalid token' : 'Authentication required' });
+          return;
+        }
+        if (adminOnly && !principal.admin) {
+          res.status(403).json({ success: false, error: 'Admin access required' });
+          return;
+        }
+        req.principal = principal;
+        next();
+      }, next);
+    };
+  }
+
+  /**
+   * Store actions from a device, skipping ones already stored so retried
+   * requests are idempotent
+   * @param {Array} actions - Actions to store
+   * @param {string} deviceId - Device that sent the actions
+   * @param {string} channel - Channel the actions belong to
+   * @returns {Promise<Object>} { storedActions, duplicateActionIds }
+   */
+  async function storeActions(actions, deviceId, channel) {
+    const { storedActions, duplicateActionIds } = await storage.appendActions(deviceId, actions, channel);
+
+    logger.log(`Stored ${storedActions.length} actions from device ${deviceId}`, {
+      channel,
+      duplicates: duplicateActionIds.length
     });
-    
-    // Store incoming actions
-    if (actions.length > 0) {
-      storeActions(actions, deviceId);
+
+    pushActionsToSockets(storedActions, deviceId, channel);
+
+    return { storedActions, duplicateActionIds };
+  }
+
+  /**
+   * Push newly stored actions to every device subscribed to the channel, except the sender
+   * @param {Array} storedActions - Actions just stored
+   * @param {string} deviceId - Device that sent the actions
+   * @param {string} channel - Channel the actions belong to
+   */
+  function pushActionsToSockets(storedActions, deviceId, channel) {
+    if (storedActions.length === 0) {
+      return;
     }
-    
-    // Get actions to send back to this device
-    const actionsToSend = getActionsForDevice(deviceId, lastActionId);
-    
-    // Prepare response
-    const response = {
-      success: true,
-      lastActionId: getLatestActionId(),
-      actions: actionsToSend,
+
+    const message = JSON.stringify({
+      type: 'actions',
+      channel,
+      actions: storedActions.map(toClientAction),
       serverTimestamp: Date.now()
+    });
+
+    sockets.forEach(socket => {
+      if (socket.deviceId && socket.deviceId !== deviceId && socket.channels.has(channel) &&
+          socket.readyState === socket.OPEN) {
+        socket.send(message);
+      }
+    });
+  }
+
+  /**
+   * Get one page of a channel's actions for a device since their last sync
+   * @param {string} deviceId - Requesting device ID
+   * @param {string} channel - Channel to read
+   * @param {number} afterSeq - Sequence number the device has seen up to
+   * @param {number} limit - Maximum actions to return
+   * @returns {Promise<Object>} { actions, cursor, hasMore } where cursor covers everything scanned
+   */
+  async function getActionsForDevice(deviceId, channel, afterSeq, limit) {
+    // Read the head before the page: an action appended while the page is read gets
+    // a sequence number above it, so the cursor can't move past an action not served
+    const headSeq = await storage.getHeadSequence();
+    const epoch = await storage.getEpoch();
+
+    // Return actions from other devices that this device hasn't seen
+    const page = await storage.readActions({ channel, afterSeq, excludeDeviceId: deviceId, limit });
+    const actionsToSend = page.actions.map(toClientAction);
+
+    logger.log(`Sending ${actionsToSend.length} actions to device ${deviceId}`, { channel, hasMore: page.hasMore });
+    return {
+      actions: actionsToSend,
+      // Caught up: point at the head, which also covers the device's own new actions
+      cursor: encodeCursor(page.hasMore ? page.lastSeq : Math.max(page.lastSeq, headSeq), epoch),
+      hasMore: page.hasMore
     };
-    
-    res.json(response);
-    
-  } catch (error) {
-    console.error('Sync error:', error);
-    res.status(500).json({
+  }
+
+  /**
+   * Handle a sync request (shared by the HTTP endpoint and WebSocket transport)
+   * @param {Object} request - Sync request body
+   * @param {Object} principal - Authenticated principal making the request
+   * @returns {Promise<Object>} { status, body } response to send
+   */
+  async function handleSync(request, principal) {
+    try {
+      await storageReady;
+
+      const { deviceId, lastActionId, actions, limit } = request || {};
+      const channel = parseChannel(request?.channel);
+
+      // Validate request
+      if (!deviceId) {
+        return {
+          status: 400,
+          body: { success: false, error: 'deviceId is required' }
+        };
+      }
+
+      if (!Array.isArray(actions)) {
+        return {
+          status: 400,
+          body: { success: false, error: 'actions must be an array' }
+        };
+      }
+
+      if (channel === null) {
+        return {
+          status: 400,
+          body: { success: false, error: 'channel must be 1-128 letters, digits or _ . : @ / -' }
+        };
+      }
+
+      const denied = checkAccess(principal, deviceId, channel);
+      if (denied) {
+        return {
+          status: 403,
+          body: { success: false, error: denied }
+        };
+      }
+
+      const pageSize = parsePageLimit(limit);
+      if (pageSize === null) {
+        return {
+          status: 400,
+          body: { success: false, error: 'limit must be a positive integer' }
+        };
+      }
+
+      const afterSeq = decodeCursor(lastActionId, await storage.getHeadSequence(), await storage.getEpoch());
+      if (afterSeq === null) {
+        return {
+          status: 400,
+          body: { success: false, error: 'Invalid cursor', code: 'INVALID_CURSOR' }
+        };
+      }
+
+      logger.log(`Sync request from device ${deviceId}:`, {
+        channel,
+        lastActionId,
+        actionsCount: actions.length
+      });
+
+      // Validate each action on its own so one bad action doesn't fail the batch
+      // (only the rest of its group, if it belongs to one)
+      const accepted = [];
+      const rejected = [];
+      actions.forEach(action => {
+        const error = validateAction(action, deviceId);
+        if (error) {
+          rejected.push({ actionId: action && typeof action.actionId === 'string' ? action.actionId : null, error });
+        } else {
+          accepted.push(action);
+        }
+      });
+      rejectPartialGroups(accepted, rejected);
+
+      // Store incoming actions; duplicates of stored actions are acknowledged again
+      // so a client retrying a request whose response was lost still gets its ack
+      let duplicateActionIds = [];
+      if (accepted.length > 0) {
+        ({ duplicateActionIds } = await storeActions(accepted, deviceId, channel));
+      }
+
+      // Get actions to send back to this device
+      const page = await getActionsForDevice(deviceId, channel, afterSeq, pageSize);
+
+      // Prepare response
+      return {
+        status: 200,
+        body: {
+          success: true,
+          channel,
+          lastActionId: page.cursor,
+          actions: page.actions,
+          hasMore: page.hasMore,
+          acceptedActionIds: accepted.map(action => action.actionId),
+          duplicateActionIds,
+          rejected,
+          serverTimestamp: Date.now()
+        }
+      };
+
+    } catch (error) {
+      logger.error('Sync error:', error);
+      return {
+        status: 500,
+        body: {
+          success: false,
+          error: 'Internal server error',
+          message: error.message
+        }
+      };
+    }
+  }
+
+  // Hold requests until the storage backend has loaded
+  app.use((req, res, next) => {
+    storageReady.then(() => next(), next);
+  });
+
+  // Routes
+
+  /**
+   * Health check endpoint
+   */
+  app.get('/health', asyncRoute(async (req, res) => {
+    const stats = await storage.getStats();
+    res.json({
+      status: 'ok',
+      timestamp: new Date().toISOString(),
+      stats: {
+        totalActions: stats.totalActions,
+        connectedDevices: Object.keys(stats.lastSync).length,
+        uptime: process.uptime()
+      }
+    });
+  }));
+
+  /**
+   * Get server statistics (admin only)
+   */
+  app.get('/stats', requireAuth(true), asyncRoute(async (req, res) => {
+    const stats = await storage.getStats();
+    const epoch = await storage.getEpoch();
+
+    res.json({
+      totalActions: stats.totalActions,
+      devices: stats.devices,
+      channels: stats.channels,
+      lastSync: stats.lastSync,
+      recentActions: stats.recentActions.map(action => ({
+        id: action.actionId,
+        // A cursor right after this action, in the same format as sync cursors
+        serverId: encodeCursor(action.seq, epoch),
+        channel: action.channel,
+        device: action.sourceDevice,
+        type: action.payload?.type,
+        timestamp: action.timestamp
+      }))
+    });
+  }));
+
+  /**
+   * Clear all data (for testing, admin only)
+   */
+  app.post('/clear', requireAuth(true), asyncRoute(async (req, res) => {
+    await storage.clear();
+
+    logger.log('All data cleared');
+    res.json({ success: true, message: 'All data cleared' });
+  }));
+
+  /**
+   * Main sync endpoint
+   * Handles action synchronization between devices
+   */
+  app.post('/sync', requireAuth(), asyncRoute(async (req, res) => {
+    const { status, body } = await handleSync(req.body, req.principal);
+    res.status(status).json(body);
+  }));
+
+  /**
+   * Get all actions for a specific device (debug endpoint, admin only)
+   */
+  app.get('/device/:deviceId/actions', requireAuth(true), asyncRoute(async (req, res) => {
+    const { deviceId } = req.params;
+    const epoch = await storage.getEpoch();
+
+    const deviceActions = (await storage.getDeviceActions(deviceId))
+      .map(action => ({
+        actionId: action.actionId,
+        serverId: encodeCursor(action.seq, epoch),
+        channel: action.channel,
+        timestamp: action.timestamp,
+        payload: action.payload,
+        receivedAt: action.receivedAt
+      }));
+
+    res.json({
+      deviceId,
+      actions: deviceActions,
+      count: deviceActions.length
+    });
+  }));
+
+  // Error handling middleware
+  app.use((err, req, res, next) => {
+    // Client errors from the middleware (e.g. 413 for a body over the limit) keep their status
+    const status = err.status >= 400 && err.status < 500 ? err.status : 500;
+    if (status === 500) {
+      logger.error('Unhandled error:', err);
+    }
+    res.status(status).json({
+      success: false,
+      error: status === 500 ? 'Internal server error' : err.message
+    });
+  });
+
+  // 404 handler
+  app.use((req, res) => {
+    res.status(404).json({
       success: false,
-      error: 'Internal server error',
-      message: error.message
+      error: 'Endpoint not found'
+    });
+  });
+
+  /**
+   * Attach the real-time WebSocket endpoint (/ws) to an HTTP server.
+   *
+   * Protocol (JSON messages):
+   *   client -> { type: 'hello', deviceId, channels, token } Register for pushes on channels (default ['default']);
+   *                                                         token authenticates the socket, and a later hello
+   *                                                         replaces it
+   *   client -> { type: 'sync', requestId, body }           Same body as POST /sync
+   *   server -> { type: 'syncResult', requestId, status, body }
+   *   server -> { type: 'actions', channel, actions, serverTimestamp }
+   *                                                         Newly stored actions from other devices
+   *
+   * @param {http.Server} server - Server returned by app.listen()
+   * @returns {WebSocketServer} The WebSocket server
+   */
+  app.attachWebSocketServer = (server) => {
+    // Socket messages carry sync requests too, so they get the same size limit as HTTP bodies
+    const socketServer = new WebSocketServer({ server, path: '/ws', maxPayload: bytes.parse(bodyLimit) });
+
+    socketServer.on('connection', (socket) => {
+      socket.channels = new Set([DEFAULT_CHANNEL]);
+      socket.principal = verifyToken ? null : OPEN_ACCESS;
+      // Sync requests wait for the latest hello to be authenticated
+      socket.authentication = Promise.resolve();
+      sockets.add(socket);
+
+      socket.on('message', (raw) => {
+        let message;
+        try {
+          message = JSON.parse(raw.toString());
+        } catch (error) {
+          socket.send(JSON.stringify({ type: 'error', error: 'Invalid JSON' }));
+          return;
+        }
+
+        if (message.type === 'hello') {
+          socket.authentication = handleHello(socket, message).catch(error => {
+            logger.error('WebSocket authentication error:', error);
+            socket.send(JSON.stringify({ type: 'error', status: 500, error: 'Internal server error' }));
+          });
+        } else if (message.type === 'sync') {
+          socket.authentication
+            .then(() => socket.principal
+              ? handleSync(message.body, socket.principal)
+              : { status: 401, body: { success: false, error: 'Authentication required' } })
+            .then(({ status, body }) => {
+              socket.send(JSON.stringify({ type: 'syncResult', requestId: message.requestId, status, body }));
+            });
+        } else {
+          socket.send(JSON.stringify({ type: 'error', error: `Unknown message type: ${message.type}` }));
+        }
+      });
+
+      socket.on('close', () => sockets.delete(socket));
+      socket.on('error', (error) => logger.error('WebSocket error:', error.message));
     });
+
+    return socketServer;
+  };
+
+  /**
+   * Authenticate a socket's hello and register it for pushes. A rejected hello
+   * unregisters the socket until a hello succeeds.
+   * @param {WebSocket} socket - Client socket
+   * @param {Object} message - Hello message
+   * @returns {Promise<void>}
+   */
+  async function handleHello(socket, message) {
+    const reject = (status, error) => {
+      socket.deviceId = null;
+      socket.principal = null;
+      socket.send(JSON.stringify({ type: 'error', status, error }));
+    };
+
+    const channels = Array.isArray(message.channels) ? message.channels.map(parseChannel) : [DEFAULT_CHANNEL];
+    if (channels.includes(null)) {
+      reject(400, 'Invalid channel');
+      return;
+    }
+
+    const principal = await authenticate(message.token || null, null);
+    if (!principal) {
+      reject(401, message.token ? 'Invalid token' : 'Authentication required');
+      return;
+    }
+
+    const denied = channels.map(channel => checkAccess(principal, message.deviceId, channel)).find(Boolean);
+    if (denied) {
+      reject(403, denied);
+      return;
+    }
+
+    socket.principal = principal;
+    socket.deviceId = message.deviceId;
+    socket.channels = new Set(channels);
+    socket.send(JSON.stringify({ type: 'welcome', serverTimestamp: Date.now() }));
   }
-});
+
+  /**
+   * Replace the storage backend. The new backend is initialized (e.g. replays its
+   * log) before it starts serving, and the previous one is closed.
+   * @param {Object} backend - Storage backend (see server-storage.js)
+   * @returns {Promise<Object>} The backend now in use
+   */
+  app.setStorage = async (backend) => {
+    await backend.init();
+    const previous = storage;
+    storage = backend;
+    storageReady = Promise.resolve();
+    if (previous !== backend) {
+      await previous.close();
+    }
+    return backend;
+  };
+
+  /**
+   * Get the storage backend in use
+   * @returns {Object} Storage backend
+   */
+  app.getStorage = () => storage;
+
+  /**
+   * Wait for the storage backend, then listen with the WebSocket endpoint attached
+   * @param {number} listenPort - Port to listen on (defaults to options.port)
+   * @returns {Promise<http.Server>} Listening HTTP server
+   */
+  app.start = async (listenPort = port) => {
+    if (httpServer) {
+      throw new Error('Server is already started');
+    }
+    await storageReady;
+
+    const server = app.listen(listenPort);
+    await new Promise((resolve, reject) => {
+      server.once('listening', resolve);
+      server.once('error', reject);
+    });
+
+    httpServer = server;
+    wss = app.attachWebSocketServer(server);
+    return server;
+  };
+
+  /**
+   * Stop the servers opened by start() and close the storage backend
+   * @returns {Promise<void>}
+   */
+  app.close = async () => {
+    if (wss) {
+      wss.clients.forEach(client => client.terminate());
+      await new Promise(resolve => wss.close(resolve));
+      wss = null;
+    }
+    if (httpServer) {
+      await new Promise(resolve => httpServer.close(resolve));
+      httpServer = null;
+    }
+    await storage.close();
+  };
+
+  return app;
+}
 
 /**
- * Get all actions for a specific device (debug endpoint)
+ * Read server options from command-line flags, a JSON config file and the
+ * environment. Flags win over the environment, which wins over the config file.
+ *
+ * Flags: --port <n>, --body-limit <size>, --cors-origin <origin> (repeatable or
+ * comma-separated), --log-file <path>, --config <path>.
+ * Config file keys: port, bodyLimit, corsOrigins, logFile, tokens (token -> principal), adminToken.
+ * Environment: PORT, ACTIONSYNC_LOG_FILE, ACTIONSYNC_CONFIG (config file path),
+ * ACTIONSYNC_ADMIN_TOKEN. Tokens have no flags so they stay out of the process list.
+ *
+ * @param {Array<string>} argv - Command-line arguments (without node and the script)
+ * @param {Object} env - Environment variables
+ * @returns {Object} { port, bodyLimit, corsOrigins, logFile, tokens } where tokens is null
+ *   when authentication is off
  */
-app.get('/device/:deviceId/actions', (req, res) => {
-  const { deviceId } = req.params;
-  
-  const deviceActions = storage.actions
-    .filter(action => action.sourceDevice === deviceId)
-    .map(action => ({
-      actionId: action.actionId,
-      serverId: action.serverId,
-      timestamp: action.timestamp,
-      payload: action.payload,
-      receivedAt: action.receivedAt
-    }));
-  
-  res.json({
-    deviceId,
-    actions: deviceActions,
-    count: deviceActions.length
-  });
-});
-
-// Error handling middleware
-app.use((err, req, res, next) => {
-  console.error('Unhandled error:', err);
-  res.status(500).json({
-    success: false,
-    error: 'Internal server error'
-  });
-});
+export function loadServerConfig(argv = process.argv.slice(2), env = process.env) {
+  const flags = {};
+  const flagNames = {
+    '--port': 'port',
+    '--body-limit': 'bodyLimit',
+    '--cors-origin': 'corsOrigins',
+    '--log-file': 'logFile',
+    '--config': 'config'
+  };
 
-// 404 handler
-app.use((req, res) => {
-  res.status(404).json({
-    success: false,
-    error: 'Endpoint not found'
-  });
-});
+  for (let i = 0; i < argv.length; i++) {
+    const [flag, inlineValue] = argv[i].split(/=(.*)/s);
+    const name = flagNames[flag];
+    if (!name) {
+      throw new Error(`Unknown option: ${argv[i]}`);
+    }
+
+    const value = inlineValue !== undefined ? inlineValue : argv[++i];
+    if (value === undefined || value === '') {
+      throw new Error(`Missing value for ${flag}`);
+    }
+
+    if (name === 'corsOrigins') {
+      flags.corsOrigins = (flags.corsOrigins || []).concat(value.split(','));
+    } else {
+      flags[name] = value;
+    }
+  }
+
+  let fileConfig = {};
+  const configPath = flags.config || env.ACTIONSYNC_CONFIG;
+  if (configPath) {
+    try {
+      fileConfig = JSON.parse(fs.readFileSync(configPath, 'utf8'));
+    } catch (error) {
+      throw new Error(`Could not read config file ${configPath}: ${error.message}`);
+    }
+  }
+
+  const config = {
+    port: flags.port ?? env.PORT ?? fileConfig.port ?? DEFAULT_PORT,
+    bodyLimit: flags.bodyLimit ?? fileConfig.bodyLimit ?? DEFAULT_BODY_LIMIT,
+    corsOrigins: flags.corsOrigins ?? fileConfig.corsOrigins ?? '*',
+    logFile: flags.logFile ?? env.ACTIONSYNC_LOG_FILE ?? fileConfig.logFile ?? null,
+    tokens: null
+  };
+
+  const adminToken = env.ACTIONSYNC_ADMIN_TOKEN ?? fileConfig.adminToken;
+  if (fileConfig.tokens || adminToken) {
+    config.tokens = { ...fileConfig.tokens };
+    if (adminToken) {
+      config.tokens[adminToken] = { admin: true };
+    }
+  }
+
+  const port = Number(config.port);
+  if (!Number.isInteger(port) || port < 0 || port > 65535) {
+    throw new Error(`Invalid port: ${config.port}`);
+  }
+  config.port = port;
+
+  return config;
+}
+
+// Server used by the module-level helpers and the default export
+const defaultServer = createServer();
+
+/**
+ * Replace the default server's storage backend
+ * @param {Object} backend - Storage backend (see server-storage.js)
+ * @returns {Promise<Object>} The backend now in use
+ */
+export function setServerStorage(backend) {
+  return defaultServer.setStorage(backend);
+}
+
+/**
+ * Get the default server's storage backend
+ * @returns {Object} Storage backend
+ */
+export function getServerStorage() {
+  return defaultServer.getStorage();
+}
+
+/**
+ * Attach the default server's WebSocket endpoint (/ws) to an HTTP server
+ * @param {http.Server} httpServer - Server returned by app.listen()
+ * @returns {WebSocketServer} The WebSocket server
+ */
+export function attachWebSocketServer(httpServer) {
+  return defaultServer.attachWebSocketServer(httpServer);
+}
 
 // Only start server if this file is run directly (not imported)
 if (import.meta.url === `file://${process.argv[1]}`) {
-  // Start server
-  const server = app.listen(PORT, () => {
-    console.log(`ActionSync Server running on port ${PORT}`);
-    console.log(`Health check: http://localhost:${PORT}/health`);
-    console.log(`Stats: http://localhost:${PORT}/stats`);
-    console.log(`Sync endpoint: http://localhost:${PORT}/sync`);
+  let config;
+  try {
+    config = loadServerConfig();
+  } catch (error) {
+    console.error(error.message);
+    process.exit(1);
+  }
+
+  const server = createServer({
+    ...config,
+    // Keep history across restarts when a log file is configured
+    storage: config.logFile ? new FileServerStorage({ filePath: config.logFile, logger: console }) : undefined,
+    auth: config.tokens ? { verifyToken: createTokenVerifier(config.tokens) } : undefined
   });
 
+  // Start server
+  const httpServer = await server.start();
+  const { port } = httpServer.address();
+  console.log(`ActionSync Server running on port ${port}`);
+  console.log(`Health check: http://localhost:${port}/health`);
+  console.log(`Stats: http://localhost:${port}/stats`);
+  console.log(`Sync endpoint: http://localhost:${port}/sync`);
+  console.log(`WebSocket endpoint: ws://localhost:${port}/ws`);
+
   // Graceful shutdown
-  process.on('SIGTERM', () => {
-    console.log('SIGTERM received, shutting down gracefully');
-    server.close(() => {
-      console.log('Server closed');
-      process.exit(0);
-    });
-  });
+  const shutdown = async (signal) => {
+    console.log(`${signal} received, shutting down gracefully`);
+    await server.close();
+    console.log('Server closed');
+    process.exit(0);
+  };
 
-  process.on('SIGINT', () => {
-    console.log('SIGINT received, shutting down gracefully');
-    server.close(() => {
-      console.log('Server closed');
-      process.exit(0);
-    });
-  });
+  process.on('SIGTERM', () => shutdown('SIGTERM'));
+  process.on('SIGINT', () => shutdown('SIGINT'));
 }
 
-export default app; 
\ No newline at end of file
+export default defaultServer;
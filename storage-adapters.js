@@ -0,0 +1,269 @@
+/**
+ * ActionSync storage adapters
+ * Pluggable persistence backends for ActionSync queues and state.
+ *
+ * Every adapter implements the same asynchronous interface:
+ *   get(key)     -> Promise<any>   Stored value, or undefined when missing
+ *   set(key, v)  -> Promise<void>  Store a JSON-serializable value
+ *   remove(keys) -> Promise<void>  Remove one key or an array of keys
+ */
+
+/**
+ * Adapter for chrome.storage.local (Chrome extensions)
+ */
+export class ChromeStorageAdapter {
+  constructor(area) {
+    this.area = area || (typeof chrome !== 'undefined' && chrome.storage ? chrome.storage.local : null);
+  }
+
+  /**
+   * Check if chrome.storage.local is available in this environment
+   * @returns {boolean} True if Chrome storage is available
+   */
+  static isAvailable() {
+    return typeof chrome !== 'undefined' &&
+           !!chrome.storage &&
+           !!chrome.storage.local;
+  }
+
+  async get(key) {
+    const result = await this._call(callback => this.area.get([key], callback));
+    return result ? result[key] : undefined;
+  }
+
+  async set(key, value) {
+    await this._call(callback => this.area.set({ [key]: value }, callback));
+  }
+
+  async remove(keys) {
+    await this._call(callback => this.area.remove(Array.isArray(keys) ? keys : [keys], callback));
+  }
+
+  /**
+   * Wrap a callback-style chrome.storage call in a promise
+   * @param {Function} fn - Receives the callback to pass to chrome.storage
+   * @returns {Promise<any>} Callback result
+   */
+  _call(fn) {
+    return new Promise((resolve, reject) => {
+      fn((result) => {
+        if (chrome.runtime && chrome.runtime.lastError) {
+          reject(chrome.runtime.lastError);
+        } else {
+          resolve(result);
+        }
+      });
+    });
+  }
+}
+
+/**
+ * Adapter for window.localStorage (web pages)
+ * Values are stored as JSON strings.
+ */
+export class LocalStorageAdapter {
+  constructor(storage) {
+    this.storage = storage || (typeof localStorage !== 'undefined' ? localStorage : null);
+    if (!this.storage) {
+      throw new Error('localStorage is not available');
+    }
+  }
+
+  async get(key) {
+    const raw = this.storage.getItem(key);
+    return raw === null ? undefined : JSON.parse(raw);
+  }
+
+  async set(key, value) {
+    this.storage.setItem(key, JSON.stringify(value));
+  }
+
+  async remove(keys) {
+    (Array.isArray(keys) ? keys : [keys]).forEach(key => this.storage.removeItem(key));
+  }
+}
+
+/**
+ * Adapter for IndexedDB (web pages, PWAs, service workers)
+ */
+export class IndexedDBStorageAdapter {
+  constructor(options = {}) {
+    this.dbName = options.dbName || 'actionsync';
+    this.storeName = options.storeName || 'keyval';
+    this.indexedDB = options.indexedDB || (typeof indexedDB !== 'undefined' ? indexedDB : null);
+    if (!this.indexedDB) {
+      throw new Error('IndexedDB is not available');
+    }
+    this._dbPromise = null;
+  }
+
+  async get(key) {
+    return this._request('readonly', store => store.get(key));
+  }
+
+  async set(key, value) {
+    await this._request('readwrite', store => store.put(value, key));
+  }
+
+  async remove(keys) {
+    await this._request('readwrite', store => {
+      const list = Array.isArray(keys) ? keys : [keys];
+      let request;
+      list.forEach(key => { request = store.delete(key); });
+      return request;
+    });
+  }
+
+  /**
+   * Open (once) the backing database
+   * @returns {Promise<IDBDatabase>} Opened database
+   */
+  _open() {
+    if (!this._dbPromise) {
+      this._dbPromise = new Promise((resolve, reject) => {
+        const request = this.indexedDB.open(this.dbName, 1);
+        request.onupgradeneeded = () => {
+          request.result.createObjectStore(this.storeName);
+        };
+        request.onsuccess = () => resolve(request.result);
+        request.onerror = () => reject(request.error);
+      });
+    }
+    return this._dbPromise;
+  }
+
+  /**
+   * Run a request in a transaction and resolve once the transaction completes
+   * @param {string} mode - Transaction mode
+   * @param {Function} fn - Receives the object store, returns an IDBRequest
+   * @returns {Promise<any>} Request result
+   */
+  async _request(mode, fn) {
+    const db = await this._open();
+    return new Promise((resolve, reject) => {
+      const transaction = db.transaction(this.storeName, mode);
+      const request = fn(transaction.objectStore(this.storeName));
+      transaction.oncomplete = () => resolve(request ? request.result : undefined);
+      transaction.onerror = () => reject(transaction.error);
+      transaction.onabort = () => reject(transaction.error);
+    });
+  }
+}
+
+/**
+ * In-memory adapter (tests, short-lived processes)
+ * Values are copied on write and read so callers can't mutate stored state.
+ */
+export class MemoryStorageAdapter {
+  constructor() {
+    this.data = new Map();
+  }
+
+  async get(key) {
+    return this.data.has(key) ? JSON.parse(this.data.get(key)) : undefined;
+  }
+
+  async set(key, value) {
+    this.data.set(key, JSON.stringify(value));
+  }
+
+  async remove(keys) {
+    (Array.isArray(keys) ? keys : [keys]).forEach(key => this.data.delete(key));
+  }
+}
+
+// Numbers temporary files so overlapping writes never share one
+let tempFileCounter = 0;
+
+/**
+ * Node.js filesystem adapter
+ * Stores one JSON file per key inside a directory. Writes go to a temporary
+ * file first and are renamed into place so a crash never leaves a torn file.
+ * Writes and removals of a key run one at a time, in call order.
+ */
+export class FileStorageAdapter {
+  constructor(options = {}) {
+    this.directory = options.directory || '.actionsync';
+    this._fs = null;
+    this._path = null;
+    this._pending = new Map(); // key -> last queued write or removal
+  }
+
+  async get(key) {
+    const { fs } = await this._modules();
+    try {
+      const raw = await fs.readFile(this._filePath(key), 'utf8');
+      return JSON.parse(raw);
+    } catch (error) {
+      if (error.code === 'ENOENT') {
+        return undefined;
+      }
+      throw error;
+    }
+  }
+
+  async set(key, value) {
+    const { fs } = await this._modules();
+    const data = JSON.stringify(value);
+
+    await this._queue(key, async () => {
+      const filePath = this._filePath(key);
+      const tempPath = `${filePath}.${process.pid}.${++tempFileCounter}.tmp`;
+
+      await fs.mkdir(this.directory, { recursive: true });
+      try {
+        await fs.writeFile(tempPath, data);
+        await fs.rename(tempPath, filePath);
+      } catch (error) {
+        await fs.rm(tempPath, { force: true });
+        throw error;
+      }
+    });
+  }
+
+  async remove(keys) {
+    const { fs } = await this._modules();
+    await Promise.all((Array.isArray(keys) ? keys : [keys]).map(key =>
+      this._queue(key, () => fs.rm(this._filePath(key), { force: true }))
+    ));
+  }
+
+  /**
+   * Run a write or removal of a key after the ones already queued for it
+   * @param {string} key - Storage key
+   * @param {Function} operation - Async operation on the key's file
+   * @returns {Promise<void>} Resolves or rejects with the operation
+   */
+  _queue(key, operation) {
+    const run = (this._pending.get(key) || Promise.resolve()).then(operation);
+    const settled = run.catch(() => {});
+    this._pending.set(key, settled);
+    settled.then(() => {
+      if (this._pending.get(key) === settled) {
+        this._pending.delete(key);
+      }
+    });
+    return run;
+  }
+
+  /**
+   * Lazily load Node modules so this file stays importable in browsers
+   * @returns {Promise<Object>} fs/promises and path modules
+   */
+  async _modules() {
+    if (!this._fs) {
+      this._fs = await import('fs/promises');
+      this._path = await import('path');
+    }
+    return { fs: this._fs, path: this._path };
+  }
+
+  /**
+   * Map a storage key to a file name inside the directory
+   * @param {string} key - Storage key
+   * @returns {string} File path
+   */
+  _filePath(key) {
+    return this._path.join(this.directory, `${encodeURIComponent(key)}.json`);
+  }
+}
@@ -0,0 +1,190 @@
+/**
+ * ActionSync Server Action Log Tests
+ */
+import { jest, describe, test, expect, beforeEach, afterEach } from '@jest/globals';
+import fs from 'fs';
+import os from 'os';
+import path from 'path';
+import request from 'supertest';
+import { ActionLog } from '../action-log.js';
+import app, { setServerStorage, FileServerStorage, MemoryServerStorage } from '../server.js';
+
+describe('Action Log', () => {
+  let directory;
+  let logPath;
+
+  beforeEach(() => {
+    directory = fs.mkdtempSync(path.join(os.tmpdir(), 'actionsync-log-'));
+    logPath = path.join(directory, 'nested', 'actions.jsonl');
+  });
+
+  afterEach(() => {
+    fs.rmSync(directory, { recursive: true, force: true });
+  });
+
+  test('should replay appended records after reopening', () => {
+    const log = new ActionLog(logPath);
+    expect(log.open()).toEqual([]);
+    log.append([{ seq: 1, actionId: 'a' }, { seq: 2, actionId: 'b' }]);
+    log.append([{ seq: 3, actionId: 'c' }]);
+    log.close();
+
+    const reopened = new ActionLog(logPath);
+    try {
+      expect(reopened.open().map(record => record.actionId)).toEqual(['a', 'b', 'c']);
+    } finally {
+      reopened.close();
+    }
+  });
+
+  test('should finish appends that the file system writes in pieces', () => {
+    const log = new ActionLog(logPath);
+    log.open();
+    const writeSync = fs.writeSync;
+    const shortWrite = jest.spyOn(fs, 'writeSync')
+      .mockImplementation((fd, buffer, offset, length) => writeSync(fd, buffer, offset, Math.min(length, 7)));
+
+    try {
+      log.append([{ seq: 1, actionId: 'a' }, { seq: 2, actionId: 'b' }]);
+      expect(shortWrite.mock.calls.length).toBeGreaterThan(1);
+    } finally {
+      shortWrite.mockRestore();
+      log.close();
+    }
+
+    const reopened = new ActionLog(logPath);
+    try {
+      expect(reopened.open().map(record => record.actionId)).toEqual(['a', 'b']);
+    } finally {
+      reopened.close();
+    }
+  });
+
+  test('should cut off a partly written append that failed', () => {
+    const log = new ActionLog(logPath);
+    log.open();
+    log.append([{ seq: 1, actionId: 'a' }]);
+
+    const writeSync = fs.writeSync;
+    const failingWrite = jest.spyOn(fs, 'writeSync')
+      .mockImplementationOnce((fd, buffer, offset) => writeSync(fd, buffer, offset, 5))
+      .mockImplementationOnce(() => {
+        throw Object.assign(new Error('ENOSPC: no space left on device'), { code: 'ENOSPC' });
+      });
+
+    try {
+      expect(() => log.append([{ seq: 2, actionId: 'b' }])).toThrow('ENOSPC');
+    } finally {
+      failingWrite.mockRestore();
+    }
+
+    try {
+      log.append([{ seq: 2, actionId: 'c' }]);
+    } finally {
+      log.close();
+    }
+
+    const reopened = new ActionLog(logPath);
+    try {
+      expect(reopened.open().map(record => record.actionId)).toEqual(['a', 'c']);
+    } finally {
+      reopened.close();
+    }
+  });
+
+  test('should truncate a torn last line and keep appending after it', () => {
+    fs.mkdirSync(path.dirname(logPath), { recursive: true });
+    fs.writeFileSync(logPath, '{"seq":1,"actionId":"a"}\n{"seq":2,"actio');
+
+    const logger = { warn: jest.fn() };
+    const log = new ActionLog(logPath, { logger });
+    try {
+      expect(log.open()).toEqual([{ seq: 1, actionId: 'a' }]);
+      log.append([{ seq: 2, actionId: 'b' }]);
+    } finally {
+      log.close();
+    }
+
+    expect(logger.warn).toHaveBeenCalledWith(expect.stringContaining('Truncating torn record'));
+    expect(fs.readFileSync(logPath, 'utf8')).toBe('{"seq":1,"actionId":"a"}\n{"seq":2,"actionId":"b"}\n');
+  });
+
+  test('should terminate a complete last record that lost its newline', () => {
+    fs.mkdirSync(path.dirname(logPath), { recursive: true });
+    fs.writeFileSync(logPath, '{"seq":1,"actionId":"a"}');
+
+    const log = new ActionLog(logPath);
+    try {
+      expect(log.open()).toHaveLength(1);
+      log.append([{ seq: 2, actionId: 'b' }]);
+    } finally {
+      log.close();
+    }
+
+    expect(fs.readFileSync(logPath, 'utf8').split('\n')).toHaveLength(3);
+  });
+
+  test('should refuse to open a log damaged before its tail', () => {
+    fs.mkdirSync(path.dirname(logPath), { recursive: true });
+    fs.writeFileSync(logPath, '{"seq":1}\nnot json\n{"seq":3}\n');
+
+    expect(() => new ActionLog(logPath).open()).toThrow('Corrupt action log');
+  });
+
+  describe('Server persistence', () => {
+    const useFileStorage = () => setServerStorage(new FileServerStorage({ filePath: logPath }));
+
+    afterEach(async () => {
+      await setServerStorage(new MemoryServerStorage());
+    });
+
+    test('should keep history, cursors and dedupe across a restart', async () => {
+      await useFileStorage();
+      const first = await request(app)
+        .post('/sync')
+        .send({
+          deviceId: 'durable-device',
+          lastActionId: '0',
+          actions: [{ actionId: 'durable-1', timestamp: 1, payload: { type: 'KEEP' } }]
+        })
+        .expect(200);
+
+      // Simulate a restart: a fresh backend replays the log
+      const restarted = await useFileStorage();
+      expect(restarted.sequence).toBe(1);
+
+      const pulled = await request(app)
+        .post('/sync')
+        .send({ deviceId: 'other-device', lastActionId: '0', actions: [] })
+        .expect(200);
+      expect(pulled.body.actions.map(action => action.actionId)).toEqual(['durable-1']);
+      expect(pulled.body.lastActionId).toBe(first.body.lastActionId);
+
+      const retried = await request(app)
+        .post('/sync')
+        .send({
+          deviceId: 'durable-device',
+          lastActionId: first.body.lastActionId,
+          actions: [{ actionId: 'durable-1', timestamp: 1, payload: { type: 'KEEP' } }]
+        })
+        .expect(200);
+      expect(retried.body.duplicateActionIds).toEqual(['durable-1']);
+    });
+
+    test('should empty the log when the server is cleared', async () => {
+      await useFileStorage();
+      await request(app)
+        .post('/sync')
+        .send({
+          deviceId: 'durable-device',
+          lastActionId: '0',
+          actions: [{ actionId: 'cleared', timestamp: 1, payload: { type: 'GONE' } }]
+        })
+        .expect(200);
+
+      await request(app).post('/clear');
+
+      expect(fs.readFileSync(logPath, 'utf8')).toBe('');
+    });
+  });
+});
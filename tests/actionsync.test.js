@@ -2,7 +2,8 @@
  * ActionSync Tests
  */
 import { jest, describe, test, expect, beforeEach, afterEach } from '@jest/globals';
-import ActionSync from '../actionsync.js';
+import { webcrypto } from 'crypto';
+import ActionSync, { MemoryStorageAdapter, PayloadCipher } from '../actionsync.js';
 
 describe('ActionSync', () => {
   let actionSync;
@@ -25,6 +26,16 @@ describe('ActionSync', () => {
     }
   });
 
+  // Standalone instance for tests that need their own device or options; callers destroy it
+  const createInstance = (deviceId, extra = {}) => new ActionSync({
+    serverUrl: mockServerUrl,
+    deviceId,
+    autoSync: false,
+    enablePersistence: false,
+    retryAttempts: 1,
+    ...extra
+  });
+
   describe('Basic Functionality', () => {
     test('should initialize with correct properties', () => {
       expect(actionSync.deviceId).toBe(mockDeviceId);
@@ -206,10 +217,70 @@ describe('ActionSync', () => {
       const nextSyncPayload = JSON.parse(nextSyncCall[1].body);
       expect(nextSyncPayload.actions).toHaveLength(0);
     });
+
+    test('should pull from the start when the server rejects the cursor', async () => {
+      actionSync.lastActionId = 'c0000000009';
+      global.fetch
+        .mockResolvedValueOnce(createMockResponse({ success: false, error: 'Invalid cursor', code: 'INVALID_CURSOR' }, 400))
+        .mockResolvedValueOnce(createMockResponse({
+          success: true,
+          lastActionId: 'c0000000002',
+          actions: [{ actionId: 'replayed', timestamp: 1, deviceId: 'other', payload: { type: 'REPLAYED' } }]
+        }));
+
+      const result = await actionSync.sync();
+
+      expect(JSON.parse(global.fetch.mock.calls[1][1].body).lastActionId).toBe('0');
+      expect(result.remotePayloads).toEqual([{ type: 'REPLAYED' }]);
+      expect(actionSync.lastActionId).toBe('c0000000002');
+    });
+    test('should pull pages until caught up and deliver each page as it arrives', async () => {
+      const delivered = [];
+      const paged = createInstance('paging-device', {
+        pageSize: 1,
+        onRemoteActions: payloads => delivered.push(payloads)
+      });
+      const remote = (n) => ({ actionId: `remote-${n}`, timestamp: n, deviceId: 'other', payload: { type: 'PAGE', n } });
+
+      try {
+        global.fetch
+          .mockResolvedValueOnce(createMockResponse({ success: true, lastActionId: 'c0000000001', hasMore: true, actions: [remote(1)] }))
+          .mockResolvedValueOnce(createMockResponse({ success: true, lastActionId: 'c0000000002', hasMore: false, actions: [remote(2)] }));
+
+        const result = await paged.sync();
+
+        expect(delivered).toEqual([[{ type: 'PAGE', n: 1 }], [{ type: 'PAGE', n: 2 }]]);
+        expect(result.remotePayloads).toHaveLength(2);
+        expect(result.hasMore).toBe(false);
+        expect(paged.lastActionId).toBe('c0000000002');
+
+        const secondRequest = JSON.parse(global.fetch.mock.calls[1][1].body);
+        expect(secondRequest).toMatchObject({ lastActionId: 'c0000000001', actions: [], limit: 1 });
+      } finally {
+        paged.destroy();
+      }
+    });
+
+    test('should keep pulled pages when a later page fails', async () => {
+      global.fetch
+        .mockResolvedValueOnce(createMockResponse({
+          success: true,
+          lastActionId: 'c0000000001',
+          hasMore: true,
+          actions: [{ actionId: 'first-page', timestamp: 1, deviceId: 'other', payload: { type: 'FIRST' } }]
+        }))
+        .mockRejectedValueOnce(new Error('Network error'));
+
+      const result = await actionSync.sync();
+
+      expect(result.remotePayloads).toEqual([{ type: 'FIRST' }]);
+      expect(result.hasMore).toBe(true);
+      expect(actionSync.lastActionId).toBe('c0000000001');
+    });
   });
 
   describe('Export/Import with Queue Management', () => {
-    test('should export all actions without clearing queue', () => {
+    test('should export all actions without clearing queue', async () => {
       // Add some actions
       actionSync.dispatch({ type: 'EXPORT_1' });
       actionSync.dispatch({ type: 'EXPORT_2' });
@@ -218,7 +289,7 @@ describe('ActionSync', () => {
       expect(actionSync.isSynced()).toBe(false);
 
       // Export should include all actions but not clear the queue
-      const exportData = actionSync.export();
+      const exportData = await actionSync.export();
       const exportParsed = JSON.parse(exportData);
       
       expect(actionSync.getStatus().queueLength).toBe(2); // Queue should remain
@@ -259,7 +330,7 @@ describe('ActionSync', () => {
       expect(actionSync.getStatus().totalActionsCount).toBe(3);
       
       // Export should include ALL actions (fullQueue + actionQueue)
-      const exportData = actionSync.export();
+      const exportData = await actionSync.export();
       const exportParsed = JSON.parse(exportData);
       
       expect(exportParsed.actions).toHaveLength(3);
@@ -275,7 +346,7 @@ describe('ActionSync', () => {
       });
       
       try {
-        const importedPayloads = newDevice.import(exportData);
+        const importedPayloads = await newDevice.import(exportData);
         expect(importedPayloads).toHaveLength(3);
         expect(importedPayloads[0].type).toBe('ACTION_1');
         expect(importedPayloads[1].type).toBe('ACTION_2');
@@ -287,7 +358,7 @@ describe('ActionSync', () => {
 
 
 
-    test('should return payloads from import', () => {
+    test('should return payloads from import', async () => {
       // Create export data
       const exportData = {
         deviceId: 'other-device',
@@ -309,7 +380,7 @@ describe('ActionSync', () => {
         ]
       };
 
-      const payloads = actionSync.import(JSON.stringify(exportData));
+      const payloads = await actionSync.import(JSON.stringify(exportData));
       
       expect(Array.isArray(payloads)).toBe(true);
       expect(payloads).toHaveLength(2);
@@ -494,9 +565,9 @@ describe('ActionSync', () => {
       expect(actionSync.isSynced()).toBe(false);
     });
 
-    test('should handle invalid import data', () => {
-      expect(() => actionSync.import('invalid json')).toThrow('Import failed');
-      expect(() => actionSync.import('{}')).toThrow('Invalid import data');
+    test('should handle invalid import data', async () => {
+      await expect(actionSync.import('invalid json')).rejects.toThrow('Import failed');
+      await expect(actionSync.import('{}')).rejects.toThrow('Invalid import data');
     });
   });
 
@@ -715,4 +786,2154 @@ describe('ActionSync', () => {
       }
     });
   });
-}); 
\ No newline at end of file
+
+  describe('Storage Adapters', () => {
+    test('should persist and restore state through a custom adapter', async () => {
+      const storage = new MemoryStorageAdapter();
+      const first = new ActionSync({
+        serverUrl: mockServerUrl,
+        deviceId: 'adapter-device',
+        autoSync: false,
+        storage
+      });
+
+      await first.waitForInitialization();
+      first.dispatch({ type: 'ADAPTER_PENDING' });
+
+      global.fetch.mockResolvedValue(createMockResponse({
+        success: true,
+        lastActionId: 'adapter-cursor',
+        actions: []
+      }));
+      await first.sync();
+      first.dispatch({ type: 'ADAPTER_QUEUED' });
+      await delay(10);
+
+      const second = new ActionSync({
+        serverUrl: mockServerUrl,
+        deviceId: 'adapter-device',
+        autoSync: false,
+        storage
+      });
+
+      try {
+        await second.waitForInitialization();
+
+        expect(second.lastActionId).toBe('adapter-cursor');
+        expect(second.actionQueue.map(a => a.payload.type)).toEqual(['ADAPTER_QUEUED']);
+        expect(second.fullQueue.map(a => a.payload.type)).toEqual(['ADAPTER_PENDING']);
+        expect(chrome.storage.local.set).not.toHaveBeenCalled();
+      } finally {
+        second.destroy();
+        first.destroy();
+      }
+    });
+
+    test('should not persist when enablePersistence is false even with an adapter', async () => {
+      const storage = new MemoryStorageAdapter();
+      const instance = new ActionSync({
+        deviceId: 'adapter-disabled',
+        autoSync: false,
+        enablePersistence: false,
+        storage
+      });
+
+      try {
+        instance.dispatch({ type: 'NOT_STORED' });
+        await delay(10);
+
+        expect(instance.storage).toBeNull();
+        expect(await storage.get('actionsync_adapter-disabled')).toBeUndefined();
+      } finally {
+        instance.destroy();
+      }
+    });
+  });
+
+  describe('Reducers and Materialized State', () => {
+    const listReducer = (state, payload, action) => ({
+      ...state,
+      items: [...(state.items || []), `${action.deviceId}:${payload.value}`]
+    });
+
+    const createReducerInstance = (deviceId, extra = {}) => createInstance(deviceId, {
+      reducers: { APPEND: listReducer },
+      initialState: { items: [] },
+      ...extra
+    });
+
+    test('should materialize state from dispatched actions', () => {
+      const instance = createReducerInstance('reducer-device');
+
+      try {
+        instance.dispatch({ type: 'APPEND', value: 'a' });
+        instance.dispatch({ type: 'APPEND', value: 'b' });
+        instance.dispatch({ type: 'IGNORED' });
+
+        expect(instance.getState()).toEqual({ items: ['reducer-device:a', 'reducer-device:b'] });
+      } finally {
+        instance.destroy();
+      }
+    });
+
+    test('should rebase pending actions when earlier remote actions arrive', async () => {
+      const onStateChange = jest.fn();
+      const instance = createReducerInstance('local', { onStateChange });
+
+      try {
+        instance.dispatch({ type: 'APPEND', value: 'pending' });
+
+        global.fetch.mockResolvedValue(createMockResponse({
+          success: true,
+          lastActionId: 'rebase-cursor',
+          actions: [{
+            actionId: 'remote-early',
+            timestamp: Date.now() - 60000,
+            deviceId: 'remote',
+            payload: { type: 'APPEND', value: 'early' }
+          }]
+        }));
+
+        const result = await instance.sync();
+
+        expect(result.state).toEqual({ items: ['remote:early', 'local:pending'] });
+        expect(instance.fullQueue.map(a => a.actionId)[0]).toBe('remote-early');
+        expect(onStateChange).toHaveBeenLastCalledWith({ items: ['remote:early', 'local:pending'] });
+      } finally {
+        instance.destroy();
+      }
+    });
+
+    test('should converge on the same state regardless of arrival order', async () => {
+      const now = Date.now();
+      const actions = [1, 2, 3, 4].map(i => ({
+        actionId: `a${i}`,
+        timestamp: now + i,
+        deviceId: i % 2 ? 'odd' : 'even',
+        payload: { type: 'APPEND', value: i }
+      }));
+      const first = createReducerInstance('first');
+      const second = createReducerInstance('second');
+
+      try {
+        global.fetch.mockResolvedValueOnce(createMockResponse({ success: true, actions: [actions[3], actions[1]] }));
+        global.fetch.mockResolvedValueOnce(createMockResponse({ success: true, actions: [actions[0], actions[2]] }));
+        await first.sync();
+        await first.sync();
+
+        global.fetch.mockResolvedValueOnce(createMockResponse({ success: true, actions: [...actions] }));
+        await second.sync();
+
+        expect(first.getState()).toEqual(second.getState());
+        expect(first.getState().items).toEqual(['odd:1', 'even:2', 'odd:3', 'even:4']);
+      } finally {
+        first.destroy();
+        second.destroy();
+      }
+    });
+
+    test('should include imported actions in state once', async () => {
+      const source = createReducerInstance('source');
+      const target = createReducerInstance('target');
+
+      try {
+        source.dispatch({ type: 'APPEND', value: 'x' });
+        const exportData = await source.export();
+
+        await target.import(exportData);
+        await target.import(exportData);
+
+        expect(target.getState()).toEqual({ items: ['source:x'] });
+        expect(target.getStatus().fullQueueLength).toBe(1);
+      } finally {
+        source.destroy();
+        target.destroy();
+      }
+    });
+
+    test('should not apply pending actions twice when importing our own export', async () => {
+      const instance = createReducerInstance('self');
+
+      try {
+        instance.dispatch({ type: 'APPEND', value: 'pending' });
+        await instance.import(await instance.export());
+
+        expect(instance.getState()).toEqual({ items: ['self:pending'] });
+        expect(instance.getStatus()).toMatchObject({ queueLength: 1, fullQueueLength: 0 });
+      } finally {
+        instance.destroy();
+      }
+    });
+
+    test('should validate reducer registration', () => {
+      expect(() => actionSync.registerReducer('', () => {})).toThrow('Reducer type must be a non-empty string');
+      expect(() => actionSync.registerReducer('TYPE', null)).toThrow('Reducer must be a function');
+    });
+  });
+
+  describe('Snapshots', () => {
+    const counterReducer = (state, payload) => ({ ...state, count: state.count + payload.amount });
+
+    const createSnapshotInstance = (deviceId, extra = {}) => createInstance(deviceId, {
+      reducers: { ADD: counterReducer },
+      initialState: { count: 0 },
+      ...extra
+    });
+
+    test('should compact history into a snapshot instead of truncating', async () => {
+      const instance = createSnapshotInstance('snapshot-device', { maxQueueSize: 2 });
+
+      try {
+        for (let i = 1; i <= 11; i++) {
+          instance.dispatch({ type: 'ADD', amount: i });
+          await instance.sync();
+        }
+
+        expect(instance.fullQueue).toHaveLength(2);
+        expect(instance.snapshot).toMatchObject({ state: { count: 45 }, actionCount: 9 });
+        expect(instance.getStatus().snapshotActionId).toBe(instance.snapshot.actionId);
+        expect(instance.getState()).toEqual({ count: 66 });
+      } finally {
+        instance.destroy();
+      }
+    });
+
+    test('should still truncate when no reducers are registered', async () => {
+      const instance = new ActionSync({
+        serverUrl: mockServerUrl,
+        deviceId: 'no-reducer-device',
+        autoSync: false,
+        enablePersistence: false,
+        maxQueueSize: 1
+      });
+
+      try {
+        instance.fullQueue.push(...Array.from({ length: 6 }, (_, i) => ({ actionId: `old-${i}`, timestamp: i })));
+        instance._enforceFullQueueSize();
+
+        expect(instance.fullQueue.map(a => a.actionId)).toEqual(['old-1', 'old-2', 'old-3', 'old-4', 'old-5']);
+        expect(instance.snapshot).toBeNull();
+      } finally {
+        instance.destroy();
+      }
+    });
+
+    test('should not fold history that sorts after pending actions', async () => {
+      const instance = createSnapshotInstance('pending-device');
+
+      try {
+        instance.dispatch({ type: 'ADD', amount: 1 });
+        global.fetch.mockResolvedValueOnce(createMockResponse({ success: true, actions: [] }));
+        await instance.sync();
+
+        instance.dispatch({ type: 'ADD', amount: 10 });
+        instance.fullQueue.push({
+          actionId: 'future',
+          timestamp: Date.now() + 60000,
+          deviceId: 'remote',
+          payload: { type: 'ADD', amount: 100 }
+        });
+
+        const snapshot = await instance.createSnapshot();
+
+        expect(snapshot.state).toEqual({ count: 1 });
+        expect(instance.fullQueue.map(a => a.actionId)).toEqual(['future']);
+      } finally {
+        instance.destroy();
+      }
+    });
+
+    test('should bootstrap a fresh device from an exported snapshot plus tail', async () => {
+      const source = createSnapshotInstance('source-device', { snapshotInterval: 3 });
+      const fresh = createSnapshotInstance('fresh-device');
+
+      try {
+        [1, 2, 3, 4].forEach(amount => source.dispatch({ type: 'ADD', amount }));
+        await source.sync();
+        source.dispatch({ type: 'ADD', amount: 5 });
+
+        const exportParsed = JSON.parse(await source.export());
+        expect(exportParsed.snapshot.state).toEqual({ count: 10 });
+        expect(exportParsed.actions).toHaveLength(1);
+
+        await fresh.import(JSON.stringify(exportParsed));
+
+        expect(fresh.getState()).toEqual({ count: 15 });
+        expect(fresh.snapshot.actionId).toBe(exportParsed.snapshot.actionId);
+      } finally {
+        source.destroy();
+        fresh.destroy();
+      }
+    });
+
+    describe('Late actions', () => {
+      const appendReducer = (state, payload) => ({ items: [...state.items, payload.value] });
+      const remote = (deviceId, actionId, timestamp) => ({ actionId, timestamp, deviceId, payload: { type: 'APPEND', value: actionId } });
+      const createListInstance = (deviceId, extra = {}) => createInstance(deviceId, {
+        reducers: { APPEND: appendReducer },
+        initialState: { items: [] },
+        ...extra
+      });
+      const pull = async (instance, actions) => {
+        global.fetch.mockResolvedValueOnce(createMockResponse({ success: true, actions }));
+        await instance.sync();
+      };
+
+      test('should fold actions that sort behind the snapshot in order', async () => {
+        const snapshotting = createListInstance('snapshotting', { snapshotInterval: 2 });
+        const plain = createListInstance('plain');
+        const history = [remote('online', 'a', 1000), remote('online', 'c', 3000), remote('online', 'd', 4000)];
+        const late = remote('offline', 'b', 2000);
+
+        try {
+          await pull(snapshotting, history);
+          await pull(plain, history);
+          expect(snapshotting.snapshot.actionId).toBe('d');
+
+          await pull(snapshotting, [late]);
+          await pull(plain, [late]);
+
+          expect(snapshotting.getState()).toEqual({ items: ['a', 'b', 'c', 'd'] });
+          expect(snapshotting.getState()).toEqual(plain.getState());
+          // Rewound to 'a', then snapshotted again with 'b' in its place
+          expect(snapshotting.snapshot.actions.map(action => action.actionId)).toEqual(['a', 'b', 'c', 'd']);
+          expect(snapshotting.snapshot.state).toEqual({ items: ['a', 'b', 'c', 'd'] });
+        } finally {
+          snapshotting.destroy();
+          plain.destroy();
+        }
+      });
+
+      test('should keep late actions older than the snapshot keeps without refolding its base', async () => {
+        const instance = createListInstance('window-device', { maxQueueSize: 2, snapshotInterval: 1 });
+
+        try {
+          await pull(instance, [1, 2, 3, 4].map(n => remote('online', `a${n}`, n * 1000)));
+          expect(instance.snapshot.actions.map(action => action.actionId)).toEqual(['a3', 'a4']);
+          expect(instance.snapshot.base).toMatchObject({ actionId: 'a2', state: { items: ['a1', 'a2'] } });
+
+          // Pulled again (e.g. after a cursor reset): already folded into the base
+          await pull(instance, [remote('online', 'a1', 1000)]);
+          expect(instance.getState()).toEqual({ items: ['a1', 'a2', 'a3', 'a4'] });
+
+          await pull(instance, [remote('offline', 'o1', 1500)]);
+          expect(instance.getState()).toEqual({ items: ['a1', 'a2', 'o1', 'a3', 'a4'] });
+        } finally {
+          instance.destroy();
+        }
+      });
+    });
+
+    test('should persist the snapshot alongside the full queue', async () => {
+      const storage = new MemoryStorageAdapter();
+      const first = createSnapshotInstance('persist-snapshot', { enablePersistence: true, storage });
+
+      await first.waitForInitialization();
+      first.dispatch({ type: 'ADD', amount: 7 });
+      await first.sync();
+      await first.createSnapshot();
+
+      const second = createSnapshotInstance('persist-snapshot', { enablePersistence: true, storage });
+
+      try {
+        await second.waitForInitialization();
+
+        expect(second.snapshot.state).toEqual({ count: 7 });
+        expect(second.fullQueue).toHaveLength(0);
+        expect(second.getState()).toEqual({ count: 7 });
+      } finally {
+        second.destroy();
+        first.destroy();
+      }
+    });
+  });
+
+  describe('Hybrid Logical Clock Action IDs', () => {
+    // Storage-free instance: earlier storage tests leave chrome.storage mocks overridden
+    beforeEach(() => {
+      actionSync.destroy();
+      actionSync = createInstance(mockDeviceId);
+    });
+
+    afterEach(() => {
+      jest.restoreAllMocks();
+    });
+
+    test('should keep the hex layout with an embedded device tag', () => {
+      const actionId = actionSync.dispatch({ type: 'HLC' });
+
+      expect(actionId).toMatch(/^[0-9a-f]{16}$/);
+      expect(actionId.slice(13)).toBe(actionSync.deviceTag);
+      expect(parseInt(actionId.slice(0, 11), 16)).toBe(actionSync.actionQueue[0].timestamp);
+    });
+
+    test('should stay monotonic when the wall clock goes backwards', () => {
+      const now = Date.now();
+      const nowSpy = jest.spyOn(Date, 'now');
+
+      nowSpy.mockReturnValue(now);
+      const first = actionSync.dispatch({ type: 'FIRST' });
+      nowSpy.mockReturnValue(now - 5000);
+      const second = actionSync.dispatch({ type: 'SECOND' });
+
+      expect(second > first).toBe(true);
+      expect(actionSync.actionQueue[1].timestamp).toBe(now);
+    });
+
+    test('should order local actions after received remote actions from a faster clock', async () => {
+      const remoteTime = Date.now() + 60000;
+      const remoteId = `${remoteTime.toString(16).padStart(11, '0')}05bee`;
+
+      global.fetch.mockResolvedValue(createMockResponse({
+        success: true,
+        lastActionId: 'hlc-cursor',
+        actions: [{ actionId: remoteId, timestamp: remoteTime, deviceId: 'fast-device', payload: { type: 'REMOTE' } }]
+      }));
+      await actionSync.sync();
+
+      const localId = actionSync.dispatch({ type: 'AFTER_REMOTE' });
+
+      expect(localId > remoteId).toBe(true);
+      expect(localId.slice(0, 11)).toBe(remoteTime.toString(16).padStart(11, '0'));
+    });
+
+    test('should advance on serverTimestamp', async () => {
+      const serverTime = Date.now() + 30000;
+      global.fetch.mockResolvedValue(createMockResponse({
+        success: true,
+        actions: [],
+        serverTimestamp: serverTime
+      }));
+      await actionSync.sync();
+
+      actionSync.dispatch({ type: 'AFTER_SERVER' });
+
+      expect(actionSync.actionQueue[0].timestamp).toBe(serverTime);
+    });
+
+    test('should ignore remote clocks beyond the allowed drift', async () => {
+      global.fetch.mockResolvedValue(createMockResponse({
+        success: true,
+        actions: [],
+        serverTimestamp: Date.now() + 48 * 60 * 60 * 1000
+      }));
+      await actionSync.sync();
+
+      actionSync.dispatch({ type: 'AFTER_BAD_SERVER' });
+
+      expect(actionSync.actionQueue[0].timestamp).toBeLessThanOrEqual(Date.now());
+    });
+
+    test('should not collide across devices dispatching in the same millisecond', () => {
+      const other = new ActionSync({ deviceId: 'other-device', autoSync: false, enablePersistence: false });
+      jest.spyOn(Date, 'now').mockReturnValue(1700000000000);
+
+      try {
+        expect(actionSync.dispatch({ type: 'A' })).not.toBe(other.dispatch({ type: 'A' }));
+      } finally {
+        other.destroy();
+      }
+    });
+  });
+
+  describe('Lifecycle Events', () => {
+    // Storage-free instance: earlier storage tests leave chrome.storage mocks overridden
+    beforeEach(() => {
+      actionSync.destroy();
+      actionSync = createInstance(mockDeviceId);
+    });
+
+    test('should emit dispatch and sync lifecycle events', async () => {
+      const events = [];
+      ['dispatch', 'syncStart', 'syncSuccess', 'remoteActions'].forEach(event => {
+        actionSync.on(event, data => events.push([event, data]));
+      });
+
+      actionSync.dispatch({ type: 'EVENT_TEST' });
+      global.fetch.mockResolvedValue(createMockResponse({
+        success: true,
+        lastActionId: 'events-cursor',
+        actions: [{ actionId: 'remote-event', timestamp: Date.now(), deviceId: 'other', payload: { type: 'REMOTE_EVENT' } }]
+      }));
+      await actionSync.sync();
+
+      expect(events.map(([event]) => event)).toEqual(['dispatch', 'syncStart', 'remoteActions', 'syncSuccess']);
+      expect(events[0][1].payload).toEqual({ type: 'EVENT_TEST' });
+      expect(events[1][1]).toEqual({ queueLength: 1, lastActionId: '0' });
+      expect(events[2][1]).toEqual([{ type: 'REMOTE_EVENT' }]);
+      expect(events[3][1].lastActionId).toBe('events-cursor');
+    });
+
+    test('should emit syncError with the structured error', async () => {
+      const onError = jest.fn();
+      actionSync.on('syncError', onError);
+      global.fetch.mockResolvedValue(createMockResponse({}, 500));
+
+      await expect(actionSync.sync()).rejects.toThrow('Sync failed: 500');
+
+      expect(onError).toHaveBeenCalledWith(expect.objectContaining({ code: 'INVALID_RESPONSE' }));
+    });
+
+    test('should emit queueOverflow with dropped actions', () => {
+      const small = new ActionSync({ deviceId: 'overflow-events', autoSync: false, enablePersistence: false, maxQueueSize: 1 });
+      const onOverflow = jest.fn();
+      small.on('queueOverflow', onOverflow);
+
+      try {
+        small.dispatch({ type: 'FIRST' });
+        small.dispatch({ type: 'SECOND' });
+
+        expect(onOverflow).toHaveBeenCalledTimes(1);
+        expect(onOverflow.mock.calls[0][0].dropped.map(a => a.payload.type)).toEqual(['FIRST']);
+      } finally {
+        small.destroy();
+      }
+    });
+
+    test('should emit storageLoaded once initialization finishes', async () => {
+      const instance = new ActionSync({ deviceId: 'loaded-events', autoSync: false, storage: new MemoryStorageAdapter() });
+      const onLoaded = jest.fn();
+      instance.on('storageLoaded', onLoaded);
+
+      try {
+        await instance.waitForInitialization();
+        expect(onLoaded).toHaveBeenCalledWith({ persisted: true, queueLength: 0, fullQueueLength: 0 });
+      } finally {
+        instance.destroy();
+      }
+    });
+
+    test('should emit statusChange only when the status changes', async () => {
+      const statuses = [];
+      actionSync.on('statusChange', status => statuses.push(JSON.stringify(status)));
+
+      actionSync.dispatch({ type: 'STATUS_1' });
+      actionSync.dispatch({ type: 'STATUS_2' });
+      await actionSync.sync();
+      await actionSync.sync();
+
+      statuses.slice(1).forEach((status, index) => expect(status).not.toBe(statuses[index]));
+      const queueLengths = statuses.map(status => JSON.parse(status).queueLength)
+        .filter((length, index, lengths) => length !== lengths[index - 1]);
+      expect(queueLengths).toEqual([1, 2, 0]);
+    });
+
+    test('should support off, once and unsubscribe functions', () => {
+      const persistent = jest.fn();
+      const single = jest.fn();
+      const removed = jest.fn();
+
+      const unsubscribe = actionSync.on('dispatch', persistent);
+      actionSync.once('dispatch', single);
+      actionSync.on('dispatch', removed);
+      actionSync.off('dispatch', removed);
+
+      actionSync.dispatch({ type: 'ONE' });
+      unsubscribe();
+      actionSync.dispatch({ type: 'TWO' });
+
+      expect(persistent).toHaveBeenCalledTimes(1);
+      expect(single).toHaveBeenCalledTimes(1);
+      expect(removed).not.toHaveBeenCalled();
+    });
+
+    test('should isolate listener errors and reject unknown events', () => {
+      actionSync.on('dispatch', () => { throw new Error('listener failure'); });
+
+      expect(() => actionSync.dispatch({ type: 'SAFE' })).not.toThrow();
+      expect(() => actionSync.on('notAnEvent', () => {})).toThrow('Unknown event: notAnEvent');
+    });
+  });
+
+
+  describe('End-to-End Encryption', () => {
+    const sharedKey = PayloadCipher.generateKey(webcrypto);
+
+    const createEncryptedInstance = (deviceId, extra = {}) => createInstance(deviceId, {
+      encryptionKey: sharedKey,
+      crypto: webcrypto,
+      reducers: { ADD: (state, payload) => ({ count: state.count + payload.amount }) },
+      initialState: { count: 0 },
+      ...extra
+    });
+
+    test('should send only ciphertext and routing metadata to the server', async () => {
+      const instance = createEncryptedInstance('encrypting-device');
+
+      try {
+        const actionId = instance.dispatch({ type: 'ADD', amount: 3, secret: 'top-secret' });
+        await instance.sync();
+
+        const body = global.fetch.mock.calls[0][1].body;
+        expect(body).not.toContain('top-secret');
+
+        const sent = JSON.parse(body).actions[0];
+        expect(sent).toMatchObject({ actionId, deviceId: 'encrypting-device', timestamp: expect.any(Number) });
+        expect(PayloadCipher.isEncrypted(sent.payload)).toBe(true);
+
+        // Local queues keep plaintext
+        expect(instance.fullQueue[0].payload.secret).toBe('top-secret');
+      } finally {
+        instance.destroy();
+      }
+    });
+
+    test('should decrypt remote actions', async () => {
+      const sender = createEncryptedInstance('sender-device');
+      const receiver = createEncryptedInstance('receiver-device');
+
+      try {
+        sender.dispatch({ type: 'ADD', amount: 5 });
+        await sender.sync();
+        const relayed = JSON.parse(global.fetch.mock.calls[0][1].body).actions;
+
+        global.fetch.mockResolvedValue(createMockResponse({ success: true, lastActionId: 'cursor', actions: relayed }));
+        const result = await receiver.sync();
+
+        expect(result.remotePayloads).toEqual([{ type: 'ADD', amount: 5 }]);
+        expect(receiver.getState()).toEqual({ count: 5 });
+      } finally {
+        sender.destroy();
+        receiver.destroy();
+      }
+    });
+
+    test('should skip and report actions sealed with another key, and move the cursor past them', async () => {
+      const sender = createEncryptedInstance('sender-device');
+      const outsider = createEncryptedInstance('outsider-device', { encryptionKey: PayloadCipher.generateKey(webcrypto) });
+      const receiver = createEncryptedInstance('receiver-device');
+      const undecryptable = jest.fn();
+      receiver.on('actionUndecryptable', undecryptable);
+
+      try {
+        sender.dispatch({ type: 'ADD', amount: 5 });
+        const outsiderId = outsider.dispatch({ type: 'ADD', amount: 100 });
+        await sender.sync();
+        await outsider.sync();
+        const relayed = global.fetch.mock.calls.flatMap(call => JSON.parse(call[1].body).actions);
+
+        global.fetch.mockResolvedValue(createMockResponse({ success: true, lastActionId: 'cursor', actions: relayed }));
+        const result = await receiver.sync();
+
+        expect(result.remotePayloads).toEqual([{ type: 'ADD', amount: 5 }]);
+        expect(receiver.lastActionId).toBe('cursor');
+        expect(receiver.getState()).toEqual({ count: 5 });
+        expect(undecryptable).toHaveBeenCalledTimes(1);
+        expect(undecryptable).toHaveBeenCalledWith(expect.objectContaining({
+          actionId: outsiderId,
+          error: expect.objectContaining({ code: 'DECRYPT_FAILED' })
+        }));
+      } finally {
+        sender.destroy();
+        outsider.destroy();
+        receiver.destroy();
+      }
+    });
+
+    test('should skip plaintext history from before encryption was turned on', async () => {
+      const receiver = createEncryptedInstance('receiver-device');
+      const undecryptable = jest.fn();
+      receiver.on('actionUndecryptable', undecryptable);
+
+      try {
+        global.fetch.mockResolvedValue(createMockResponse({
+          success: true,
+          lastActionId: 'cursor',
+          actions: [{ actionId: '0000000000010000', timestamp: 1, deviceId: 'plain-device', payload: { type: 'ADD', amount: 7 } }]
+        }));
+
+        await receiver.sync();
+        await receiver.sync();
+
+        expect(receiver.lastActionId).toBe('cursor');
+        expect(receiver.getState()).toEqual({ count: 0 });
+        expect(receiver.getStatus().consecutiveFailures).toBe(0);
+        expect(undecryptable).toHaveBeenCalledWith(expect.objectContaining({ actionId: '0000000000010000' }));
+      } finally {
+        receiver.destroy();
+      }
+    });
+
+    test('should skip and report socket-pushed actions that cannot be decrypted', async () => {
+      const receiver = createEncryptedInstance('receiver-device');
+      const undecryptable = jest.fn();
+      receiver.on('actionUndecryptable', undecryptable);
+
+      try {
+        receiver._handleSocketMessage(JSON.stringify({
+          type: 'actions',
+          actions: [{ actionId: '0000000000010000', timestamp: 1, deviceId: 'plain-device', payload: { type: 'ADD', amount: 7 } }]
+        }));
+        await delay(10);
+
+        expect(undecryptable).toHaveBeenCalledWith(expect.objectContaining({
+          actionId: '0000000000010000',
+          error: expect.objectContaining({ code: 'DECRYPT_FAILED' })
+        }));
+        expect(receiver.getState()).toEqual({ count: 0 });
+      } finally {
+        receiver.destroy();
+      }
+    });
+
+    test('should reject a ciphertext moved onto another action', async () => {
+      const cipher = new PayloadCipher(sharedKey, { crypto: webcrypto });
+      const envelope = await cipher.encrypt({ type: 'ADD', amount: 1 }, 'device-a:0001');
+
+      await expect(cipher.decrypt(envelope, 'device-a:0002')).rejects.toThrow();
+      await expect(cipher.decrypt(envelope, 'device-a:0001')).resolves.toEqual({ type: 'ADD', amount: 1 });
+    });
+
+    test('should encrypt exports and import them with the shared key', async () => {
+      const source = createEncryptedInstance('export-source', { snapshotInterval: 2 });
+      const target = createEncryptedInstance('export-target');
+
+      try {
+        source.dispatch({ type: 'ADD', amount: 2 });
+        source.dispatch({ type: 'ADD', amount: 4 });
+        await source.sync();
+        source.dispatch({ type: 'ADD', amount: 8, note: 'pending-secret' });
+
+        const exported = await source.export();
+        expect(exported).not.toContain('pending-secret');
+        const parsed = JSON.parse(exported);
+        expect(PayloadCipher.isEncrypted(parsed.snapshot.state)).toBe(true);
+
+        const payloads = await target.import(exported);
+
+        expect(payloads).toEqual([{ type: 'ADD', amount: 8, note: 'pending-secret' }]);
+        expect(target.getState()).toEqual({ count: 14 });
+      } finally {
+        source.destroy();
+        target.destroy();
+      }
+    });
+
+    test('should encrypt the actions and base state kept by an exported snapshot', async () => {
+      const source = createEncryptedInstance('export-source', { snapshotInterval: 2, maxQueueSize: 2 });
+      const target = createEncryptedInstance('export-target');
+
+      try {
+        source.dispatch({ type: 'ADD', amount: 1, note: 'retired-secret' });
+        source.dispatch({ type: 'ADD', amount: 2, note: 'retired-secret' });
+        await source.sync();
+        source.dispatch({ type: 'ADD', amount: 3, note: 'kept-secret' });
+        source.dispatch({ type: 'ADD', amount: 4, note: 'kept-secret' });
+        await source.sync();
+        expect(source.snapshot.base).toBeTruthy();
+
+        const exported = await source.export();
+        expect(exported).not.toContain('secret');
+        const { snapshot } = JSON.parse(exported);
+        expect(PayloadCipher.isEncrypted(snapshot.base.state)).toBe(true);
+        expect(snapshot.actions.every(action => PayloadCipher.isEncrypted(action.payload))).toBe(true);
+
+        await target.import(exported);
+
+        expect(target.getState()).toEqual({ count: 10 });
+        expect(target.snapshot.base.state).toEqual({ count: 3 });
+        expect(target.snapshot.actions.map(action => action.payload.amount)).toEqual([3, 4]);
+      } finally {
+        source.destroy();
+        target.destroy();
+      }
+    });
+  });
+
+
+  describe('Per-Action Acknowledgements', () => {
+    // Storage-free instance: earlier storage tests leave chrome.storage mocks overridden
+    beforeEach(() => {
+      actionSync.destroy();
+      actionSync = createInstance(mockDeviceId);
+    });
+
+    test('should keep actions dispatched during an in-flight sync pending', async () => {
+      const firstId = actionSync.dispatch({ type: 'SENT' });
+      let lateId;
+
+      global.fetch.mockImplementationOnce(async (url, options) => {
+        lateId = actionSync.dispatch({ type: 'IN_FLIGHT' });
+        const sentIds = JSON.parse(options.body).actions.map(action => action.actionId);
+        return createMockResponse({ success: true, lastActionId: 'ack-1', actions: [], acceptedActionIds: sentIds });
+      });
+
+      const result = await actionSync.sync();
+
+      expect(result.acceptedActionIds).toEqual([firstId]);
+      expect(actionSync.fullQueue.map(action => action.actionId)).toEqual([firstId]);
+      expect(actionSync.actionQueue.map(action => action.actionId)).toEqual([lateId]);
+
+      // Even a legacy server reply without acceptedActionIds only acknowledges what was sent
+      global.fetch.mockImplementationOnce(async () => {
+        actionSync.dispatch({ type: 'IN_FLIGHT_AGAIN' });
+        return createMockResponse({ success: true, lastActionId: 'ack-2', actions: [] });
+      });
+      await actionSync.sync();
+
+      expect(actionSync.fullQueue.map(action => action.actionId)).toEqual([firstId, lateId]);
+      expect(actionSync.actionQueue.map(action => action.payload.type)).toEqual(['IN_FLIGHT_AGAIN']);
+    });
+
+    test('should keep unacknowledged actions pending and drop rejected ones', async () => {
+      const instance = createInstance('ack-device', {
+        reducers: { ADD: (state, payload) => ({ count: state.count + payload.amount }) },
+        initialState: { count: 0 }
+      });
+      const onRejected = jest.fn();
+      instance.on('actionRejected', onRejected);
+
+      try {
+        const acceptedId = instance.dispatch({ type: 'ADD', amount: 1 });
+        const rejectedId = instance.dispatch({ type: 'ADD', amount: 10 });
+        const unackedId = instance.dispatch({ type: 'ADD', amount: 100 });
+        expect(instance.getState()).toEqual({ count: 111 });
+
+        global.fetch.mockResolvedValue(createMockResponse({
+          success: true,
+          lastActionId: 'ack-cursor',
+          actions: [],
+          acceptedActionIds: [acceptedId],
+          rejected: [{ actionId: rejectedId, error: 'payload is required' }]
+        }));
+        const result = await instance.sync();
+
+        expect(instance.fullQueue.map(action => action.actionId)).toEqual([acceptedId]);
+        expect(instance.actionQueue.map(action => action.actionId)).toEqual([unackedId]);
+        expect(instance.getState()).toEqual({ count: 101 });
+        expect(result.rejected).toEqual([
+          expect.objectContaining({ actionId: rejectedId, error: 'payload is required' })
+        ]);
+        expect(onRejected).toHaveBeenCalledWith(expect.objectContaining({
+          actionId: rejectedId,
+          error: 'payload is required',
+          action: expect.objectContaining({ payload: { type: 'ADD', amount: 10 } })
+        }));
+      } finally {
+        instance.destroy();
+      }
+    });
+  });
+
+
+  describe('Chunked Push', () => {
+    const sentBatches = () => global.fetch.mock.calls.map(call => JSON.parse(call[1].body).actions.map(a => a.payload.n));
+
+    test('should push large queues in count-bounded batches', async () => {
+      const instance = createInstance('batching-device', { maxBatchSize: 2 });
+
+      try {
+        [1, 2, 3, 4, 5].forEach(n => instance.dispatch({ type: 'BATCHED', n }));
+        const result = await instance.sync();
+
+        expect(sentBatches()).toEqual([[1, 2], [3, 4], [5]]);
+        expect(result.acceptedActionIds).toHaveLength(5);
+        expect(instance.actionQueue).toHaveLength(0);
+        expect(instance.fullQueue).toHaveLength(5);
+      } finally {
+        instance.destroy();
+      }
+    });
+
+    test('should bound batches by serialized size', async () => {
+      const instance = createInstance('batching-device', { maxBatchBytes: 400 });
+
+      try {
+        [1, 2, 3].forEach(n => instance.dispatch({ type: 'BATCHED', n, text: 'x'.repeat(150) }));
+        await instance.sync();
+
+        expect(sentBatches()).toEqual([[1], [2], [3]]);
+      } finally {
+        instance.destroy();
+      }
+    });
+
+    test('should commit acknowledged batches and resume from the failed one', async () => {
+      const instance = createInstance('batching-device', { maxBatchSize: 2 });
+
+      try {
+        [1, 2, 3, 4, 5].forEach(n => instance.dispatch({ type: 'BATCHED', n }));
+        global.fetch
+          .mockResolvedValueOnce(createMockResponse({ success: true, lastActionId: 'c0000000002', actions: [] }))
+          .mockRejectedValueOnce(new Error('Network error'));
+
+        await expect(instance.sync()).rejects.toThrow('Network error');
+        expect(instance.fullQueue.map(a => a.payload.n)).toEqual([1, 2]);
+        expect(instance.actionQueue.map(a => a.payload.n)).toEqual([3, 4, 5]);
+        expect(instance.lastActionId).toBe('c0000000002');
+
+        global.fetch.mockClear();
+        await instance.sync();
+
+        expect(sentBatches()).toEqual([[3, 4], [5]]);
+        expect(instance.actionQueue).toHaveLength(0);
+      } finally {
+        instance.destroy();
+      }
+    });
+
+    test('should reject an action too large for any batch without blocking the rest', async () => {
+      const instance = createInstance('batching-device', { maxBatchBytes: 300 });
+      const onRejected = jest.fn();
+      instance.on('actionRejected', onRejected);
+
+      try {
+        instance.dispatch({ type: 'BATCHED', n: 1 });
+        const hugeId = instance.dispatch({ type: 'BATCHED', n: 2, text: 'x'.repeat(500) });
+        instance.dispatch({ type: 'BATCHED', n: 3 });
+
+        const result = await instance.sync();
+
+        expect(sentBatches()).toEqual([[1, 3]]);
+        expect(result.rejected).toEqual([expect.objectContaining({ actionId: hugeId })]);
+        expect(onRejected).toHaveBeenCalledWith(expect.objectContaining({
+          actionId: hugeId,
+          error: expect.stringContaining('maxBatchBytes')
+        }));
+        expect(instance.actionQueue).toHaveLength(0);
+      } finally {
+        instance.destroy();
+      }
+    });
+  });
+
+
+  describe('Channels', () => {
+    const requestBodies = () => global.fetch.mock.calls.map(call => JSON.parse(call[1].body));
+
+    test('should sync the configured channel and default to "default"', async () => {
+      const scoped = new ActionSync({
+        serverUrl: mockServerUrl,
+        deviceId: 'channel-device',
+        channel: 'workspace-1',
+        autoSync: false,
+        enablePersistence: false
+      });
+
+      try {
+        scoped.dispatch({ type: 'SCOPED' });
+        await scoped.sync();
+        await actionSync.sync();
+
+        expect(requestBodies().map(body => body.channel)).toEqual(['workspace-1', 'default']);
+        expect(scoped.getStatus().channel).toBe('workspace-1');
+      } finally {
+        scoped.destroy();
+      }
+    });
+
+    test('should give joined channels their own queues, cursors and state', async () => {
+      const parent = new ActionSync({
+        serverUrl: mockServerUrl,
+        deviceId: 'multi-channel',
+        autoSync: false,
+        enablePersistence: false,
+        initialState: { count: 0 },
+        reducers: { INC: (state) => ({ count: state.count + 1 }) }
+      });
+      const doc = parent.joinChannel('doc-1', {
+        initialState: { titles: [] },
+        reducers: { TITLE: (state, payload) => ({ titles: [...state.titles, payload.title] }) }
+      });
+
+      try {
+        expect(parent.joinChannel('doc-1')).toBe(doc);
+        expect(parent.joinChannel('default')).toBe(parent);
+        expect(doc.deviceId).toBe('multi-channel');
+        expect(doc.serverUrl).toBe(mockServerUrl);
+
+        parent.dispatch({ type: 'INC' });
+        doc.dispatch({ type: 'TITLE', title: 'Hello' });
+        expect(parent.getState()).toEqual({ count: 1 });
+        expect(doc.getState()).toEqual({ titles: ['Hello'] });
+
+        global.fetch.mockResolvedValueOnce(createMockResponse({ success: true, lastActionId: 'doc-cursor', actions: [] }));
+        await doc.sync();
+
+        expect(requestBodies()[0]).toMatchObject({ channel: 'doc-1', actions: [expect.objectContaining({ payload: { type: 'TITLE', title: 'Hello' } })] });
+        expect(doc.isSynced()).toBe(true);
+        expect(doc.lastActionId).toBe('doc-cursor');
+        expect(parent.isSynced()).toBe(false);
+        expect(parent.lastActionId).toBe('0');
+      } finally {
+        parent.destroy();
+      }
+
+      expect(parent.channels.size).toBe(0);
+      expect(doc._destroyed).toBe(true);
+    });
+
+    test('should persist each channel under its own keys and keep them when leaving', async () => {
+      const storage = new MemoryStorageAdapter();
+      const parent = new ActionSync({ deviceId: 'stored-channels', autoSync: false, storage });
+      await parent.waitForInitialization();
+      const doc = parent.joinChannel('doc-1');
+      await doc.waitForInitialization();
+
+      doc.dispatch({ type: 'KEPT' });
+      await doc._saveToStorage();
+
+      expect(doc.storageKey).toBe('actionsync_stored-channels:doc-1');
+      expect(parent.storageKey).toBe('actionsync_stored-channels');
+      expect(parent.leaveChannel('doc-1')).toBe(true);
+      expect(parent.leaveChannel('doc-1')).toBe(false);
+
+      const rejoined = parent.joinChannel('doc-1');
+      try {
+        await rejoined.waitForInitialization();
+        expect(rejoined).not.toBe(doc);
+        expect(rejoined.actionQueue.map(action => action.payload)).toEqual([{ type: 'KEPT' }]);
+        expect(parent.actionQueue).toEqual([]);
+      } finally {
+        parent.destroy();
+      }
+    });
+
+    test('should ignore pushed actions for other channels', async () => {
+      const received = jest.fn();
+      const scoped = new ActionSync({
+        deviceId: 'push-channel',
+        channel: 'doc-1',
+        autoSync: false,
+        enablePersistence: false,
+        onRemoteActions: received
+      });
+      const push = (channel, actionId) => scoped._handleSocketMessage(JSON.stringify({
+        type: 'actions',
+        channel,
+        actions: [{ actionId, timestamp: 1, deviceId: 'other', payload: { type: 'PUSHED', channel } }]
+      }));
+
+      try {
+        push('doc-2', '0000000000010000ffff');
+        push('doc-1', '0000000000020000ffff');
+        await delay(10);
+
+        expect(received).toHaveBeenCalledTimes(1);
+        expect(received).toHaveBeenCalledWith([{ type: 'PUSHED', channel: 'doc-1' }]);
+      } finally {
+        scoped.destroy();
+      }
+    });
+  });
+
+
+  describe('Authentication', () => {
+    const createAuthInstance = (getAuthToken) => createInstance('auth-device', { getAuthToken });
+    const authHeaders = () => global.fetch.mock.calls.map(call => call[1].headers.Authorization);
+
+    test('should send the token from getAuthToken as a bearer token', async () => {
+      const getAuthToken = jest.fn(async () => 'token-1');
+      const instance = createAuthInstance(getAuthToken);
+
+      try {
+        await instance.sync();
+
+        expect(getAuthToken).toHaveBeenCalledWith({ forceRefresh: false });
+        expect(authHeaders()).toEqual(['Bearer token-1']);
+      } finally {
+        instance.destroy();
+      }
+    });
+
+    test('should not send an Authorization header without a hook', async () => {
+      await actionSync.sync();
+
+      expect(authHeaders()).toEqual([undefined]);
+    });
+
+    test('should refresh the token and retry once after a 401', async () => {
+      const getAuthToken = jest.fn(async ({ forceRefresh }) => (forceRefresh ? 'fresh' : 'expired'));
+      const instance = createAuthInstance(getAuthToken);
+      global.fetch.mockResolvedValueOnce(createMockResponse({ success: false, error: 'Invalid token' }, 401));
+
+      try {
+        instance.dispatch({ type: 'NEEDS_AUTH' });
+        const result = await instance.sync();
+
+        expect(result.success).toBe(true);
+        expect(authHeaders()).toEqual(['Bearer expired', 'Bearer fresh']);
+        expect(JSON.parse(global.fetch.mock.calls[1][1].body).actions).toHaveLength(1);
+        expect(instance.isSynced()).toBe(true);
+      } finally {
+        instance.destroy();
+      }
+    });
+
+    test('should fail with AUTH_FAILED when the fresh token is rejected too', async () => {
+      const instance = createAuthInstance(async () => 'revoked');
+      global.fetch.mockResolvedValue(createMockResponse({ success: false, error: 'Invalid token' }, 401));
+
+      try {
+        instance.dispatch({ type: 'STAYS_PENDING' });
+        await expect(instance.sync()).rejects.toMatchObject({ code: 'AUTH_FAILED', status: 401 });
+
+        expect(global.fetch).toHaveBeenCalledTimes(2);
+        expect(instance.isSynced()).toBe(false);
+      } finally {
+        instance.destroy();
+      }
+    });
+
+    test('should fail with AUTH_FAILED when getAuthToken throws', async () => {
+      const instance = createAuthInstance(async () => { throw new Error('signed out'); });
+
+      try {
+        await expect(instance.sync()).rejects.toMatchObject({
+          code: 'AUTH_FAILED',
+          message: 'Failed to get auth token: signed out'
+        });
+        expect(global.fetch).not.toHaveBeenCalled();
+      } finally {
+        instance.destroy();
+      }
+    });
+  });
+
+
+  describe('Connectivity', () => {
+    const networkError = () => new TypeError('Failed to fetch');
+
+    test('should go offline after consecutive network errors and stop retrying with backoff', async () => {
+      const instance = createInstance('connectivity-device', { offlineAfterFailures: 2 });
+      const changes = [];
+      instance.on('connectivityChange', change => changes.push(change));
+      global.fetch.mockRejectedValue(networkError());
+
+      try {
+        await expect(instance.sync()).rejects.toMatchObject({ code: 'NETWORK_ERROR' });
+        expect(instance.online).toBe(true);
+        await expect(instance.sync()).rejects.toMatchObject({ code: 'NETWORK_ERROR' });
+
+        expect(instance.getStatus()).toMatchObject({ online: false, paused: false });
+        expect(changes).toEqual([{ online: false, reason: 'network' }]);
+
+        // Offline, a sync makes one attempt instead of burning the backoff
+        instance.retryAttempts = 3;
+        global.fetch.mockClear();
+        await expect(instance.sync()).rejects.toMatchObject({ code: 'NETWORK_ERROR' });
+        expect(global.fetch).toHaveBeenCalledTimes(1);
+      } finally {
+        instance.destroy();
+      }
+    });
+
+    test.each(['Failed to fetch', 'Load failed', 'NetworkError when attempting to fetch resource.'])(
+      'should treat a fetch TypeError as a network error: %s',
+      async (message) => {
+        const instance = createInstance('connectivity-device');
+        global.fetch.mockRejectedValue(new TypeError(message));
+
+        try {
+          await expect(instance.sync()).rejects.toMatchObject({ code: 'NETWORK_ERROR', message });
+        } finally {
+          instance.destroy();
+        }
+      }
+    );
+
+    test('should not count server errors as being offline', async () => {
+      const instance = createInstance('connectivity-device', { offlineAfterFailures: 1 });
+      global.fetch.mockResolvedValue(createMockResponse({}, 500));
+
+      try {
+        await expect(instance.sync()).rejects.toMatchObject({ code: 'INVALID_RESPONSE' });
+        expect(instance.online).toBe(true);
+      } finally {
+        instance.destroy();
+      }
+    });
+
+    test('should probe while offline and resume periodic sync once a probe succeeds', async () => {
+      const instance = createInstance('connectivity-device', {
+        autoSync: true,
+        syncInterval: 60000,
+        offlineAfterFailures: 1,
+        offlineProbeInterval: 20
+      });
+      const changes = [];
+      instance.on('connectivityChange', change => changes.push(change));
+
+      try {
+        await instance.waitForInitialization();
+        global.fetch.mockRejectedValue(networkError());
+        await expect(instance.sync()).rejects.toMatchObject({ code: 'NETWORK_ERROR' });
+        expect(instance.online).toBe(false);
+        expect(instance.syncTimer).toBeNull();
+
+        // Dispatches queue up without scheduling syncs while offline
+        instance.dispatch({ type: 'QUEUED_OFFLINE' });
+        expect(instance.syncTimer).toBeNull();
+
+        await delay(50);
+        expect(global.fetch.mock.calls.length).toBeGreaterThan(1);
+
+        global.fetch.mockResolvedValue(createMockResponse({ success: true, lastActionId: 'back', actions: [] }));
+        await waitFor(() => instance.online);
+
+        expect(changes).toEqual([{ online: false, reason: 'network' }, { online: true, reason: 'network' }]);
+        await waitFor(() => instance.isSynced());
+        expect(instance.syncTimer).not.toBeNull();
+        expect(instance._probeTimer).toBeNull();
+      } finally {
+        instance.destroy();
+      }
+    });
+
+    test('should follow browser online and offline events and flush when back online', async () => {
+      const instance = createInstance('connectivity-device', { autoSync: true, syncInterval: 60000 });
+
+      try {
+        await instance.waitForInitialization();
+        window.dispatchEvent(new Event('offline'));
+
+        expect(instance.online).toBe(false);
+        expect(instance.syncTimer).toBeNull();
+        instance.dispatch({ type: 'WHILE_OFFLINE' });
+        await delay(20);
+        expect(global.fetch).not.toHaveBeenCalled();
+
+        window.dispatchEvent(new Event('online'));
+        expect(instance.online).toBe(true);
+        await waitFor(() => instance.isSynced());
+
+        expect(global.fetch).toHaveBeenCalledTimes(1);
+        expect(JSON.parse(global.fetch.mock.calls[0][1].body).actions).toHaveLength(1);
+      } finally {
+        instance.destroy();
+      }
+    });
+
+    test('should pause timers until resume and then flush right away', async () => {
+      const instance = createInstance('connectivity-device', { autoSync: true, syncInterval: 60000 });
+
+      try {
+        await instance.waitForInitialization();
+        instance.pause();
+
+        expect(instance.getStatus().paused).toBe(true);
+        expect(instance.syncTimer).toBeNull();
+        instance.dispatch({ type: 'WHILE_PAUSED' });
+        await delay(20);
+        expect(global.fetch).not.toHaveBeenCalled();
+
+        // Browser events don't restart a paused instance
+        window.dispatchEvent(new Event('offline'));
+        window.dispatchEvent(new Event('online'));
+        expect(instance.syncTimer).toBeNull();
+
+        instance.resume();
+        await waitFor(() => instance.isSynced());
+        expect(instance.getStatus().paused).toBe(false);
+        expect(global.fetch).toHaveBeenCalledTimes(1);
+      } finally {
+        instance.destroy();
+      }
+    });
+
+    test('should keep periodic sync running after a scheduled sync', async () => {
+      const instance = createInstance('connectivity-device', { autoSync: true, syncInterval: 30 });
+
+      try {
+        await instance.waitForInitialization();
+        instance._scheduleSync(0);
+
+        await waitFor(() => global.fetch.mock.calls.length >= 3);
+      } finally {
+        instance.destroy();
+      }
+    });
+  });
+
+
+  describe('Retry Policy', () => {
+    const respondWith = (status, headers = {}, data = {}) => createMockResponse(data, status)
+      .then(response => ({ ...response, headers: { get: name => headers[name] || null } }));
+    const success = { success: true, lastActionId: 'ok', actions: [] };
+
+    afterEach(() => {
+      jest.restoreAllMocks();
+    });
+
+    test('should retry retryable statuses, honoring Retry-After', async () => {
+      const instance = createInstance('retry-device', { retryAttempts: 3 });
+      const delays = [];
+      jest.spyOn(instance, '_delay').mockImplementation(async ms => { delays.push(ms); });
+      global.fetch
+        .mockReturnValueOnce(respondWith(503, { 'Retry-After': '2' }))
+        .mockReturnValueOnce(respondWith(429, { 'Retry-After': new Date(Date.now() + 20000).toUTCString() }))
+        .mockReturnValueOnce(respondWith(200, {}, success));
+
+      try {
+        await expect(instance.sync()).resolves.toMatchObject({ success: true });
+        expect(global.fetch).toHaveBeenCalledTimes(3);
+        expect(delays[0]).toBe(2000);
+        // HTTP dates lose sub-second precision
+        expect(delays[1]).toBeGreaterThan(18000);
+        expect(delays[1]).toBeLessThanOrEqual(20000);
+      } finally {
+        instance.destroy();
+      }
+    });
+
+    test('should back off with full jitter and give up with the last response', async () => {
+      const instance = createInstance('retry-device', { retryPolicy: { maxAttempts: 4, baseDelay: 100, maxDelay: 300 } });
+      const delays = [];
+      jest.spyOn(instance, '_delay').mockImplementation(async ms => { delays.push(ms); });
+      jest.spyOn(Math, 'random').mockReturnValue(0.5);
+      global.fetch.mockImplementation(() => respondWith(502));
+
+      try {
+        await expect(instance.sync()).rejects.toMatchObject({ code: 'INVALID_RESPONSE', status: 502 });
+        expect(global.fetch).toHaveBeenCalledTimes(4);
+        expect(delays).toEqual([50, 100, 150]);
+      } finally {
+        instance.destroy();
+      }
+    });
+
+    test('should not retry other statuses', async () => {
+      const instance = createInstance('retry-device', { retryAttempts: 3 });
+      global.fetch.mockResolvedValue(createMockResponse({ error: 'Bad request' }, 400));
+
+      try {
+        await expect(instance.sync()).rejects.toMatchObject({ status: 400 });
+        expect(global.fetch).toHaveBeenCalledTimes(1);
+      } finally {
+        instance.destroy();
+      }
+    });
+
+    test('should leave a long Retry-After to auto-sync instead of waiting in the request', async () => {
+      const instance = createInstance('retry-device', { retryAttempts: 3 });
+      global.fetch.mockImplementation(() => respondWith(503, { 'Retry-After': '120' }));
+
+      try {
+        await expect(instance.sync()).rejects.toMatchObject({ status: 503, retryAfter: 120000 });
+        expect(global.fetch).toHaveBeenCalledTimes(1);
+        expect(instance._autoSyncDelay(1000)).toBeGreaterThan(119000);
+
+        global.fetch.mockReturnValue(respondWith(200, {}, success));
+        await instance.sync();
+        expect(instance._autoSyncDelay(1000)).toBe(1000);
+      } finally {
+        instance.destroy();
+      }
+    });
+
+    test('should abort requests that exceed requestTimeout', async () => {
+      const instance = createInstance('retry-device', { retryAttempts: 1, requestTimeout: 20 });
+      global.fetch.mockImplementation((url, options) => new Promise((resolve, reject) => {
+        options.signal.addEventListener('abort', () => reject(new Error('The operation was aborted')));
+      }));
+
+      try {
+        await expect(instance.sync()).rejects.toMatchObject({ code: 'TIMEOUT' });
+      } finally {
+        instance.destroy();
+      }
+    });
+
+    test('should open the circuit breaker after repeated failures and close it on success', async () => {
+      const instance = createInstance('retry-device', {
+        retryAttempts: 1,
+        circuitBreaker: { failureThreshold: 2, cooldown: 1000, maxCooldown: 3000 }
+      });
+      global.fetch.mockResolvedValue(createMockResponse({}, 500));
+      const cooldown = () => instance._autoSyncDelay(0);
+
+      try {
+        await expect(instance.sync()).rejects.toThrow();
+        expect(instance.getStatus().circuitOpenUntil).toBeNull();
+        expect(cooldown()).toBe(0);
+
+        await expect(instance.sync()).rejects.toThrow();
+        expect(instance.getStatus().circuitOpenUntil).toBeGreaterThan(Date.now());
+        expect(cooldown()).toBeGreaterThan(900);
+        expect(cooldown()).toBeLessThanOrEqual(1000);
+
+        // Each failed trial doubles the cooldown, up to maxCooldown
+        await expect(instance.sync()).rejects.toThrow();
+        expect(cooldown()).toBeGreaterThan(1900);
+        await expect(instance.sync()).rejects.toThrow();
+        await expect(instance.sync()).rejects.toThrow();
+        expect(cooldown()).toBeGreaterThan(2900);
+        expect(cooldown()).toBeLessThanOrEqual(3000);
+
+        global.fetch.mockResolvedValue(createMockResponse(success));
+        await instance.sync();
+        expect(instance.getStatus().circuitOpenUntil).toBeNull();
+        expect(cooldown()).toBe(0);
+      } finally {
+        instance.destroy();
+      }
+    });
+
+    test('should hold periodic sync back while the circuit is open', async () => {
+      const instance = createInstance('retry-device', {
+        autoSync: true,
+        syncInterval: 20,
+        retryAttempts: 1,
+        circuitBreaker: { failureThreshold: 2, cooldown: 60000 }
+      });
+      global.fetch.mockResolvedValue(createMockResponse({}, 500));
+
+      try {
+        await instance.waitForInitialization();
+        await delay(200);
+
+        // Two failures open the breaker; nothing else goes out during the cooldown
+        expect(global.fetch).toHaveBeenCalledTimes(2);
+        expect(instance.getStatus().circuitOpenUntil).not.toBeNull();
+      } finally {
+        instance.destroy();
+      }
+    });
+  });
+
+
+  describe('Sync State', () => {
+    test('should move through initializing, idle, syncing and error', async () => {
+      const instance = createInstance('state-device');
+      const states = [];
+
+      try {
+        instance.subscribe(status => states.push(status.state));
+        expect(states).toEqual(['initializing']);
+        await instance.waitForInitialization();
+        expect(instance.getStatus()).toMatchObject({
+          state: 'idle',
+          lastSyncAt: null,
+          lastErrorAt: null,
+          consecutiveFailures: 0,
+          nextSyncAt: null
+        });
+
+        global.fetch.mockResolvedValue(createMockResponse({}, 500));
+        await expect(instance.sync()).rejects.toThrow();
+        await expect(instance.sync()).rejects.toThrow();
+        expect(instance.getStatus()).toMatchObject({
+          state: 'error',
+          lastErrorAt: expect.any(Number),
+          lastError: { code: 'INVALID_RESPONSE', message: expect.stringContaining('500') },
+          consecutiveFailures: 2
+        });
+
+        global.fetch.mockResolvedValue(createMockResponse({ success: true, lastActionId: 'ok', actions: [] }));
+        await instance.sync();
+        expect(instance.getStatus()).toMatchObject({ state: 'idle', lastSyncAt: expect.any(Number), consecutiveFailures: 0 });
+
+        expect(states).toEqual(['initializing', 'idle', 'syncing', 'error', 'syncing', 'error', 'syncing', 'idle']);
+      } finally {
+        instance.destroy();
+      }
+      expect(states[states.length - 1]).toBe('destroyed');
+    });
+
+    test('should report the next scheduled sync', async () => {
+      const instance = createInstance('state-device', { autoSync: true, syncInterval: 60000 });
+
+      try {
+        await instance.waitForInitialization();
+        const status = instance.getStatus();
+        expect(status.state).toBe('scheduled');
+        expect(status.nextSyncAt).toBeGreaterThan(Date.now() + 59000);
+
+        instance.dispatch({ type: 'SOON' });
+        expect(instance.getStatus().nextSyncAt).toBeLessThanOrEqual(Date.now() + 1000);
+
+        instance.pause();
+        expect(instance.getStatus()).toMatchObject({ state: 'idle', nextSyncAt: null });
+      } finally {
+        instance.destroy();
+      }
+    });
+
+    test('should report offline with the next probe time', async () => {
+      const instance = createInstance('state-device', { autoSync: true, offlineAfterFailures: 1, offlineProbeInterval: 60000 });
+
+      try {
+        await instance.waitForInitialization();
+        global.fetch.mockRejectedValue(new TypeError('Failed to fetch'));
+        await expect(instance.sync()).rejects.toMatchObject({ code: 'NETWORK_ERROR' });
+
+        const status = instance.getStatus();
+        expect(status).toMatchObject({ state: 'offline', consecutiveFailures: 1 });
+        expect(status.nextSyncAt).toBeGreaterThan(Date.now() + 59000);
+      } finally {
+        instance.destroy();
+      }
+    });
+
+    test('should stop notifying after unsubscribe and survive throwing listeners', async () => {
+      const instance = createInstance('state-device');
+      const listener = jest.fn();
+
+      try {
+        await instance.waitForInitialization();
+        instance.subscribe(() => { throw new Error('listener bug'); });
+        const unsubscribe = instance.subscribe(listener);
+        expect(listener).toHaveBeenCalledTimes(1);
+
+        unsubscribe();
+        instance.dispatch({ type: 'UNOBSERVED' });
+        expect(listener).toHaveBeenCalledTimes(1);
+      } finally {
+        instance.destroy();
+      }
+    });
+  });
+
+
+  describe('Single-Flight Sync', () => {
+    const deferredResponse = () => {
+      let respond;
+      const response = new Promise(resolve => { respond = resolve; });
+      return { response, respond: data => respond(createMockResponse(data)) };
+    };
+
+    test('should share one in-flight sync between concurrent callers', async () => {
+      const instance = createInstance('single-flight-device');
+      const pending = deferredResponse();
+      global.fetch.mockReturnValueOnce(pending.response);
+
+      try {
+        instance.dispatch({ type: 'ONCE' });
+        const first = instance.sync();
+        const second = instance.sync();
+        await delay(10);
+        pending.respond({ success: true, lastActionId: 'one', actions: [] });
+
+        const [firstResult, secondResult] = await Promise.all([first, second]);
+        expect(secondResult).toBe(firstResult);
+        expect(global.fetch).toHaveBeenCalledTimes(1);
+        expect(instance.fullQueue).toHaveLength(1);
+      } finally {
+        instance.destroy();
+      }
+    });
+
+    test('should sync once more after dispatches made during a sync', async () => {
+      const instance = createInstance('single-flight-device', { autoSync: true, syncInterval: 60000 });
+      const pending = deferredResponse();
+
+      try {
+        await instance.waitForInitialization();
+        global.fetch.mockReturnValueOnce(pending.response);
+        const running = instance.sync();
+
+        instance.dispatch({ type: 'DURING_1' });
+        instance.dispatch({ type: 'DURING_2' });
+        instance.dispatch({ type: 'DURING_3' });
+        pending.respond({ success: true, lastActionId: 'one', actions: [] });
+        await running;
+
+        await waitFor(() => instance.isSynced());
+        await delay(50);
+        expect(global.fetch).toHaveBeenCalledTimes(2);
+        expect(JSON.parse(global.fetch.mock.calls[1][1].body).actions).toHaveLength(3);
+      } finally {
+        instance.destroy();
+      }
+    });
+
+    test('should abort the in-flight request on destroy without touching storage', async () => {
+      const storage = new MemoryStorageAdapter();
+      const instance = createInstance('single-flight-device', { enablePersistence: true, storage });
+      global.fetch.mockImplementation((url, options) => new Promise((resolve, reject) => {
+        options.signal.addEventListener('abort', () => reject(new Error('The operation was aborted')));
+      }));
+
+      await instance.waitForInitialization();
+      instance.dispatch({ type: 'ABANDONED' });
+      const running = instance.sync();
+      await delay(10);
+
+      const setSpy = jest.spyOn(storage, 'set');
+      instance.destroy();
+
+      await expect(running).rejects.toMatchObject({ code: 'ABORTED' });
+      expect(global.fetch).toHaveBeenCalledTimes(1);
+      expect(instance.fullQueue).toEqual([]);
+      expect(setSpy).not.toHaveBeenCalled();
+    });
+  });
+
+
+  describe('Queue Overflow Policies', () => {
+    const createOverflowInstance = (extra = {}) => createInstance('overflow-device', { maxQueueSize: 2, ...extra });
+    const pushedTypes = () => global.fetch.mock.calls.flatMap(([, options]) =>
+      JSON.parse(options.body).actions.map(action => action.payload.type));
+
+    test('should reject dispatches once the queue is full', () => {
+      const instance = createOverflowInstance({ overflowPolicy: 'reject' });
+      const onOverflow = jest.fn();
+      instance.on('queueOverflow', onOverflow);
+
+      try {
+        instance.dispatch({ type: 'KEPT_1' });
+        instance.dispatch({ type: 'KEPT_2' });
+        expect(() => instance.dispatch({ type: 'REFUSED' })).toThrow(expect.objectContaining({ code: 'QUEUE_FULL' }));
+
+        expect(instance.actionQueue.map(action => action.payload.type)).toEqual(['KEPT_1', 'KEPT_2']);
+        expect(onOverflow).toHaveBeenCalledWith({ policy: 'reject', dropped: [], rejected: { type: 'REFUSED' } });
+      } finally {
+        instance.destroy();
+      }
+    });
+
+    test('should compact the queue with compactQueue and report what it left out', () => {
+      const instance = createOverflowInstance({
+        overflowPolicy: 'compact',
+        reducers: { ADD: (state, payload) => ({ total: (state.total || 0) + payload.amount }) },
+        // Fold every ADD into the newest one
+        compactQueue: actions => {
+          const last = actions[actions.length - 1];
+          const amount = actions.reduce((sum, action) => sum + action.payload.amount, 0);
+          return [{ ...last, payload: { ...last.payload, amount } }];
+        }
+      });
+      const onOverflow = jest.fn();
+      instance.on('queueOverflow', onOverflow);
+
+      try {
+        [1, 2, 3].forEach(amount => instance.dispatch({ type: 'ADD', amount }));
+
+        expect(instance.actionQueue).toHaveLength(1);
+        expect(instance.getState()).toEqual({ total: 6 });
+        expect(onOverflow.mock.calls[0][0].policy).toBe('compact');
+        expect(onOverflow.mock.calls[0][0].dropped.map(action => action.payload.amount)).toEqual([1, 2]);
+      } finally {
+        instance.destroy();
+      }
+    });
+
+    test('should fall back to dropping the oldest when compactQueue throws', () => {
+      const instance = createOverflowInstance({
+        overflowPolicy: 'compact',
+        compactQueue: () => { throw new Error('compactor bug'); }
+      });
+      const onOverflow = jest.fn();
+      instance.on('queueOverflow', onOverflow);
+
+      try {
+        ['A', 'B', 'C'].forEach(type => instance.dispatch({ type }));
+
+        expect(instance.actionQueue.map(action => action.payload.type)).toEqual(['B', 'C']);
+        expect(onOverflow.mock.calls[0][0].dropped.map(action => action.payload.type)).toEqual(['A']);
+      } finally {
+        instance.destroy();
+      }
+    });
+
+    test('should spill older pending actions and sync them later in order', async () => {
+      const spillStorage = new MemoryStorageAdapter();
+      const instance = createOverflowInstance({ overflowPolicy: 'spill', spillStorage });
+      const onOverflow = jest.fn();
+      instance.on('queueOverflow', onOverflow);
+
+      try {
+        ['A', 'B', 'C', 'D', 'E'].forEach(type => instance.dispatch({ type }));
+        await instance._spillChain;
+
+        expect(instance.actionQueue.map(action => action.payload.type)).toEqual(['D', 'E']);
+        expect(instance.getStatus().spilledCount).toBe(3);
+        expect(onOverflow.mock.calls.every(([data]) => data.policy === 'spill' && data.dropped.length === 0)).toBe(true);
+
+        // A restarted instance finds the spilled actions
+        const restarted = createOverflowInstance({ overflowPolicy: 'spill', spillStorage });
+        await restarted.waitForInitialization();
+        expect(restarted.spilledCount).toBe(3);
+        restarted._shutdown();
+
+        while (!instance.isSynced() || instance.spilledCount > 0) {
+          await instance.sync();
+        }
+        expect(pushedTypes().sort()).toEqual(['A', 'B', 'C', 'D', 'E']);
+        expect(pushedTypes().slice(2)).toEqual(['A', 'B', 'C']);
+      } finally {
+        instance.destroy();
+      }
+    });
+
+    test('should let a dispatch that replaces a queued action through a full queue', () => {
+      const instance = createOverflowInstance({ overflowPolicy: 'reject' });
+
+      try {
+        instance.dispatch({ type: 'KEPT' });
+        instance.dispatch({ type: 'SET', id: 1, value: 'old' });
+        instance.dispatch({ type: 'SET', id: 1, value: 'new' }, ['type', 'id']);
+
+        expect(instance.actionQueue.map(action => action.payload.value)).toEqual([undefined, 'new']);
+      } finally {
+        instance.destroy();
+      }
+    });
+
+    test('should let a dispatch that a compactor merges through a full queue', () => {
+      const instance = createOverflowInstance({ overflowPolicy: 'reject' });
+      instance.registerCompactor('ADD', (previous, payload) => ({ ...payload, amount: previous.amount + payload.amount }));
+
+      try {
+        instance.dispatch({ type: 'KEPT' });
+        instance.dispatch({ type: 'ADD', amount: 1 });
+        instance.dispatch({ type: 'ADD', amount: 2 });
+
+        expect(instance.actionQueue.map(action => action.payload.amount)).toEqual([undefined, 3]);
+        expect(() => instance.dispatch({ type: 'OTHER' })).toThrow('Pending queue is full');
+      } finally {
+        instance.destroy();
+      }
+    });
+
+    test('should keep actions queued when the spill write fails', async () => {
+      const spillStorage = new MemoryStorageAdapter();
+      spillStorage.set = async () => { throw new Error('disk full'); };
+      const instance = createOverflowInstance({ overflowPolicy: 'spill', spillStorage });
+
+      try {
+        ['A', 'B', 'C'].forEach(type => instance.dispatch({ type }));
+        await instance._spillChain;
+
+        expect(instance.actionQueue.map(action => action.payload.type)).toEqual(['A', 'B', 'C']);
+        expect(instance.getStatus().spilledCount).toBe(0);
+
+        await instance.sync();
+        expect(pushedTypes()).toEqual(['A', 'B', 'C']);
+      } finally {
+        instance.destroy();
+      }
+    });
+
+    test('should leave actions spilled until the queue holding them is saved', async () => {
+      const spillStorage = new MemoryStorageAdapter();
+      const storage = new MemoryStorageAdapter();
+      const instance = createOverflowInstance({ overflowPolicy: 'spill', spillStorage, enablePersistence: true, storage });
+
+      try {
+        await instance.waitForInitialization();
+        ['A', 'B', 'C', 'D'].forEach(type => instance.dispatch({ type }));
+        await instance._spillChain;
+        expect(instance.getStatus().spilledCount).toBe(2);
+
+        storage.set = async () => { throw new Error('quota exceeded'); };
+        await instance.sync();
+
+        expect(pushedTypes()).toEqual(['C', 'D']);
+        expect(instance.getStatus().spilledCount).toBe(2);
+        expect(await spillStorage.get(instance.spillStorageKey)).toHaveLength(2);
+      } finally {
+        instance.destroy();
+      }
+    });
+
+    test('should refill a spilled group only when all of it fits', async () => {
+      const spillStorage = new MemoryStorageAdapter();
+      const instance = createOverflowInstance({ overflowPolicy: 'spill', spillStorage });
+
+      try {
+        instance.dispatchBatch([{ type: 'G1' }, { type: 'G2' }]);
+        instance.dispatch({ type: 'A' });
+        await instance._spillChain;
+        expect(instance.actionQueue.map(action => action.payload.type)).toEqual(['A']);
+
+        await instance._refillFromSpill();
+        expect(instance.actionQueue).toHaveLength(1);
+        expect(instance.getStatus().spilledCount).toBe(2);
+
+        await instance.sync();
+        expect(pushedTypes()).toEqual(['A']);
+        expect(instance.getStatus().spilledCount).toBe(2);
+
+        await instance.sync();
+        expect(pushedTypes()).toEqual(['A', 'G1', 'G2']);
+        expect(instance.getStatus().spilledCount).toBe(0);
+      } finally {
+        instance.destroy();
+      }
+    });
+
+    test('should start up when the spill cannot be read', async () => {
+      const spillStorage = new MemoryStorageAdapter();
+      spillStorage.get = async () => { throw new Error('unreadable'); };
+      const instance = createOverflowInstance({ overflowPolicy: 'spill', spillStorage });
+
+      try {
+        await expect(instance.waitForInitialization()).resolves.toBeUndefined();
+        expect(instance.getStatus().state).toBe('idle');
+      } finally {
+        instance.destroy();
+      }
+    });
+
+    test('should refuse unknown policies', () => {
+      expect(() => createOverflowInstance({ overflowPolicy: 'ignore' })).toThrow('Unknown overflowPolicy');
+      expect(() => createOverflowInstance({ overflowPolicy: 'compact' })).toThrow('compactQueue');
+    });
+  });
+
+
+  describe('Compactors', () => {
+    const createCompactingInstance = (extra = {}) => createInstance('compacting-device', {
+      reducers: { ADD: (state, payload) => ({ ...state, [payload.target.id]: (state[payload.target.id] || 0) + payload.amount }) },
+      ...extra
+    });
+    const sumAmounts = (previous, payload) => ({ ...payload, amount: previous.amount + payload.amount });
+    const add = (id, amount) => ({ type: 'ADD', target: { id }, amount });
+
+    test('should merge consecutive pending actions matching on nested keys', async () => {
+      const instance = createCompactingInstance();
+      instance.registerCompactor('ADD', sumAmounts, { keys: ['target.id'] });
+
+      try {
+        instance.dispatch(add('a', 1));
+        instance.dispatch(add('a', 2));
+        instance.dispatch(add('b', 5));
+        instance.dispatch(add('b', 1));
+        instance.dispatch({ type: 'OTHER' });
+        instance.dispatch(add('b', 1));
+
+        expect(instance.actionQueue.map(action => [action.payload.type, action.payload.amount]))
+          .toEqual([['ADD', 3], ['ADD', 6], ['OTHER', undefined], ['ADD', 1]]);
+        expect(instance.getState()).toEqual({ a: 3, b: 7 });
+
+        await instance.sync();
+        expect(JSON.parse(global.fetch.mock.calls[0][1].body).actions).toHaveLength(4);
+      } finally {
+        instance.destroy();
+      }
+    });
+
+    test('should keep both actions when the compactor declines or throws', () => {
+      const instance = createCompactingInstance();
+      instance.registerCompactor('ADD', (previous, payload) => {
+        if (payload.amount < 0) {
+          throw new Error('compactor bug');
+        }
+        return payload.amount > 10 ? null : sumAmounts(previous, payload);
+      });
+
+      try {
+        instance.dispatch(add('a', 1));
+        instance.dispatch(add('a', 20));
+        instance.dispatch(add('a', -1));
+
+        expect(instance.actionQueue).toHaveLength(3);
+        expect(instance.getState()).toEqual({ a: 20 });
+      } finally {
+        instance.destroy();
+      }
+    });
+
+    test('should not merge into an action that may have been sent', async () => {
+      const instance = createCompactingInstance();
+      instance.registerCompactor('ADD', sumAmounts);
+      let respond;
+      global.fetch.mockReturnValueOnce(new Promise(resolve => { respond = resolve; }));
+
+      try {
+        instance.dispatch(add('a', 1));
+        const running = instance.sync();
+        instance.dispatch(add('a', 2));
+        instance.dispatch(add('a', 3));
+        respond(createMockResponse({ success: true, lastActionId: 'one', actions: [] }));
+        await running;
+
+        expect(instance.actionQueue.map(action => action.payload.amount)).toEqual([5]);
+        expect(instance.getState()).toEqual({ a: 6 });
+      } finally {
+        instance.destroy();
+      }
+    });
+
+    test('should match filterKeys on nested paths', () => {
+      const instance = createCompactingInstance();
+
+      try {
+        instance.dispatch({ type: 'SET', doc: { id: 1 }, value: 'a' }, ['doc.id']);
+        instance.dispatch({ type: 'SET', doc: { id: 2 }, value: 'b' }, ['doc.id']);
+        instance.dispatch({ type: 'SET', doc: { id: 1 }, value: 'c' }, ['doc.id']);
+
+        expect(instance.actionQueue.map(action => action.payload.value)).toEqual(['b', 'c']);
+      } finally {
+        instance.destroy();
+      }
+    });
+
+    test('should compact synced history before it is snapshotted or trimmed', async () => {
+      const instance = createCompactingInstance({ maxQueueSize: 1 });
+      instance.registerCompactor('ADD', sumAmounts, { keys: ['target.id'], history: true });
+
+      try {
+        for (let amount = 1; amount <= 6; amount++) {
+          instance.dispatch(add('a', amount));
+          await instance.sync();
+        }
+
+        expect(instance.snapshot).toBeNull();
+        expect(instance.fullQueue).toHaveLength(1);
+        expect(instance.fullQueue[0].payload.amount).toBe(21);
+        expect(instance.fullQueue[0].compactedActionIds).toHaveLength(5);
+        expect(instance.getState()).toEqual({ a: 21 });
+
+        // An action merged away is not added again when it is pulled a second time
+        const [firstId] = instance.fullQueue[0].compactedActionIds;
+        instance._mergeIntoFullQueue([{ actionId: firstId, deviceId: 'compacting-device', timestamp: 1, payload: add('a', 1) }]);
+        expect(instance.fullQueue).toHaveLength(1);
+      } finally {
+        instance.destroy();
+      }
+    });
+
+    test('should compact synced history before taking a snapshot', async () => {
+      const periodic = createCompactingInstance({ snapshotInterval: 3 });
+      const manual = createCompactingInstance();
+      [periodic, manual].forEach(instance =>
+        instance.registerCompactor('ADD', sumAmounts, { keys: ['target.id'], history: true }));
+
+      try {
+        for (let amount = 1; amount <= 3; amount++) {
+          periodic.dispatch(add('a', amount));
+          await periodic.sync();
+          manual.dispatch(add('a', amount));
+          await manual.sync();
+        }
+        await manual.createSnapshot();
+
+        [periodic, manual].forEach(instance => {
+          expect(instance.snapshot.actions).toHaveLength(1);
+          expect(instance.snapshot.actions[0].payload.amount).toBe(6);
+          expect(instance.snapshot.actions[0].compactedActionIds).toHaveLength(2);
+          expect(instance.getState()).toEqual({ a: 6 });
+        });
+      } finally {
+        periodic.destroy();
+        manual.destroy();
+      }
+    });
+
+    test('should persist that a pending action may have reached the server', async () => {
+      const storage = new MemoryStorageAdapter();
+      const instance = createCompactingInstance({ enablePersistence: true, storage });
+      instance.registerCompactor('ADD', sumAmounts, { keys: ['target.id'] });
+      await instance.waitForInitialization();
+      global.fetch.mockRejectedValueOnce(new TypeError('Failed to fetch'));
+
+      try {
+        instance.dispatch(add('a', 1));
+        await expect(instance.sync()).rejects.toThrow();
+        expect(JSON.parse(global.fetch.mock.calls[0][1].body).actions[0].attempted).toBeUndefined();
+
+        instance.dispatch(add('a', 2));
+        expect(instance.actionQueue.map(action => action.payload.amount)).toEqual([1, 2]);
+
+        await delay(10);
+        const persisted = await storage.get(instance.storageKey);
+        expect(persisted.actionQueue.map(action => !!action.attempted)).toEqual([true, false]);
+      } finally {
+        instance.destroy();
+      }
+    });
+
+    test('should validate compactor registrations', () => {
+      expect(() => actionSync.registerCompactor('', sumAmounts)).toThrow('non-empty string');
+      expect(() => actionSync.registerCompactor('ADD', null)).toThrow('must be a function');
+      expect(() => actionSync.registerCompactor('ADD', sumAmounts, { keys: 'id' })).toThrow('keys must be an array');
+    });
+  });
+
+
+  describe('Batch Dispatch', () => {
+    const sentBatches = () => global.fetch.mock.calls.map(call => JSON.parse(call[1].body).actions.map(a => a.payload.n));
+    const remoteGroup = (size) => Array.from({ length: size }, (_, index) => ({
+      actionId: `remote-group-${index}`,
+      timestamp: 1000 + index,
+      deviceId: 'other-device',
+      payload: { type: 'MOVE', step: index },
+      group: { id: 'remote-group-0', size, index }
+    }));
+
+    test('should queue a batch as one group and apply it to state', () => {
+      const instance = createInstance('group-device', {
+        reducers: { MOVE: (state, payload) => ({ ...state, [payload.account]: (state[payload.account] || 0) + payload.amount }) }
+      });
+      const onDispatch = jest.fn();
+      instance.on('dispatch', onDispatch);
+
+      try {
+        const ids = instance.dispatchBatch([
+          { type: 'MOVE', account: 'checking', amount: -50 },
+          { type: 'MOVE', account: 'savings', amount: 50 }
+        ]);
+
+        expect(ids).toHaveLength(2);
+        expect(instance.actionQueue.map(action => action.group)).toEqual([
+          { id: ids[0], size: 2, index: 0 },
+          { id: ids[0], size: 2, index: 1 }
+        ]);
+        expect(instance.getState()).toEqual({ checking: -50, savings: 50 });
+        expect(onDispatch).toHaveBeenCalledTimes(2);
+      } finally {
+        instance.destroy();
+      }
+    });
+
+    test('should validate batches', () => {
+      const instance = createInstance('group-device');
+
+      try {
+        expect(() => instance.dispatchBatch([])).toThrow('non-empty array');
+        expect(() => instance.dispatchBatch([{ type: 'OK' }, null])).toThrow('valid object');
+        expect(instance.actionQueue).toHaveLength(0);
+      } finally {
+        instance.destroy();
+      }
+    });
+
+    test('should never split a group across push requests', async () => {
+      const instance = createInstance('group-device', { maxBatchSize: 2 });
+
+      try {
+        instance.dispatch({ type: 'SINGLE', n: 1 });
+        instance.dispatchBatch([{ type: 'G', n: 2 }, { type: 'G', n: 3 }, { type: 'G', n: 4 }]);
+        instance.dispatch({ type: 'SINGLE', n: 5 });
+        await instance.sync();
+
+        expect(sentBatches()).toEqual([[1], [2, 3, 4], [5]]);
+      } finally {
+        instance.destroy();
+      }
+    });
+
+    test('should drop or reject a group as a whole when the queue overflows', () => {
+      const dropping = createInstance('group-device', { maxQueueSize: 3 });
+      const rejecting = createInstance('group-device', { maxQueueSize: 3, overflowPolicy: 'reject' });
+
+      try {
+        dropping.dispatchBatch([{ type: 'G', n: 1 }, { type: 'G', n: 2 }]);
+        dropping.dispatch({ type: 'SINGLE', n: 3 });
+        dropping.dispatch({ type: 'SINGLE', n: 4 });
+        expect(dropping.actionQueue.map(action => action.payload.n)).toEqual([3, 4]);
+
+        rejecting.dispatch({ type: 'SINGLE', n: 1 });
+        rejecting.dispatch({ type: 'SINGLE', n: 2 });
+        expect(() => rejecting.dispatchBatch([{ type: 'G', n: 3 }, { type: 'G', n: 4 }]))
+          .toThrow(expect.objectContaining({ code: 'QUEUE_FULL' }));
+        expect(rejecting.actionQueue).toHaveLength(2);
+      } finally {
+        dropping.destroy();
+        rejecting.destroy();
+      }
+    });
+
+    test('should deliver a remote group only once all of it has arrived', async () => {
+      const onRemoteActions = jest.fn();
+      const instance = createInstance('group-device', { onRemoteActions });
+      const [first, second, third] = remoteGroup(3);
+      global.fetch
+        .mockResolvedValueOnce(createMockResponse({ success: true, lastActionId: 'c1', actions: [first, second], hasMore: true }))
+        .mockResolvedValueOnce(createMockResponse({ success: true, lastActionId: 'c2', actions: [third], hasMore: false }));
+
+      try {
+        const result = await instance.sync();
+
+        expect(onRemoteActions).toHaveBeenCalledTimes(1);
+        expect(onRemoteActions.mock.calls[0][0].map(payload => payload.step)).toEqual([0, 1, 2]);
+        expect(result.remotePayloads).toHaveLength(3);
+        expect(instance.incompleteGroups.size).toBe(0);
+      } finally {
+        instance.destroy();
+      }
+    });
+
+    test('should persist held group members across restarts', async () => {
+      const storage = new MemoryStorageAdapter();
+      const onRemoteActions = jest.fn();
+      const [first, second] = remoteGroup(2);
+      const instance = createInstance('group-device', { enablePersistence: true, storage, onRemoteActions });
+      await instance.waitForInitialization();
+      // The next page fails, so the rest of the group stays on the server
+      global.fetch
+        .mockResolvedValueOnce(createMockResponse({ success: true, lastActionId: 'c1', actions: [first], hasMore: true }))
+        .mockRejectedValueOnce(new TypeError('Failed to fetch'));
+
+      await instance.sync();
+      expect(onRemoteActions).not.toHaveBeenCalled();
+      expect(instance.fullQueue).toHaveLength(0);
+      instance._shutdown();
+
+      const restarted = createInstance('group-device', { enablePersistence: true, storage, onRemoteActions });
+      try {
+        await restarted.waitForInitialization();
+        expect(restarted.lastActionId).toBe('c1');
+        global.fetch.mockResolvedValueOnce(createMockResponse({ success: true, lastActionId: 'c2', actions: [second] }));
+        await restarted.sync();
+
+        expect(onRemoteActions).toHaveBeenCalledTimes(1);
+        expect(restarted.fullQueue.map(action => action.actionId)).toEqual(['remote-group-0', 'remote-group-1']);
+      } finally {
+        restarted.destroy();
+      }
+    });
+
+    test('should drop and report a group still incomplete once caught up with the server', async () => {
+      const onRemoteActions = jest.fn();
+      const onGroupExpired = jest.fn();
+      const instance = createInstance('group-device', { onRemoteActions });
+      instance.on('groupExpired', onGroupExpired);
+      const [first, , third] = remoteGroup(3);
+      global.fetch.mockResolvedValueOnce(createMockResponse({ success: true, lastActionId: 'c1', actions: [first, third] }));
+
+      try {
+        await instance.sync();
+
+        expect(onRemoteActions).not.toHaveBeenCalled();
+        expect(instance.incompleteGroups.size).toBe(0);
+        expect(onGroupExpired).toHaveBeenCalledWith({
+          deviceId: 'other-device',
+          groupId: 'remote-group-0',
+          size: 3,
+          actions: [first, third]
+        });
+      } finally {
+        instance.destroy();
+      }
+    });
+
+    test('should pass a group through to dedupe when any member is already known', async () => {
+      const onRemoteActions = jest.fn();
+      const instance = createInstance('group-device', { onRemoteActions });
+      const [first, second] = remoteGroup(2);
+      global.fetch
+        .mockResolvedValueOnce(createMockResponse({ success: true, lastActionId: 'c1', actions: [first, second] }))
+        .mockResolvedValueOnce(createMockResponse({ success: true, lastActionId: '0', actions: [second] }));
+
+      try {
+        await instance.sync();
+        // Pulled again from the start: the lone member is known and must not be held
+        await instance.sync();
+
+        expect(onRemoteActions).toHaveBeenCalledTimes(1);
+        expect(instance.incompleteGroups.size).toBe(0);
+        expect(instance.fullQueue).toHaveLength(2);
+      } finally {
+        instance.destroy();
+      }
+    });
+
+    test('should refuse a batch larger than maxQueueSize under every policy', () => {
+      const instances = ['drop-oldest', 'spill', 'compact', 'reject'].map(overflowPolicy =>
+        createInstance('group-device', { maxQueueSize: 2, overflowPolicy, compactQueue: queue => queue }));
+
+      try {
+        instances.forEach(instance => {
+          expect(() => instance.dispatchBatch([{ type: 'G', n: 1 }, { type: 'G', n: 2 }, { type: 'G', n: 3 }]))
+            .toThrow(expect.objectContaining({ code: 'QUEUE_FULL' }));
+          expect(instance.actionQueue).toHaveLength(0);
+        });
+      } finally {
+        instances.forEach(instance => instance.destroy());
+      }
+    });
+  });
+});
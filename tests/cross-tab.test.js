@@ -0,0 +1,223 @@
+/**
+ * ActionSync Cross-Tab Coordination Tests
+ */
+import { describe, test, expect, beforeEach, afterEach } from '@jest/globals';
+import { BroadcastChannel } from 'worker_threads';
+import ActionSync, { MemoryStorageAdapter } from '../actionsync.js';
+
+describe('Cross-Tab Coordination', () => {
+  const mockServerUrl = 'https://test-server.com/api';
+  let storage;
+  let tabs;
+
+  /**
+   * Open a tab sharing the device ID and storage with the other tabs
+   */
+  async function openTab(options = {}) {
+    const tab = new ActionSync({
+      serverUrl: mockServerUrl,
+      deviceId: 'shared-device',
+      autoSync: false,
+      retryAttempts: 1,
+      storage,
+      crossTab: true,
+      BroadcastChannel,
+      leaderHeartbeatInterval: 20,
+      reducers: {
+        INCREMENT: (state, action) => ({ count: (state.count || 0) + action.payload.amount })
+      },
+      initialState: { count: 0 },
+      ...options
+    });
+    tabs.push(tab);
+    await tab.waitForInitialization();
+    return tab;
+  }
+
+  beforeEach(() => {
+    storage = new MemoryStorageAdapter();
+    tabs = [];
+  });
+
+  afterEach(() => {
+    tabs.forEach(tab => tab.destroy());
+  });
+
+  test('should elect exactly one leader, preferring the oldest tab', async () => {
+    const first = await openTab();
+    await waitFor(() => first.isLeader);
+
+    const second = await openTab();
+    await delay(150);
+
+    expect(first.isLeader).toBe(true);
+    expect(second.isLeader).toBe(false);
+    expect(first.getStatus().tabRole).toBe('leader');
+    expect(second.getStatus().tabRole).toBe('follower');
+  });
+
+  test('should give each tab a distinct action ID tag', async () => {
+    const first = await openTab();
+    const second = await openTab();
+
+    expect(first.deviceTag).not.toBe(second.deviceTag);
+  });
+
+  test('should mirror dispatches from other tabs into queue and state', async () => {
+    const leader = await openTab();
+    await waitFor(() => leader.isLeader);
+    const follower = await openTab();
+
+    follower.dispatch({ type: 'INCREMENT', payload: { amount: 2 } });
+    leader.dispatch({ type: 'INCREMENT', payload: { amount: 3 } });
+
+    await waitFor(() => leader.actionQueue.length === 2 && follower.actionQueue.length === 2);
+    expect(leader.getState()).toEqual({ count: 5 });
+    expect(follower.getState()).toEqual({ count: 5 });
+
+    // Only the leader persists
+    await delay(20);
+    const persisted = await storage.get('actionsync_shared-device');
+    expect(persisted.actionQueue).toHaveLength(2);
+  });
+
+  test('should mirror actions the leader merged with a compactor', async () => {
+    const leader = await openTab();
+    await waitFor(() => leader.isLeader);
+    const follower = await openTab();
+    const sum = (previous, payload) => ({ ...payload, payload: { amount: previous.payload.amount + payload.payload.amount } });
+    leader.registerCompactor('INCREMENT', sum);
+    follower.registerCompactor('INCREMENT', sum);
+
+    leader.dispatch({ type: 'INCREMENT', payload: { amount: 1 } });
+    leader.dispatch({ type: 'INCREMENT', payload: { amount: 4 } });
+    await waitFor(() => follower.getState().count === 5);
+
+    expect(leader.actionQueue).toHaveLength(1);
+    expect(follower.actionQueue.map(action => action.actionId)).toEqual([leader.actionQueue[0].actionId]);
+  });
+
+  test('should mirror actions replaced by filterKeys in either tab', async () => {
+    const leader = await openTab();
+    await waitFor(() => leader.isLeader);
+    const follower = await openTab();
+    const keys = tab => tab.actionQueue.map(action => action.payload.id);
+
+    leader.dispatch({ type: 'SET', id: 'a1', field: 'a' });
+    follower.dispatch({ type: 'SET', id: 'b1', field: 'b' });
+    await waitFor(() => leader.actionQueue.length === 2 && follower.actionQueue.length === 2);
+
+    follower.dispatch({ type: 'SET', id: 'a2', field: 'a' }, ['field']);
+    await waitFor(() => keys(leader).includes('a2'));
+    leader.dispatch({ type: 'SET', id: 'b2', field: 'b' }, ['field']);
+    await waitFor(() => keys(follower).includes('b2'));
+
+    expect(keys(leader)).toEqual(['a2', 'b2']);
+    expect(keys(follower)).toEqual(['a2', 'b2']);
+  });
+
+  test('should not merge into actions the old leader sent after taking over', async () => {
+    const leader = await openTab();
+    await waitFor(() => leader.isLeader);
+    const follower = await openTab();
+    const sum = (previous, payload) => ({ ...payload, payload: { amount: previous.payload.amount + payload.payload.amount } });
+    follower.registerCompactor('INCREMENT', sum);
+
+    leader.dispatch({ type: 'INCREMENT', payload: { amount: 1 } });
+    await waitFor(() => follower.actionQueue.length === 1);
+    // The server may have stored the action even though the response was lost
+    global.fetch.mockRejectedValueOnce(new TypeError('Failed to fetch'));
+    await expect(leader.sync()).rejects.toThrow();
+    await waitFor(() => follower.actionQueue[0].attempted === true);
+
+    leader.destroy();
+    tabs = tabs.filter(tab => tab !== leader);
+    await waitFor(() => follower.isLeader);
+
+    follower.dispatch({ type: 'INCREMENT', payload: { amount: 4 } });
+    expect(follower.actionQueue.map(action => action.payload.payload.amount)).toEqual([1, 4]);
+    expect(follower.getState()).toEqual({ count: 5 });
+  });
+
+  test('should route follower syncs through the leader', async () => {
+    const leader = await openTab();
+    await waitFor(() => leader.isLeader);
+    const follower = await openTab();
+
+    follower.dispatch({ type: 'INCREMENT', payload: { amount: 1 } });
+    await waitFor(() => leader.actionQueue.length === 1);
+
+    global.fetch.mockResolvedValue(createMockResponse({
+      success: true,
+      lastActionId: 'server-42',
+      actions: [{
+        deviceId: 'other-device',
+        actionId: '00000000000100000001',
+        timestamp: 1,
+        payload: { type: 'INCREMENT', payload: { amount: 10 } }
+      }]
+    }));
+
+    const result = await follower.sync();
+
+    expect(global.fetch).toHaveBeenCalledTimes(1);
+    expect(result.success).toBe(true);
+    expect(result.remotePayloads).toEqual([{ type: 'INCREMENT', payload: { amount: 10 } }]);
+    expect(follower.actionQueue).toHaveLength(0);
+    expect(follower.lastActionId).toBe('server-42');
+    expect(follower.getState()).toEqual({ count: 11 });
+    expect(leader.getState()).toEqual({ count: 11 });
+  });
+
+  test('should not resolve a follower sync with a leader sync that started before it', async () => {
+    const leader = await openTab();
+    await waitFor(() => leader.isLeader);
+    const follower = await openTab();
+    let respond;
+    global.fetch
+      .mockReturnValueOnce(new Promise(resolve => { respond = resolve; }))
+      .mockResolvedValue(createMockResponse({ success: true, lastActionId: 'server-2', actions: [] }));
+
+    leader.dispatch({ type: 'INCREMENT', payload: { amount: 1 } });
+    const leaderSync = leader.sync();
+    await waitFor(() => follower.actionQueue.length === 1);
+
+    const actionId = follower.dispatch({ type: 'INCREMENT', payload: { amount: 2 } });
+    await waitFor(() => leader.actionQueue.length === 2);
+    const followerSync = follower.sync();
+    await delay(50);
+
+    respond(createMockResponse({ success: true, lastActionId: 'server-1', actions: [] }));
+    await leaderSync;
+    const result = await followerSync;
+
+    expect(global.fetch).toHaveBeenCalledTimes(2);
+    expect(result.acceptedActionIds).toEqual([actionId]);
+    expect(result.lastActionId).toBe('server-2');
+    expect(follower.actionQueue).toHaveLength(0);
+  });
+
+  test('should reject a follower sync when the leader sync fails', async () => {
+    const leader = await openTab();
+    await waitFor(() => leader.isLeader);
+    const follower = await openTab();
+
+    global.fetch.mockRejectedValue(new Error('Network error'));
+
+    await expect(follower.sync()).rejects.toThrow('Network error');
+  });
+
+  test('should elect a new leader when the leader tab closes', async () => {
+    const leader = await openTab();
+    await waitFor(() => leader.isLeader);
+    const follower = await openTab();
+    await delay(50);
+    expect(follower.isLeader).toBe(false);
+
+    leader.destroy();
+    tabs = tabs.filter(tab => tab !== leader);
+
+    await waitFor(() => follower.isLeader);
+    expect(follower.getStatus().tabRole).toBe('leader');
+  });
+});
@@ -11,19 +11,27 @@ import ActionSync from '../actionsync.js';
 let testCount = 0;
 let passCount = 0;
 let failCount = 0;
+const tests = [];
 
 function test(name, fn) {
-  testCount++;
-  console.log(`\n🧪 Running: ${name}`);
-  
-  try {
-    fn();
-    passCount++;
-    console.log(`✅ PASS: ${name}`);
-  } catch (error) {
-    failCount++;
-    console.log(`❌ FAIL: ${name}`);
-    console.log(`   Error: ${error.message}`);
+  tests.push({ name, fn });
+}
+
+// Tests run one after another so async tests finish before the next starts
+async function runTests() {
+  for (const { name, fn } of tests) {
+    testCount++;
+    console.log(`\n🧪 Running: ${name}`);
+
+    try {
+      await fn();
+      passCount++;
+      console.log(`✅ PASS: ${name}`);
+    } catch (error) {
+      failCount++;
+      console.log(`❌ FAIL: ${name}`);
+      console.log(`   Error: ${error.message}`);
+    }
   }
 }
 
@@ -34,6 +42,11 @@ function expect(actual) {
         throw new Error(`Expected ${expected}, but got ${actual}`);
       }
     },
+    toBeTruthy: () => {
+      if (!actual) {
+        throw new Error(`Expected a truthy value, but got ${actual}`);
+      }
+    },
     toThrow: (expectedMessage) => {
       if (typeof actual !== 'function') {
         throw new Error('Expected a function for toThrow matcher');
@@ -46,6 +59,22 @@ function expect(actual) {
           throw new Error(`Expected error message to contain "${expectedMessage}", but got "${error.message}"`);
         }
       }
+    },
+    rejects: {
+      toThrow: async (expectedMessage) => {
+        let error = null;
+        try {
+          await actual;
+        } catch (rejection) {
+          error = rejection;
+        }
+        if (!error) {
+          throw new Error('Expected promise to reject, but it resolved');
+        }
+        if (expectedMessage && !error.message.includes(expectedMessage)) {
+          throw new Error(`Expected error message to contain "${expectedMessage}", but got "${error.message}"`);
+        }
+      }
     }
   };
 }
@@ -192,7 +221,7 @@ test('Queue clears after sync (no resending)', async () => {
   actionSync.destroy();
 });
 
-test('Export does not clear queue', () => {
+test('Export does not clear queue', async () => {
   const actionSync = new ActionSync({
     serverUrl: 'https://test.com',
     deviceId: 'test-device',
@@ -202,7 +231,7 @@ test('Export does not clear queue', () => {
   actionSync.dispatch({ type: 'EXPORT_TEST' });
   expect(actionSync.getStatus().queueLength).toBe(1);
   
-  const exportData = actionSync.export();
+  const exportData = await actionSync.export();
   expect(actionSync.getStatus().queueLength).toBe(1); // Queue should remain
   expect(actionSync.isSynced()).toBe(false); // Still not synced
   
@@ -213,7 +242,7 @@ test('Export does not clear queue', () => {
   actionSync.destroy();
 });
 
-test('Import returns payloads without affecting queue', () => {
+test('Import returns payloads without affecting queue', async () => {
   const actionSync = new ActionSync({
     serverUrl: 'https://test.com',
     deviceId: 'test-device',
@@ -234,7 +263,7 @@ test('Import returns payloads without affecting queue', () => {
     ]
   };
   
-  const payloads = actionSync.import(JSON.stringify(importData));
+  const payloads = await actionSync.import(JSON.stringify(importData));
   
   expect(Array.isArray(payloads)).toBe(true);
   expect(payloads.length).toBe(1);
@@ -244,14 +273,14 @@ test('Import returns payloads without affecting queue', () => {
   actionSync.destroy();
 });
 
-test('Error handling', () => {
+test('Error handling', async () => {
   const actionSync = new ActionSync({
     serverUrl: 'https://test.com',
     deviceId: 'test-device',
     autoSync: false
   });
   
-  expect(() => actionSync.import('invalid json')).toThrow('Import failed');
+  await expect(actionSync.import('invalid json')).rejects.toThrow('Import failed');
   
   actionSync.destroy();
 });
@@ -310,6 +339,8 @@ test('Action filtering and deduplication', () => {
   actionSync.destroy();
 });
 
+await runTests();
+
 // Print results
 console.log(`\n📊 Test Results:`);
 console.log(`   Total: ${testCount}`);
@@ -0,0 +1,219 @@
+/**
+ * ActionSync Server Storage Backend Tests
+ */
+import { describe, test, expect, beforeEach, afterEach } from '@jest/globals';
+import os from 'os';
+import path from 'path';
+import fs from 'fs';
+import request from 'supertest';
+import { MemoryServerStorage, FileServerStorage } from '../server-storage.js';
+import app, { setServerStorage, getServerStorage } from '../server.js';
+
+const action = (actionId, extra = {}) => ({ actionId, timestamp: 1, payload: { type: actionId }, ...extra });
+
+/**
+ * Shared contract every server storage backend must satisfy
+ * @param {Function} createBackend - Returns a fresh, initialized backend
+ */
+function describeBackendContract(createBackend) {
+  let backend;
+
+  beforeEach(async () => {
+    backend = await createBackend();
+  });
+
+  afterEach(async () => {
+    await backend.close();
+  });
+
+  test('should assign increasing sequence numbers and skip duplicates', async () => {
+    const first = await backend.appendActions('device-1', [action('a'), action('b')]);
+    const second = await backend.appendActions('device-1', [action('b'), action('c')]);
+
+    expect(first.storedActions.map(stored => stored.seq)).toEqual([1, 2]);
+    expect(first.storedActions[0]).toMatchObject({ actionId: 'a', sourceDevice: 'device-1', receivedAt: expect.any(Number) });
+    expect(second.duplicateActionIds).toEqual(['b']);
+    expect(second.storedActions.map(stored => stored.seq)).toEqual([3]);
+    expect(await backend.getHeadSequence()).toBe(3);
+  });
+
+  test('should serialize concurrent appends', async () => {
+    const results = await Promise.all([
+      backend.appendActions('device-1', [action('a'), action('b')]),
+      backend.appendActions('device-2', [action('c')])
+    ]);
+
+    const seqs = results.flatMap(result => result.storedActions.map(stored => stored.seq)).sort();
+    expect(seqs).toEqual([1, 2, 3]);
+  });
+
+  test('should read pages after a sequence number without the reader\'s own actions', async () => {
+    await backend.appendActions('device-1', [action('a'), action('b')]);
+    await backend.appendActions('device-2', [action('c')]);
+    await backend.appendActions('device-1', [action('d')]);
+
+    const page = await backend.readActions({ afterSeq: 1, excludeDeviceId: 'device-2', limit: 1 });
+    expect(page.actions.map(stored => stored.actionId)).toEqual(['b']);
+    expect(page).toMatchObject({ lastSeq: 2, hasMore: true });
+
+    const rest = await backend.readActions({ afterSeq: page.lastSeq, excludeDeviceId: 'device-2', limit: 10 });
+    expect(rest.actions.map(stored => stored.actionId)).toEqual(['d']);
+    expect(rest).toMatchObject({ lastSeq: 4, hasMore: false });
+  });
+
+  test('should store and read each channel separately', async () => {
+    await backend.appendActions('device-1', [action('a')], 'doc-1');
+    await backend.appendActions('device-1', [action('a')], 'doc-2');
+    await backend.appendActions('device-1', [action('b')]);
+
+    const doc2 = await backend.readActions({ channel: 'doc-2', afterSeq: 0, limit: 10 });
+    expect(doc2.actions).toEqual([expect.objectContaining({ actionId: 'a', seq: 2, channel: 'doc-2' })]);
+    expect(doc2).toMatchObject({ lastSeq: 2, hasMore: false });
+
+    const fallback = await backend.readActions({ afterSeq: 0, limit: 10 });
+    expect(fallback.actions.map(stored => [stored.actionId, stored.channel])).toEqual([['b', 'default']]);
+
+    expect((await backend.appendActions('device-1', [action('a')], 'doc-1')).duplicateActionIds).toEqual(['a']);
+    expect((await backend.getStats()).channels).toEqual({ 'doc-1': 1, 'doc-2': 1, default: 1 });
+  });
+
+  test('should report device actions and stats', async () => {
+    await backend.appendActions('device-1', [action('a'), action('b')]);
+    await backend.appendActions('device-2', [action('c')]);
+
+    expect((await backend.getDeviceActions('device-1')).map(stored => stored.actionId)).toEqual(['a', 'b']);
+
+    const stats = await backend.getStats();
+    expect(stats).toMatchObject({ totalActions: 3, devices: { 'device-1': 2, 'device-2': 1 }, channels: { default: 3 } });
+    expect(Object.keys(stats.lastSync)).toEqual(['device-1', 'device-2']);
+    expect(stats.recentActions.map(stored => stored.actionId)).toEqual(['a', 'b', 'c']);
+  });
+
+  test('should clear all actions and metadata', async () => {
+    await backend.appendActions('device-1', [action('a')]);
+    await backend.clear();
+
+    expect(await backend.getHeadSequence()).toBe(0);
+    expect((await backend.getStats()).totalActions).toBe(0);
+    expect((await backend.appendActions('device-1', [action('a')])).storedActions).toHaveLength(1);
+  });
+
+  test('should start a new epoch when cleared', async () => {
+    const epoch = await backend.getEpoch();
+    expect(epoch).toMatch(/^[0-9a-z]{6}$/);
+    expect(await backend.getEpoch()).toBe(epoch);
+
+    await backend.clear();
+    expect(await backend.getEpoch()).not.toBe(epoch);
+  });
+}
+
+describe('Server Storage Backends', () => {
+  describe('MemoryServerStorage', () => {
+    describeBackendContract(async () => {
+      const backend = new MemoryServerStorage();
+      await backend.init();
+      return backend;
+    });
+  });
+
+  describe('FileServerStorage', () => {
+    let directory;
+
+    beforeEach(() => {
+      directory = fs.mkdtempSync(path.join(os.tmpdir(), 'actionsync-server-'));
+    });
+
+    afterEach(() => {
+      fs.rmSync(directory, { recursive: true, force: true });
+    });
+
+    describeBackendContract(async () => {
+      const backend = new FileServerStorage({ filePath: path.join(directory, 'actions.jsonl') });
+      await backend.init();
+      return backend;
+    });
+
+    test('should rebuild sequence, dedupe and metadata on init', async () => {
+      const filePath = path.join(directory, 'actions.jsonl');
+      const first = new FileServerStorage({ filePath });
+      await first.init();
+      await first.appendActions('device-1', [action('a'), action('b')]);
+      await first.appendActions('device-1', [action('a')], 'doc-1');
+      await first.close();
+
+      const second = new FileServerStorage({ filePath });
+      await second.init();
+      try {
+        expect(await second.getHeadSequence()).toBe(3);
+        expect(await second.getEpoch()).toBe(await first.getEpoch());
+        expect((await second.appendActions('device-1', [action('a')])).duplicateActionIds).toEqual(['a']);
+        expect((await second.readActions({ channel: 'doc-1' })).actions.map(stored => stored.seq)).toEqual([3]);
+        expect(Object.keys((await second.getStats()).lastSync)).toEqual(['device-1']);
+      } finally {
+        await second.close();
+      }
+    });
+  });
+
+  describe('Custom backends', () => {
+    afterEach(async () => {
+      await setServerStorage(new MemoryServerStorage());
+    });
+
+    test('should serve routes from the backend set at startup', async () => {
+      class RecordingStorage extends MemoryServerStorage {
+        async appendActions(deviceId, actions) {
+          this.appended = (this.appended || 0) + actions.length;
+          return super.appendActions(deviceId, actions);
+        }
+      }
+      const backend = await setServerStorage(new RecordingStorage());
+      expect(getServerStorage()).toBe(backend);
+
+      await request(app)
+        .post('/sync')
+        .send({ deviceId: 'device-1', lastActionId: '0', actions: [action('custom')] })
+        .expect(200);
+
+      expect(backend.appended).toBe(1);
+      const stats = await request(app).get('/stats').expect(200);
+      expect(stats.body.recentActions).toEqual([
+        expect.objectContaining({ id: 'custom', serverId: `c${backend.epoch}0000000001`, device: 'device-1' })
+      ]);
+    });
+
+    test('should not move the cursor past actions appended while a page is read', async () => {
+      class SlowReadStorage extends MemoryServerStorage {
+        async readActions(options) {
+          const page = await super.readActions(options);
+          await delay(50);
+          return page;
+        }
+      }
+      await setServerStorage(new SlowReadStorage());
+
+      const pull = request(app).post('/sync').send({ deviceId: 'device-a', lastActionId: '0', actions: [] });
+      const appended = delay(10).then(() => request(app)
+        .post('/sync')
+        .send({ deviceId: 'device-b', lastActionId: '0', actions: [action('b1')] }));
+      const [first] = await Promise.all([pull, appended]);
+
+      const second = await request(app)
+        .post('/sync')
+        .send({ deviceId: 'device-a', lastActionId: first.body.lastActionId, actions: [] })
+        .expect(200);
+
+      const received = [...first.body.actions, ...second.body.actions].map(stored => stored.actionId);
+      expect(received).toEqual(['b1']);
+    });
+
+    test('should answer 500 when the backend fails', async () => {
+      const failing = new MemoryServerStorage();
+      failing.getStats = async () => { throw new Error('database unavailable'); };
+      await setServerStorage(failing);
+
+      await request(app).get('/stats').expect(500);
+    });
+  });
+});
@@ -2,8 +2,11 @@
  * ActionSync Server Tests
  */
 import { jest, describe, test, expect, beforeEach, afterEach } from '@jest/globals';
+import fs from 'fs';
+import os from 'os';
+import path from 'path';
 import request from 'supertest';
-import app from '../server.js';
+import app, { createServer, createTokenVerifier, loadServerConfig, MemoryServerStorage } from '../server.js';
 
 describe('ActionSync Server', () => {
   beforeEach(async () => {
@@ -289,6 +292,300 @@ describe('ActionSync Server', () => {
         })
         .expect(400);
     });
+
+    test('should acknowledge valid actions and reject invalid ones individually', async () => {
+      const response = await request(app)
+        .post('/sync')
+        .send({
+          deviceId: 'ack-device',
+          lastActionId: '0',
+          actions: [
+            { actionId: 'good-1', timestamp: Date.now(), deviceId: 'ack-device', payload: { type: 'OK' } },
+            { actionId: 'bad-timestamp', timestamp: 'yesterday', deviceId: 'ack-device', payload: { type: 'BAD' } },
+            { timestamp: Date.now(), deviceId: 'ack-device', payload: { type: 'NO_ID' } },
+            { actionId: 'no-payload', timestamp: Date.now(), deviceId: 'ack-device' }
+          ]
+        })
+        .expect(200);
+
+      expect(response.body.acceptedActionIds).toEqual(['good-1']);
+      expect(response.body.rejected).toEqual([
+        { actionId: 'bad-timestamp', error: 'timestamp must be a number' },
+        { actionId: null, error: 'actionId is required' },
+        { actionId: 'no-payload', error: 'payload is required' }
+      ]);
+
+      const stats = await request(app).get('/stats');
+      expect(stats.body.totalActions).toBe(1);
+    });
+
+    test('should return increasing cursors and serve pulls after them', async () => {
+      const send = (deviceId, actionId, lastActionId = '0') => request(app)
+        .post('/sync')
+        .send({
+          deviceId,
+          lastActionId,
+          actions: actionId ? [{ actionId, timestamp: Date.now(), deviceId, payload: { type: actionId } }] : []
+        })
+        .expect(200);
+
+      const cursors = [];
+      for (const [deviceId, actionId] of [['device-1', 'a'], ['device-2', 'b'], ['device-1', 'c']]) {
+        cursors.push((await send(deviceId, actionId)).body.lastActionId);
+      }
+      expect([...cursors].sort()).toEqual(cursors);
+      expect(new Set(cursors).size).toBe(3);
+
+      const afterFirst = await send('device-3', null, cursors[0]);
+      expect(afterFirst.body.actions.map(action => action.actionId)).toEqual(['b', 'c']);
+      expect(afterFirst.body.lastActionId).toBe(cursors[2]);
+
+      const atHead = await send('device-3', null, cursors[2]);
+      expect(atHead.body.actions).toEqual([]);
+    });
+
+    test('should page pulls by limit and report hasMore', async () => {
+      await request(app)
+        .post('/sync')
+        .send({
+          deviceId: 'busy-device',
+          lastActionId: '0',
+          actions: [1, 2, 3, 4, 5].map(n => ({ actionId: `busy-${n}`, timestamp: n, payload: { n } }))
+        })
+        .expect(200);
+
+      const pages = [];
+      let cursor = '0';
+      let hasMore = true;
+      while (hasMore) {
+        const response = await request(app)
+          .post('/sync')
+          .send({ deviceId: 'returning-device', lastActionId: cursor, actions: [], limit: 2 })
+          .expect(200);
+        pages.push(response.body.actions.map(action => action.actionId));
+        ({ lastActionId: cursor, hasMore } = response.body);
+      }
+
+      expect(pages).toEqual([['busy-1', 'busy-2'], ['busy-3', 'busy-4'], ['busy-5']]);
+
+      await request(app)
+        .post('/sync')
+        .send({ deviceId: 'returning-device', lastActionId: '0', actions: [], limit: 0 })
+        .expect(400);
+    });
+
+    test('should reject unknown cursors without storing the actions', async () => {
+      const unknown = await request(app)
+        .post('/sync')
+        .send({
+          deviceId: 'device-1',
+          lastActionId: 'server-1700000000000-4',
+          actions: [{ actionId: 'not-stored', timestamp: Date.now(), payload: { type: 'X' } }]
+        })
+        .expect(400);
+      expect(unknown.body).toMatchObject({ success: false, code: 'INVALID_CURSOR' });
+
+      const stored = await request(app)
+        .post('/sync')
+        .send({
+          deviceId: 'device-1',
+          lastActionId: '0',
+          actions: [{ actionId: 'stored', timestamp: Date.now(), payload: { type: 'Y' } }]
+        })
+        .expect(200);
+      const staleCursor = stored.body.lastActionId;
+
+      // After a reset the old cursor is past the head of the log
+      await request(app).post('/clear');
+      const stale = await request(app)
+        .post('/sync')
+        .send({ deviceId: 'device-2', lastActionId: staleCursor, actions: [] })
+        .expect(400);
+      expect(stale.body.code).toBe('INVALID_CURSOR');
+
+      const stats = await request(app).get('/stats');
+      expect(stats.body.totalActions).toBe(0);
+    });
+
+    test('should reject cursors from before a clear even once the log has grown past them', async () => {
+      const send = (deviceId, actionId, lastActionId = '0') => request(app)
+        .post('/sync')
+        .send({ deviceId, lastActionId, actions: actionId ? [{ actionId, timestamp: Date.now(), payload: { type: 'X' } }] : [] });
+
+      const staleCursor = (await send('device-1', 'before-clear')).body.lastActionId;
+      await request(app).post('/clear');
+      await send('device-1', 'after-clear-1');
+      await send('device-1', 'after-clear-2');
+
+      const stale = await send('device-2', null, staleCursor).expect(400);
+      expect(stale.body.code).toBe('INVALID_CURSOR');
+
+      const fresh = await send('device-2', null).expect(200);
+      expect(fresh.body.actions.map(action => action.actionId)).toEqual(['after-clear-1', 'after-clear-2']);
+    });
+
+    test('should store a retried action only once and still acknowledge it', async () => {
+      const syncBody = {
+        deviceId: 'retrying-device',
+        lastActionId: '0',
+        actions: [
+          { actionId: 'retry-1', timestamp: Date.now(), deviceId: 'retrying-device', payload: { type: 'ONCE' } }
+        ]
+      };
+
+      const first = await request(app).post('/sync').send(syncBody).expect(200);
+      const retry = await request(app).post('/sync').send(syncBody).expect(200);
+
+      expect(first.body.duplicateActionIds).toEqual([]);
+      expect(retry.body.acceptedActionIds).toEqual(['retry-1']);
+      expect(retry.body.duplicateActionIds).toEqual(['retry-1']);
+
+      const other = await request(app)
+        .post('/sync')
+        .send({ deviceId: 'other-device', lastActionId: '0', actions: [] })
+        .expect(200);
+      expect(other.body.actions.map(action => action.actionId)).toEqual(['retry-1']);
+    });
+
+    test('should dedupe repeated actions within one batch per device', async () => {
+      const action = { actionId: 'same-id', timestamp: Date.now(), payload: { type: 'SAME' } };
+
+      const response = await request(app)
+        .post('/sync')
+        .send({ deviceId: 'device-a', lastActionId: '0', actions: [action, action] })
+        .expect(200);
+      expect(response.body.duplicateActionIds).toEqual(['same-id']);
+
+      // The same actionId from another device is a different action
+      await request(app)
+        .post('/sync')
+        .send({ deviceId: 'device-b', lastActionId: '0', actions: [action] })
+        .expect(200);
+
+      const stats = await request(app).get('/stats');
+      expect(stats.body.totalActions).toBe(2);
+    });
+
+    test('should store action groups whole and serve them with their group', async () => {
+      const member = (index, extra = {}) => ({
+        actionId: `g-${index}`,
+        timestamp: Date.now(),
+        payload: { type: 'GROUPED', index },
+        group: { id: 'g-0', size: 2, index },
+        ...extra
+      });
+
+      // A group with an invalid member, or missing one, is rejected entirely
+      const broken = await request(app)
+        .post('/sync')
+        .send({ deviceId: 'device-a', lastActionId: '0', actions: [member(0), member(1, { timestamp: 'late' })] })
+        .expect(200);
+      expect(broken.body.acceptedActionIds).toEqual([]);
+      expect(broken.body.rejected).toEqual([
+        { actionId: 'g-1', error: 'timestamp must be a number' },
+        { actionId: 'g-0', error: 'group g-0 is incomplete' }
+      ]);
+
+      const partial = await request(app)
+        .post('/sync')
+        .send({ deviceId: 'device-a', lastActionId: '0', actions: [member(0)] })
+        .expect(200);
+      expect(partial.body.acceptedActionIds).toEqual([]);
+
+      const malformed = await request(app)
+        .post('/sync')
+        .send({ deviceId: 'device-a', lastActionId: '0', actions: [member(0, { group: { id: 'g-0', size: 1, index: 1 } })] })
+        .expect(200);
+      expect(malformed.body.rejected[0].error).toBe('group must be { id, size, index }');
+
+      const whole = await request(app)
+        .post('/sync')
+        .send({ deviceId: 'device-a', lastActionId: '0', actions: [member(0), member(1)] })
+        .expect(200);
+      expect(whole.body.acceptedActionIds).toEqual(['g-0', 'g-1']);
+
+      const pulled = await request(app)
+        .post('/sync')
+        .send({ deviceId: 'device-b', lastActionId: '0', actions: [] })
+        .expect(200);
+      expect(pulled.body.actions.map(action => action.group)).toEqual([
+        { id: 'g-0', size: 2, index: 0 },
+        { id: 'g-0', size: 2, index: 1 }
+      ]);
+    });
+  });
+
+  describe('Channels', () => {
+    const sync = (deviceId, channel, actions = [], lastActionId = '0') => request(app)
+      .post('/sync')
+      .send({ deviceId, channel, lastActionId, actions });
+    const action = (actionId) => ({ actionId, timestamp: Date.now(), payload: { type: 'CHANNEL' } });
+
+    test('should only serve a channel\'s own actions', async () => {
+      await sync('writer', 'doc-1', [action('doc-1-action')]).expect(200);
+      await sync('writer', 'doc-2', [action('doc-2-action')]).expect(200);
+      await sync('writer', undefined, [action('default-action')]).expect(200);
+
+      const doc1 = await sync('reader', 'doc-1').expect(200);
+      const doc2 = await sync('reader', 'doc-2').expect(200);
+      const fallback = await sync('reader', undefined).expect(200);
+
+      expect(doc1.body.channel).toBe('doc-1');
+      expect(doc1.body.actions.map(a => a.actionId)).toEqual(['doc-1-action']);
+      expect(doc2.body.actions.map(a => a.actionId)).toEqual(['doc-2-action']);
+      expect(fallback.body).toMatchObject({ channel: 'default', actions: [expect.objectContaining({ actionId: 'default-action' })] });
+    });
+
+    test('should keep cursors independent per channel', async () => {
+      await sync('writer', 'doc-1', [action('first')]).expect(200);
+      const caughtUp = await sync('reader', 'doc-1').expect(200);
+
+      await sync('writer', 'doc-2', [action('elsewhere')]).expect(200);
+      await sync('writer', 'doc-1', [action('second')]).expect(200);
+
+      const next = await sync('reader', 'doc-1', [], caughtUp.body.lastActionId).expect(200);
+      expect(next.body.actions.map(a => a.actionId)).toEqual(['second']);
+    });
+
+    test('should page through a channel without stopping at other channels\' actions', async () => {
+      await sync('writer', 'doc-1', [action('a'), action('b')]).expect(200);
+      await sync('writer', 'doc-2', [action('c'), action('d')]).expect(200);
+      await sync('writer', 'doc-1', [action('e')]).expect(200);
+
+      const first = await request(app)
+        .post('/sync')
+        .send({ deviceId: 'reader', channel: 'doc-1', lastActionId: '0', actions: [], limit: 2 })
+        .expect(200);
+      expect(first.body.actions.map(a => a.actionId)).toEqual(['a', 'b']);
+      expect(first.body.hasMore).toBe(true);
+
+      const second = await request(app)
+        .post('/sync')
+        .send({ deviceId: 'reader', channel: 'doc-1', lastActionId: first.body.lastActionId, actions: [], limit: 2 })
+        .expect(200);
+      expect(second.body.actions.map(a => a.actionId)).toEqual(['e']);
+      expect(second.body.hasMore).toBe(false);
+    });
+
+    test('should store the same action ID once per channel', async () => {
+      await sync('writer', 'doc-1', [action('shared-id')]).expect(200);
+      const other = await sync('writer', 'doc-2', [action('shared-id')]).expect(200);
+      expect(other.body.duplicateActionIds).toEqual([]);
+
+      const stats = await request(app).get('/stats').expect(200);
+      expect(stats.body.channels).toEqual({ 'doc-1': 1, 'doc-2': 1 });
+      expect(stats.body.recentActions.map(a => a.channel)).toEqual(['doc-1', 'doc-2']);
+    });
+
+    test('should reject invalid channel names', async () => {
+      for (const channel of ['', 'has space', 42, 'x'.repeat(129)]) {
+        const response = await sync('writer', channel, [action('never-stored')]).expect(400);
+        expect(response.body.error).toMatch('channel');
+      }
+
+      const stats = await request(app).get('/stats');
+      expect(stats.body.totalActions).toBe(0);
+    });
   });
 
   describe('Device Actions Endpoint', () => {
@@ -323,6 +620,13 @@ describe('ActionSync Server', () => {
           })
         ])
       });
+
+      // serverId is a valid cursor: pulling after it skips the action
+      const pull = await request(app)
+        .post('/sync')
+        .send({ deviceId: 'other-device', lastActionId: response.body.actions[0].serverId, actions: [] })
+        .expect(200);
+      expect(pull.body.actions).toEqual([]);
     });
 
     test('should return empty array for device with no actions', async () => {
@@ -352,4 +656,267 @@ describe('ActionSync Server', () => {
         .expect(400);
     });
   });
-}); 
\ No newline at end of file
+
+
+  describe('createServer', () => {
+    const silentLogger = { log: () => {}, warn: () => {}, error: () => {} };
+    const syncBody = (deviceId, actionId) => ({
+      deviceId,
+      lastActionId: '0',
+      actions: [{ actionId, timestamp: 1, payload: { type: 'TEST' } }]
+    });
+
+    test('should give each instance its own storage', async () => {
+      const first = createServer({ logger: silentLogger });
+      const second = createServer({ logger: silentLogger });
+
+      await request(first).post('/sync').send(syncBody('device-1', 'only-first')).expect(200);
+
+      expect((await request(first).get('/stats')).body.totalActions).toBe(1);
+      expect((await request(second).get('/stats')).body.totalActions).toBe(0);
+      expect((await request(app).get('/stats')).body.totalActions).toBe(0);
+    });
+
+    test('should use the storage backend and logger it is given', async () => {
+      const storage = new MemoryServerStorage();
+      const logger = { log: jest.fn(), warn: jest.fn(), error: jest.fn() };
+      const server = createServer({ storage, logger });
+
+      await request(server).post('/sync').send(syncBody('device-1', 'logged')).expect(200);
+
+      expect(server.getStorage()).toBe(storage);
+      expect(await storage.getHeadSequence()).toBe(1);
+      expect(logger.log).toHaveBeenCalledWith('Stored 1 actions from device device-1', { channel: 'default', duplicates: 0 });
+    });
+
+    test('should answer 413 for bodies over the limit', async () => {
+      const server = createServer({ bodyLimit: '1kb', logger: silentLogger });
+
+      const response = await request(server)
+        .post('/sync')
+        .send({ deviceId: 'device-1', lastActionId: '0', actions: [{ padding: 'x'.repeat(2048) }] })
+        .expect(413);
+
+      expect(response.body.success).toBe(false);
+    });
+
+    test('should only allow the configured CORS origins', async () => {
+      const server = createServer({ corsOrigins: ['https://app.example.com'], logger: silentLogger });
+
+      const allowed = await request(server).get('/health').set('Origin', 'https://app.example.com');
+      const other = await request(server).get('/health').set('Origin', 'https://evil.example.com');
+
+      expect(allowed.headers['access-control-allow-origin']).toBe('https://app.example.com');
+      expect(other.headers['access-control-allow-origin']).toBeUndefined();
+    });
+
+    test('should answer 500 when the storage backend fails to load', async () => {
+      const storage = new MemoryServerStorage();
+      storage.init = async () => { throw new Error('database unavailable'); };
+      const server = createServer({ storage, logger: silentLogger });
+
+      await request(server).get('/health').expect(500);
+      const sync = await request(server).post('/sync').send(syncBody('device-1', 'lost')).expect(500);
+      expect(sync.body).toMatchObject({ success: false, error: 'Internal server error' });
+    });
+
+    test('should start on the given port and close cleanly', async () => {
+      const storage = new MemoryServerStorage();
+      storage.close = jest.fn(async () => {});
+      const server = createServer({ port: 0, storage, logger: silentLogger });
+
+      const httpServer = await server.start();
+      try {
+        await request(httpServer).get('/health').expect(200);
+        await expect(server.start()).rejects.toThrow('Server is already started');
+      } finally {
+        await server.close();
+      }
+
+      expect(httpServer.listening).toBe(false);
+      expect(storage.close).toHaveBeenCalled();
+    });
+  });
+
+  describe('Authentication', () => {
+    const silentLogger = { log: () => {}, warn: () => {}, error: () => {} };
+    let server;
+
+    const syncAs = (token, body) => {
+      const req = request(server).post('/sync');
+      if (token) {
+        req.set('Authorization', `Bearer ${token}`);
+      }
+      return req.send({ lastActionId: '0', actions: [], ...body });
+    };
+
+    beforeEach(() => {
+      server = createServer({
+        logger: silentLogger,
+        auth: {
+          verifyToken: createTokenVerifier({
+            'admin-token': { admin: true },
+            'phone-token': { deviceIds: ['phone'], channels: ['default', 'notes'] },
+            'any-device-token': {}
+          })
+        }
+      });
+    });
+
+    test('should require a valid bearer token for /sync', async () => {
+      const missing = await syncAs(null, { deviceId: 'phone' }).expect(401);
+      expect(missing.headers['www-authenticate']).toBe('Bearer');
+      expect(missing.body).toEqual({ success: false, error: 'Authentication required' });
+
+      const invalid = await syncAs('wrong-token', { deviceId: 'phone' }).expect(401);
+      expect(invalid.body.error).toBe('Invalid token');
+
+      await request(server).post('/sync').set('Authorization', 'Basic cGhvbmU6eA==').send({ deviceId: 'phone', actions: [] }).expect(401);
+      await syncAs('phone-token', { deviceId: 'phone' }).expect(200);
+      await syncAs('any-device-token', { deviceId: 'laptop', channel: 'anything' }).expect(200);
+    });
+
+    test('should limit principals to their devices and channels', async () => {
+      const otherDevice = await syncAs('phone-token', { deviceId: 'laptop' }).expect(403);
+      expect(otherDevice.body.error).toBe('Not allowed to sync as this device');
+
+      const otherChannel = await syncAs('phone-token', { deviceId: 'phone', channel: 'secrets' }).expect(403);
+      expect(otherChannel.body.error).toBe('Not allowed to sync this channel');
+
+      await syncAs('phone-token', { deviceId: 'phone', channel: 'notes' }).expect(200);
+      await syncAs('admin-token', { deviceId: 'laptop', channel: 'secrets' }).expect(200);
+    });
+
+    test('should reject actions sent on behalf of another device', async () => {
+      const response = await syncAs('phone-token', {
+        deviceId: 'phone',
+        actions: [
+          { actionId: 'forged', deviceId: 'laptop', timestamp: 1, payload: { type: 'FORGED' } },
+          { actionId: 'own', deviceId: 'phone', timestamp: 2, payload: { type: 'OWN' } }
+        ]
+      }).expect(200);
+
+      expect(response.body.acceptedActionIds).toEqual(['own']);
+      expect(response.body.rejected).toEqual([{ actionId: 'forged', error: 'deviceId must match the request deviceId' }]);
+
+      const pull = await syncAs('admin-token', { deviceId: 'laptop' }).expect(200);
+      expect(pull.body.actions.map(action => action.actionId)).toEqual(['own']);
+    });
+
+    test('should restrict /clear, /stats and device actions to admins', async () => {
+      for (const [method, path] of [['post', '/clear'], ['get', '/stats'], ['get', '/device/phone/actions']]) {
+        await request(server)[method](path).expect(401);
+        const forbidden = await request(server)[method](path).set('Authorization', 'Bearer phone-token').expect(403);
+        expect(forbidden.body.error).toBe('Admin access required');
+        await request(server)[method](path).set('Authorization', 'Bearer admin-token').expect(200);
+      }
+
+      await request(server).get('/health').expect(200);
+    });
+
+    test('should pass the token and request to a custom verifier', async () => {
+      const verifyToken = jest.fn(async (token) => (token === 'custom' ? { deviceIds: ['phone'] } : null));
+      server = createServer({ logger: silentLogger, auth: { verifyToken } });
+
+      await syncAs('custom', { deviceId: 'phone' }).expect(200);
+      await syncAs('other', { deviceId: 'phone' }).expect(401);
+
+      expect(verifyToken).toHaveBeenCalledWith('custom', expect.objectContaining({ method: 'POST', path: '/sync' }));
+    });
+
+    test('should answer 500 when the verifier fails', async () => {
+      server = createServer({
+        logger: silentLogger,
+        auth: { verifyToken: async () => { throw new Error('identity provider down'); } }
+      });
+
+      await syncAs('any', { deviceId: 'phone' }).expect(500);
+    });
+  });
+
+  describe('loadServerConfig', () => {
+    let directory;
+
+    beforeEach(() => {
+      directory = fs.mkdtempSync(path.join(os.tmpdir(), 'actionsync-config-'));
+    });
+
+    afterEach(() => {
+      fs.rmSync(directory, { recursive: true, force: true });
+    });
+
+    test('should default to port 3000, 10mb bodies and any origin', () => {
+      expect(loadServerConfig([], {})).toEqual({
+        port: 3000,
+        bodyLimit: '10mb',
+        corsOrigins: '*',
+        logFile: null,
+        tokens: null
+      });
+    });
+
+    test('should read flags in both forms', () => {
+      const config = loadServerConfig([
+        '--port', '8080',
+        '--body-limit=2mb',
+        '--cors-origin', 'https://a.example.com,https://b.example.com',
+        '--cors-origin=https://c.example.com',
+        '--log-file', './data/actions.jsonl'
+      ], {});
+
+      expect(config).toEqual({
+        port: 8080,
+        bodyLimit: '2mb',
+        corsOrigins: ['https://a.example.com', 'https://b.example.com', 'https://c.example.com'],
+        logFile: './data/actions.jsonl',
+        tokens: null
+      });
+    });
+
+    test('should let flags override the environment and the environment override the config file', () => {
+      const configPath = path.join(directory, 'server.json');
+      fs.writeFileSync(configPath, JSON.stringify({
+        port: 4000,
+        bodyLimit: '1mb',
+        corsOrigins: ['https://file.example.com'],
+        logFile: 'file.jsonl'
+      }));
+
+      const fromFile = loadServerConfig([], { ACTIONSYNC_CONFIG: configPath, PORT: '5000' });
+      expect(fromFile).toEqual({
+        port: 5000,
+        bodyLimit: '1mb',
+        corsOrigins: ['https://file.example.com'],
+        logFile: 'file.jsonl',
+        tokens: null
+      });
+
+      const fromFlags = loadServerConfig(['--config', configPath, '--port', '6000'], { PORT: '5000' });
+      expect(fromFlags.port).toBe(6000);
+    });
+
+    test('should read tokens from the config file and the admin token from the environment', () => {
+      const configPath = path.join(directory, 'server.json');
+      fs.writeFileSync(configPath, JSON.stringify({
+        tokens: { 'user-token': { deviceIds: ['phone'] } },
+        adminToken: 'file-admin'
+      }));
+
+      expect(loadServerConfig(['--config', configPath], {}).tokens).toEqual({
+        'user-token': { deviceIds: ['phone'] },
+        'file-admin': { admin: true }
+      });
+      expect(loadServerConfig([], { ACTIONSYNC_ADMIN_TOKEN: 'env-admin' }).tokens).toEqual({
+        'env-admin': { admin: true }
+      });
+    });
+
+    test('should reject unknown flags, missing values, bad ports and unreadable config files', () => {
+      expect(() => loadServerConfig(['--verbose'], {})).toThrow('Unknown option: --verbose');
+      expect(() => loadServerConfig(['--port'], {})).toThrow('Missing value for --port');
+      expect(() => loadServerConfig(['--port', 'http'], {})).toThrow('Invalid port: http');
+      expect(() => loadServerConfig(['--config', path.join(directory, 'missing.json')], {}))
+        .toThrow('Could not read config file');
+    });
+  });
+});
@@ -108,4 +108,15 @@ global.createMockResponse = (data, status = 200) => {
 };
 
 // Utility function to simulate network delay
-global.delay = (ms = 10) => new Promise(resolve => setTimeout(resolve, ms)); 
\ No newline at end of file
+global.delay = (ms = 10) => new Promise(resolve => setTimeout(resolve, ms)); 
+
+// Utility function to wait until a condition holds, failing after a timeout
+global.waitFor = async (condition, timeout = 2000) => {
+  const start = Date.now();
+  while (!condition()) {
+    if (Date.now() - start > timeout) {
+      throw new Error('Timed out waiting for condition');
+    }
+    await delay(10);
+  }
+};
@@ -0,0 +1,174 @@
+/**
+ * ActionSync Storage Adapter Tests
+ */
+import { describe, test, expect, beforeEach, afterEach } from '@jest/globals';
+import os from 'os';
+import path from 'path';
+import { promises as fs } from 'fs';
+import {
+  ChromeStorageAdapter,
+  LocalStorageAdapter,
+  IndexedDBStorageAdapter,
+  MemoryStorageAdapter,
+  FileStorageAdapter
+} from '../storage-adapters.js';
+
+/**
+ * Shared contract every adapter must satisfy
+ * @param {Function} createAdapter - Returns a fresh adapter
+ */
+function describeAdapterContract(createAdapter) {
+  test('should return undefined for missing keys', async () => {
+    const adapter = await createAdapter();
+    expect(await adapter.get('missing')).toBeUndefined();
+  });
+
+  test('should round-trip JSON values', async () => {
+    const adapter = await createAdapter();
+    const value = { actionQueue: [{ actionId: 'a1', payload: { type: 'TEST' } }], lastActionId: '7' };
+
+    await adapter.set('state', value);
+
+    expect(await adapter.get('state')).toEqual(value);
+  });
+
+  test('should remove one or many keys', async () => {
+    const adapter = await createAdapter();
+    await adapter.set('a', 1);
+    await adapter.set('b', 2);
+    await adapter.set('c', 3);
+
+    await adapter.remove('a');
+    await adapter.remove(['b', 'c']);
+
+    expect(await adapter.get('a')).toBeUndefined();
+    expect(await adapter.get('b')).toBeUndefined();
+    expect(await adapter.get('c')).toBeUndefined();
+  });
+}
+
+/**
+ * Minimal in-memory stand-in for the parts of IndexedDB the adapter uses.
+ * Requests and transactions complete asynchronously, as in browsers.
+ * @returns {Object} indexedDB-like factory
+ */
+function createFakeIndexedDB() {
+  const databases = new Map();
+  const copy = value => (value === undefined ? undefined : JSON.parse(JSON.stringify(value)));
+
+  const createDatabase = () => {
+    const stores = new Map();
+    return {
+      createObjectStore: storeName => stores.set(storeName, new Map()),
+      transaction: storeName => {
+        const data = stores.get(storeName);
+        const run = operation => ({ result: operation() });
+        const transaction = {
+          objectStore: () => ({
+            get: key => run(() => copy(data.get(key))),
+            put: (value, key) => run(() => { data.set(key, copy(value)); return key; }),
+            delete: key => run(() => { data.delete(key); })
+          })
+        };
+        setTimeout(() => transaction.oncomplete());
+        return transaction;
+      }
+    };
+  };
+
+  return {
+    open: name => {
+      const request = {};
+      setTimeout(() => {
+        const upgrade = !databases.has(name);
+        if (upgrade) {
+          databases.set(name, createDatabase());
+        }
+        request.result = databases.get(name);
+        if (upgrade) {
+          request.onupgradeneeded();
+        }
+        request.onsuccess();
+      });
+      return request;
+    }
+  };
+}
+
+describe('Storage Adapters', () => {
+  describe('MemoryStorageAdapter', () => {
+    describeAdapterContract(() => new MemoryStorageAdapter());
+
+    test('should not share references with callers', async () => {
+      const adapter = new MemoryStorageAdapter();
+      const queue = [{ actionId: 'a1' }];
+
+      await adapter.set('queue', queue);
+      queue.push({ actionId: 'a2' });
+
+      expect(await adapter.get('queue')).toHaveLength(1);
+    });
+  });
+
+  describe('LocalStorageAdapter', () => {
+    beforeEach(() => localStorage.clear());
+
+    describeAdapterContract(() => new LocalStorageAdapter());
+
+    test('should store values as JSON strings', async () => {
+      const adapter = new LocalStorageAdapter();
+      await adapter.set('key', { a: 1 });
+      expect(localStorage.getItem('key')).toBe('{"a":1}');
+    });
+  });
+
+  describe('ChromeStorageAdapter', () => {
+    describeAdapterContract(() => new ChromeStorageAdapter());
+
+    test('should reject when chrome.runtime.lastError is set', async () => {
+      const adapter = new ChromeStorageAdapter();
+      chrome.runtime.lastError = new Error('Storage quota exceeded');
+
+      await expect(adapter.set('key', 1)).rejects.toThrow('Storage quota exceeded');
+    });
+  });
+
+  describe('IndexedDBStorageAdapter', () => {
+    describeAdapterContract(() => new IndexedDBStorageAdapter({ indexedDB: createFakeIndexedDB() }));
+
+    test('should refuse to start without IndexedDB', () => {
+      expect(() => new IndexedDBStorageAdapter({ indexedDB: null })).toThrow('IndexedDB is not available');
+    });
+  });
+
+  describe('FileStorageAdapter', () => {
+    let directory;
+
+    beforeEach(async () => {
+      directory = await fs.mkdtemp(path.join(os.tmpdir(), 'actionsync-'));
+    });
+
+    afterEach(async () => {
+      await fs.rm(directory, { recursive: true, force: true });
+    });
+
+    describeAdapterContract(() => new FileStorageAdapter({ directory }));
+
+    test('should write one file per key and survive a new adapter instance', async () => {
+      await new FileStorageAdapter({ directory }).set('actionsync_device/1', { ok: true });
+
+      const files = await fs.readdir(directory);
+      expect(files).toEqual([`${encodeURIComponent('actionsync_device/1')}.json`]);
+      expect(await new FileStorageAdapter({ directory }).get('actionsync_device/1')).toEqual({ ok: true });
+    });
+
+    test('should apply overlapping writes of a key in call order', async () => {
+      const adapter = new FileStorageAdapter({ directory });
+
+      await Promise.all(Array.from({ length: 10 }, (_, index) => adapter.set('queue', { index })));
+
+      expect(await adapter.get('queue')).toEqual({ index: 9 });
+      expect(await fs.readdir(directory)).toEqual(['queue.json']);
+    });
+  });
+});
@@ -0,0 +1,348 @@
+/**
+ * ActionSync WebSocket Transport Tests
+ */
+import { jest, describe, test, expect, beforeAll, afterAll, beforeEach } from '@jest/globals';
+import request from 'supertest';
+import WebSocket from 'ws';
+import app, { attachWebSocketServer, createServer, createTokenVerifier } from '../server.js';
+import ActionSync from '../actionsync.js';
+
+describe('WebSocket Transport', () => {
+  let httpServer;
+  let wss;
+  let baseUrl;
+
+  beforeAll(async () => {
+    httpServer = app.listen(0);
+    await new Promise(resolve => httpServer.once('listening', resolve));
+    wss = attachWebSocketServer(httpServer);
+    baseUrl = `http://127.0.0.1:${httpServer.address().port}`;
+  });
+
+  afterAll(async () => {
+    wss.clients.forEach(client => client.terminate());
+    await new Promise(resolve => wss.close(resolve));
+    await new Promise(resolve => httpServer.close(resolve));
+  });
+
+  beforeEach(async () => {
+    await request(httpServer).post('/clear');
+  });
+
+  test('should push actions stored over HTTP to connected sockets', async () => {
+    const messages = [];
+    const socket = new WebSocket(`${baseUrl.replace('http', 'ws')}/ws`);
+    socket.on('message', data => messages.push(JSON.parse(data.toString())));
+    await new Promise(resolve => socket.once('open', resolve));
+    socket.send(JSON.stringify({ type: 'hello', deviceId: 'listener' }));
+    await waitFor(() => messages.some(m => m.type === 'welcome'));
+
+    try {
+      await request(httpServer)
+        .post('/sync')
+        .send({
+          deviceId: 'sender',
+          lastActionId: '0',
+          actions: [{ actionId: 'pushed-1', timestamp: Date.now(), deviceId: 'sender', payload: { type: 'PUSHED' } }]
+        })
+        .expect(200);
+
+      await waitFor(() => messages.some(m => m.type === 'actions'));
+      const push = messages.find(m => m.type === 'actions');
+      expect(push.actions).toEqual([
+        expect.objectContaining({ actionId: 'pushed-1', deviceId: 'sender', payload: { type: 'PUSHED' } })
+      ]);
+    } finally {
+      socket.close();
+    }
+  });
+
+  test('should only push actions on channels the socket subscribed to', async () => {
+    const messages = [];
+    const socket = new WebSocket(`${baseUrl.replace('http', 'ws')}/ws`);
+    socket.on('message', data => messages.push(JSON.parse(data.toString())));
+    await new Promise(resolve => socket.once('open', resolve));
+    socket.send(JSON.stringify({ type: 'hello', deviceId: 'listener', channels: ['doc-1'] }));
+    await waitFor(() => messages.some(m => m.type === 'welcome'));
+
+    const store = (channel, actionId) => request(httpServer)
+      .post('/sync')
+      .send({ deviceId: 'sender', channel, lastActionId: '0', actions: [{ actionId, timestamp: Date.now(), payload: { type: 'PUSHED' } }] })
+      .expect(200);
+
+    try {
+      await store('doc-2', 'other-channel');
+      await store(undefined, 'default-channel');
+      await store('doc-1', 'subscribed');
+
+      await waitFor(() => messages.some(m => m.type === 'actions'));
+      await delay(50);
+      const pushes = messages.filter(m => m.type === 'actions');
+      expect(pushes).toHaveLength(1);
+      expect(pushes[0]).toMatchObject({ channel: 'doc-1', actions: [expect.objectContaining({ actionId: 'subscribed' })] });
+    } finally {
+      socket.close();
+    }
+  });
+
+  test('should answer sync requests over the socket', async () => {
+    const socket = new WebSocket(`${baseUrl.replace('http', 'ws')}/ws`);
+    const reply = new Promise(resolve => socket.on('message', data => {
+      const message = JSON.parse(data.toString());
+      if (message.type === 'syncResult') resolve(message);
+    }));
+    await new Promise(resolve => socket.once('open', resolve));
+
+    try {
+      socket.send(JSON.stringify({ type: 'sync', requestId: 7, body: { lastActionId: '0', actions: [] } }));
+
+      expect(await reply).toMatchObject({ requestId: 7, status: 400, body: { error: 'deviceId is required' } });
+    } finally {
+      socket.close();
+    }
+  });
+
+  test('should deliver dispatches to other realtime clients without polling', async () => {
+    const received = jest.fn();
+    const sender = new ActionSync({ serverUrl: baseUrl, deviceId: 'ws-sender', realtime: true, WebSocket, enablePersistence: false });
+    const receiver = new ActionSync({
+      serverUrl: baseUrl,
+      deviceId: 'ws-receiver',
+      realtime: true,
+      WebSocket,
+      enablePersistence: false,
+      onRemoteActions: received
+    });
+
+    try {
+      await waitFor(() => sender._isSocketOpen() && receiver._isSocketOpen());
+      await delay(50);
+
+      sender.dispatch({ type: 'REALTIME', value: 1 });
+
+      await waitFor(() => received.mock.calls.length > 0);
+      expect(received).toHaveBeenCalledWith([{ type: 'REALTIME', value: 1 }]);
+      expect(global.fetch).not.toHaveBeenCalled();
+      await waitFor(() => sender.isSynced());
+
+      // A later pull returns the same action again; it must not be delivered twice
+      await receiver.sync();
+      expect(received).toHaveBeenCalledTimes(1);
+    } finally {
+      sender.destroy();
+      receiver.destroy();
+    }
+  });
+
+  test('should fall back to HTTP sync when the socket is down', async () => {
+    const client = new ActionSync({
+      serverUrl: 'https://test-server.com/api',
+      websocketUrl: 'ws://127.0.0.1:1/ws',
+      deviceId: 'ws-fallback',
+      realtime: true,
+      autoSync: false,
+      WebSocket,
+      enablePersistence: false,
+      retryAttempts: 1
+    });
+
+    try {
+      client.dispatch({ type: 'FALLBACK' });
+      const result = await client.sync();
+
+      expect(result.success).toBe(true);
+      expect(global.fetch).toHaveBeenCalledWith('https://test-server.com/api/sync', expect.any(Object));
+      expect(client.isSynced()).toBe(true);
+    } finally {
+      client.destroy();
+    }
+  });
+});
+
+describe('WebSocket Message Limit', () => {
+  test('should close sockets that send messages over the body limit', async () => {
+    const server = createServer({ bodyLimit: '1kb', logger: { log: () => {}, warn: () => {}, error: () => {} } });
+    const httpServer = await server.start(0);
+    const socket = new WebSocket(`ws://127.0.0.1:${httpServer.address().port}/ws`);
+    let closeCode = null;
+    socket.once('close', code => { closeCode = code; });
+
+    try {
+      await new Promise(resolve => socket.once('open', resolve));
+      socket.send(JSON.stringify({
+        type: 'sync',
+        requestId: 1,
+        body: { deviceId: 'device-1', lastActionId: '0', actions: [{ padding: 'x'.repeat(2048) }] }
+      }));
+
+      await waitFor(() => closeCode !== null);
+      expect(closeCode).toBe(1009);
+    } finally {
+      socket.terminate();
+      await server.close();
+    }
+  });
+});
+
+describe('WebSocket Authentication', () => {
+  let server;
+  let wsUrl;
+  let baseUrl;
+
+  beforeAll(async () => {
+    server = createServer({
+      logger: { log: () => {}, warn: () => {}, error: () => {} },
+      auth: {
+        verifyToken: createTokenVerifier({
+          'fresh-token': { deviceIds: ['ws-auth-client', 'ws-auth-listener'] },
+          'other-token': { deviceIds: ['someone-else'] }
+        })
+      }
+    });
+    const httpServer = await server.start(0);
+    baseUrl = `http://127.0.0.1:${httpServer.address().port}`;
+    wsUrl = `${baseUrl.replace('http', 'ws')}/ws`;
+  });
+
+  afterAll(async () => {
+    await server.close();
+  });
+
+  /**
+   * Open a socket and collect its messages
+   * @returns {Promise<Object>} { socket, messages }
+   */
+  async function openSocket() {
+    const messages = [];
+    const socket = new WebSocket(wsUrl);
+    socket.on('message', data => messages.push(JSON.parse(data.toString())));
+    await new Promise(resolve => socket.once('open', resolve));
+    return { socket, messages };
+  }
+
+  test('should reject hellos and syncs without a valid token', async () => {
+    const { socket, messages } = await openSocket();
+
+    try {
+      socket.send(JSON.stringify({ type: 'sync', requestId: 1, body: { deviceId: 'ws-auth-client', lastActionId: '0', actions: [] } }));
+      socket.send(JSON.stringify({ type: 'hello', deviceId: 'ws-auth-client', token: 'bad-token' }));
+      socket.send(JSON.stringify({ type: 'hello', deviceId: 'ws-auth-client', token: 'other-token' }));
+      await waitFor(() => messages.length === 3);
+
+      expect(messages[0]).toMatchObject({ type: 'syncResult', requestId: 1, status: 401 });
+      expect(messages[1]).toMatchObject({ type: 'error', status: 401, error: 'Invalid token' });
+      expect(messages[2]).toMatchObject({ type: 'error', status: 403 });
+
+      socket.send(JSON.stringify({ type: 'hello', deviceId: 'ws-auth-client', token: 'fresh-token' }));
+      socket.send(JSON.stringify({ type: 'sync', requestId: 2, body: { deviceId: 'ws-auth-client', lastActionId: '0', actions: [] } }));
+      await waitFor(() => messages.length === 5);
+
+      expect(messages[3].type).toBe('welcome');
+      expect(messages[4]).toMatchObject({ type: 'syncResult', requestId: 2, status: 200 });
+    } finally {
+      socket.close();
+    }
+  });
+
+  test('should refresh the token and re-authenticate when the server answers 401', async () => {
+    const { socket: listener, messages } = await openSocket();
+    listener.send(JSON.stringify({ type: 'hello', deviceId: 'ws-auth-listener', token: 'fresh-token' }));
+    await waitFor(() => messages.some(m => m.type === 'welcome'));
+
+    const getAuthToken = jest.fn(async ({ forceRefresh }) => (forceRefresh ? 'fresh-token' : 'stale-token'));
+    const client = new ActionSync({
+      serverUrl: baseUrl,
+      deviceId: 'ws-auth-client',
+      realtime: true,
+      autoSync: false,
+      WebSocket,
+      enablePersistence: false,
+      getAuthToken
+    });
+
+    try {
+      await waitFor(() => client._isSocketOpen());
+      await delay(50);
+      client.dispatch({ type: 'AUTHENTICATED' });
+
+      const result = await client.sync();
+
+      expect(result.acceptedActionIds).toHaveLength(1);
+      expect(getAuthToken).toHaveBeenCalledWith({ forceRefresh: true });
+      expect(global.fetch).not.toHaveBeenCalled();
+      await waitFor(() => messages.some(m => m.type === 'actions'));
+    } finally {
+      client.destroy();
+      listener.close();
+    }
+  });
+
+  test('should re-send the hello with a fresh token when the server rejects it', async () => {
+    const { socket: listener, messages } = await openSocket();
+    listener.send(JSON.stringify({ type: 'hello', deviceId: 'ws-auth-listener', token: 'fresh-token' }));
+    await waitFor(() => messages.some(m => m.type === 'welcome'));
+
+    const getAuthToken = jest.fn(async ({ forceRefresh }) => (forceRefresh ? 'fresh-token' : 'stale-token'));
+    const received = jest.fn();
+    const errors = [];
+    const client = new ActionSync({
+      serverUrl: baseUrl,
+      deviceId: 'ws-auth-client',
+      realtime: true,
+      autoSync: false,
+      WebSocket,
+      enablePersistence: false,
+      getAuthToken,
+      onRemoteActions: received
+    });
+    client.on('error', error => errors.push(error));
+
+    try {
+      await waitFor(() => getAuthToken.mock.calls.some(([options]) => options.forceRefresh));
+      await delay(50);
+
+      // Pushes reach the client only once its hello was accepted
+      listener.send(JSON.stringify({
+        type: 'sync',
+        requestId: 1,
+        body: {
+          deviceId: 'ws-auth-listener',
+          lastActionId: '0',
+          actions: [{ actionId: 'pushed-1', timestamp: Date.now(), deviceId: 'ws-auth-listener', payload: { type: 'PUSHED' } }]
+        }
+      }));
+      await waitFor(() => received.mock.calls.length > 0);
+
+      expect(received).toHaveBeenCalledWith([{ type: 'PUSHED' }]);
+      expect(errors).toHaveLength(0);
+      expect(global.fetch).not.toHaveBeenCalled();
+    } finally {
+      client.destroy();
+      listener.close();
+    }
+  });
+
+  test('should emit AUTH_FAILED when the refreshed hello is rejected too', async () => {
+    const getAuthToken = jest.fn(async () => 'bad-token');
+    const errors = [];
+    const client = new ActionSync({
+      serverUrl: baseUrl,
+      deviceId: 'ws-auth-client',
+      realtime: true,
+      autoSync: false,
+      WebSocket,
+      enablePersistence: false,
+      getAuthToken
+    });
+    client.on('error', error => errors.push(error));
+
+    try {
+      await waitFor(() => errors.length > 0);
+
+      expect(getAuthToken).toHaveBeenCalledWith({ forceRefresh: true });
+      expect(errors[0]).toMatchObject({ code: 'AUTH_FAILED', status: 401 });
+    } finally {
+      client.destroy();
+    }
+  });
+});